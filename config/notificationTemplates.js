@@ -0,0 +1,657 @@
+// Built-in notification templates. Admins can override any of them per language
+// through the template API; a language without a template of its own falls back
+// to English.
+//
+// {{name}} inserts a variable and {{#name}}...{{/name}} keeps its content only
+// when the variable has a value.
+
+// Variables each template may use, per channel and notification type
+const TEMPLATE_VARIABLES = {
+    whatsapp: {
+        appointment_confirmation: ['doctorName', 'date', 'time', 'consultationType', 'meetingLink'],
+        appointment_reminder: ['doctorName', 'date', 'time', 'meetingLink', 'startsIn'],
+        appointment_cancelled: ['withName', 'date', 'time', 'category', 'reason', 'forPatient'],
+        appointment_rescheduled: ['withName', 'previousDate', 'previousTime', 'date', 'time', 'reason'],
+        meeting_link: ['doctorName', 'meetingLink'],
+        waitlist_offer: ['doctorName', 'date', 'time', 'claimLink', 'expiresAt'],
+        new_booking: ['patientName', 'date', 'time', 'consultationType', 'symptoms'],
+        new_rating: ['patientName', 'date', 'score', 'feedback'],
+        daily_agenda: ['date', 'count', 'agenda'],
+        reply_confirmed: ['doctorName', 'date', 'time'],
+        reply_cancelled: ['doctorName', 'date', 'time'],
+        reply_reschedule_options: ['doctorName', 'date', 'time', 'options'],
+        reply_rescheduled: ['doctorName', 'date', 'time'],
+        reply_help: ['doctorName', 'date', 'time', 'problem'],
+        password_reset: ['name', 'resetLink', 'expiresIn'],
+        phone_verification: ['name', 'code', 'expiresIn']
+    },
+    email: {
+        appointment_confirmation: ['withName', 'date', 'time', 'consultationType', 'meetingLink'],
+        appointment_rescheduled: ['withName', 'date', 'time', 'consultationType', 'meetingLink', 'previousDate', 'previousTime', 'reason'],
+        appointment_cancelled: ['withName', 'date', 'time', 'consultationType', 'category', 'reason'],
+        password_reset: ['name', 'resetLink', 'expiresIn'],
+        email_verification: ['name', 'verifyLink', 'expiresIn']
+    }
+};
+
+// Email templates have a subject; WhatsApp templates only a body. Doctor-facing
+// messages (new_booking, new_rating, daily_agenda) are written in English only.
+// reply_* messages answer a patient's WhatsApp reply to CONFIRM, CANCEL or
+// RESCHEDULE their next appointment. password_reset and the
+// *_verification messages go to doctors and patients.
+const DEFAULT_TEMPLATES = {
+    whatsapp: {
+        appointment_confirmation: {
+            en: {
+                body: `🏥 *Healthcare Appointment Confirmed!*
+
+👨‍⚕️ *Doctor:* Dr. {{doctorName}}
+📅 *Date:* {{date}}
+⏰ *Time:* {{time}}
+💻 *Consultation Type:* {{consultationType}}
+
+🔗 *Join Meeting:* {{meetingLink}}
+
+📝 *Instructions:*
+- Join the meeting 5 minutes before your appointment
+- Ensure you have a stable internet connection
+- Keep your medical documents ready
+
+Thank you for choosing our healthcare platform! 🙏`
+            },
+            hi: {
+                body: `🏥 *अपॉइंटमेंट की पुष्टि हो गई!*
+
+👨‍⚕️ *डॉक्टर:* डॉ. {{doctorName}}
+📅 *तारीख:* {{date}}
+⏰ *समय:* {{time}}
+💻 *परामर्श का प्रकार:* {{consultationType}}
+
+🔗 *मीटिंग से जुड़ें:* {{meetingLink}}
+
+📝 *निर्देश:*
+- अपॉइंटमेंट से 5 मिनट पहले मीटिंग से जुड़ें
+- स्थिर इंटरनेट कनेक्शन सुनिश्चित करें
+- अपने मेडिकल दस्तावेज़ तैयार रखें
+
+हमारे हेल्थकेयर प्लेटफ़ॉर्म को चुनने के लिए धन्यवाद! 🙏`
+            },
+            ta: {
+                body: `🏥 *சந்திப்பு உறுதிசெய்யப்பட்டது!*
+
+👨‍⚕️ *மருத்துவர்:* டாக்டர் {{doctorName}}
+📅 *தேதி:* {{date}}
+⏰ *நேரம்:* {{time}}
+💻 *ஆலோசனை வகை:* {{consultationType}}
+
+🔗 *சந்திப்பில் இணைய:* {{meetingLink}}
+
+📝 *வழிமுறைகள்:*
+- சந்திப்புக்கு 5 நிமிடங்கள் முன்பே இணையுங்கள்
+- நிலையான இணைய இணைப்பை உறுதிசெய்யுங்கள்
+- உங்கள் மருத்துவ ஆவணங்களைத் தயாராக வைத்திருங்கள்
+
+எங்கள் சுகாதார தளத்தைத் தேர்ந்தெடுத்ததற்கு நன்றி! 🙏`
+            }
+        },
+        appointment_reminder: {
+            en: {
+                body: `⏰ *Appointment Reminder*
+
+Your appointment with Dr. {{doctorName}} is {{startsIn}}!
+
+📅 *Date:* {{date}}
+⏰ *Time:* {{time}}
+🔗 *Meeting Link:* {{meetingLink}}
+
+Please be ready 5 minutes before your scheduled time.
+
+Reply CONFIRM to confirm, CANCEL to cancel or RESCHEDULE to pick another time.
+
+See you soon! 👋`
+            },
+            hi: {
+                body: `⏰ *अपॉइंटमेंट रिमाइंडर*
+
+डॉ. {{doctorName}} के साथ आपका अपॉइंटमेंट {{startsIn}} है!
+
+📅 *तारीख:* {{date}}
+⏰ *समय:* {{time}}
+🔗 *मीटिंग लिंक:* {{meetingLink}}
+
+कृपया तय समय से 5 मिनट पहले तैयार रहें।
+
+पुष्टि के लिए CONFIRM, रद्द करने के लिए CANCEL या दूसरा समय चुनने के लिए RESCHEDULE लिखकर जवाब दें।
+
+जल्द मिलते हैं! 👋`
+            },
+            ta: {
+                body: `⏰ *சந்திப்பு நினைவூட்டல்*
+
+டாக்டர் {{doctorName}} உடனான உங்கள் சந்திப்பு {{startsIn}}!
+
+📅 *தேதி:* {{date}}
+⏰ *நேரம்:* {{time}}
+🔗 *சந்திப்பு இணைப்பு:* {{meetingLink}}
+
+திட்டமிட்ட நேரத்துக்கு 5 நிமிடங்கள் முன்பே தயாராக இருங்கள்.
+
+உறுதிப்படுத்த CONFIRM, ரத்து செய்ய CANCEL அல்லது வேறு நேரம் தேர்வு செய்ய RESCHEDULE என பதிலளிக்கவும்.
+
+விரைவில் சந்திப்போம்! 👋`
+            }
+        },
+        appointment_cancelled: {
+            en: {
+                body: `❌ *Appointment Cancelled*
+
+Your appointment with {{withName}} has been cancelled.
+
+📅 *Date:* {{date}}
+⏰ *Time:* {{time}}
+{{#category}}📋 *Category:* {{category}}
+{{/category}}{{#reason}}📝 *Reason:* {{reason}}
+{{/reason}}
+{{#forPatient}}Please book a new appointment if needed.
+
+{{/forPatient}}Thank you for your understanding. 🙏`
+            },
+            hi: {
+                body: `❌ *अपॉइंटमेंट रद्द*
+
+{{withName}} के साथ आपका अपॉइंटमेंट रद्द कर दिया गया है।
+
+📅 *तारीख:* {{date}}
+⏰ *समय:* {{time}}
+{{#category}}📋 *श्रेणी:* {{category}}
+{{/category}}{{#reason}}📝 *कारण:* {{reason}}
+{{/reason}}
+{{#forPatient}}ज़रूरत हो तो कृपया नया अपॉइंटमेंट बुक करें।
+
+{{/forPatient}}आपकी समझ के लिए धन्यवाद। 🙏`
+            },
+            ta: {
+                body: `❌ *சந்திப்பு ரத்து செய்யப்பட்டது*
+
+{{withName}} உடனான உங்கள் சந்திப்பு ரத்து செய்யப்பட்டது.
+
+📅 *தேதி:* {{date}}
+⏰ *நேரம்:* {{time}}
+{{#category}}📋 *வகை:* {{category}}
+{{/category}}{{#reason}}📝 *காரணம்:* {{reason}}
+{{/reason}}
+{{#forPatient}}தேவைப்பட்டால் புதிய சந்திப்பை முன்பதிவு செய்யவும்.
+
+{{/forPatient}}புரிந்துகொண்டதற்கு நன்றி. 🙏`
+            }
+        },
+        appointment_rescheduled: {
+            en: {
+                body: `🔄 *Appointment Rescheduled*
+
+Your appointment with {{withName}} has been moved.
+
+❌ *Was:* {{previousDate}}, {{previousTime}}
+✅ *Now:* {{date}}, {{time}}
+{{#reason}}📝 *Reason:* {{reason}}
+{{/reason}}
+Please make a note of the new time. 🙏`
+            },
+            hi: {
+                body: `🔄 *अपॉइंटमेंट का समय बदला गया*
+
+{{withName}} के साथ आपका अपॉइंटमेंट बदल दिया गया है।
+
+❌ *पहले:* {{previousDate}}, {{previousTime}}
+✅ *अब:* {{date}}, {{time}}
+{{#reason}}📝 *कारण:* {{reason}}
+{{/reason}}
+कृपया नया समय नोट कर लें। 🙏`
+            },
+            ta: {
+                body: `🔄 *சந்திப்பு நேரம் மாற்றப்பட்டது*
+
+{{withName}} உடனான உங்கள் சந்திப்பு மாற்றப்பட்டது.
+
+❌ *முன்பு:* {{previousDate}}, {{previousTime}}
+✅ *இப்போது:* {{date}}, {{time}}
+{{#reason}}📝 *காரணம்:* {{reason}}
+{{/reason}}
+புதிய நேரத்தைக் குறித்துக்கொள்ளுங்கள். 🙏`
+            }
+        },
+        meeting_link: {
+            en: {
+                body: `🔗 *Meeting Link Ready*
+
+Dr. {{doctorName}} is ready for your consultation.
+
+💻 *Join Now:* {{meetingLink}}
+
+Click the link to join your video consultation. 👨‍⚕️`
+            },
+            hi: {
+                body: `🔗 *मीटिंग लिंक तैयार है*
+
+डॉ. {{doctorName}} आपके परामर्श के लिए तैयार हैं।
+
+💻 *अभी जुड़ें:* {{meetingLink}}
+
+अपने वीडियो परामर्श से जुड़ने के लिए लिंक पर क्लिक करें। 👨‍⚕️`
+            },
+            ta: {
+                body: `🔗 *சந்திப்பு இணைப்பு தயார்*
+
+டாக்டர் {{doctorName}} உங்கள் ஆலோசனைக்குத் தயாராக உள்ளார்.
+
+💻 *இப்போதே இணையுங்கள்:* {{meetingLink}}
+
+உங்கள் வீடியோ ஆலோசனையில் இணைய இணைப்பைக் கிளிக் செய்யவும். 👨‍⚕️`
+            }
+        },
+        waitlist_offer: {
+            en: {
+                body: `🎉 *A Slot Just Opened Up!*
+
+A slot with Dr. {{doctorName}} is now available for you.
+
+📅 *Date:* {{date}}
+⏰ *Time:* {{time}}
+
+✅ *Claim it here:* {{claimLink}}
+
+⌛ This offer is reserved for you until {{expiresAt}}. After that it goes to the next patient on the waitlist.`
+            },
+            hi: {
+                body: `🎉 *एक स्लॉट खाली हुआ है!*
+
+डॉ. {{doctorName}} के साथ एक स्लॉट अब आपके लिए उपलब्ध है।
+
+📅 *तारीख:* {{date}}
+⏰ *समय:* {{time}}
+
+✅ *यहाँ बुक करें:* {{claimLink}}
+
+⌛ यह ऑफ़र {{expiresAt}} तक आपके लिए आरक्षित है। उसके बाद यह वेटलिस्ट के अगले मरीज़ को दिया जाएगा।`
+            },
+            ta: {
+                body: `🎉 *ஒரு நேர இடம் காலியாகியுள்ளது!*
+
+டாக்டர் {{doctorName}} உடன் ஒரு நேர இடம் இப்போது உங்களுக்குக் கிடைக்கிறது.
+
+📅 *தேதி:* {{date}}
+⏰ *நேரம்:* {{time}}
+
+✅ *இங்கே பெறுங்கள்:* {{claimLink}}
+
+⌛ இந்த வாய்ப்பு {{expiresAt}} வரை உங்களுக்காக ஒதுக்கப்பட்டுள்ளது. அதன் பிறகு காத்திருப்புப் பட்டியலில் அடுத்த நோயாளிக்கு வழங்கப்படும்.`
+            }
+        },
+        new_booking: {
+            en: {
+                body: `📥 *New Appointment Booked*
+
+{{patientName}} has booked an appointment with you.
+
+📅 *Date:* {{date}}
+⏰ *Time:* {{time}}
+💻 *Consultation Type:* {{consultationType}}
+{{#symptoms}}🩺 *Symptoms:* {{symptoms}}
+{{/symptoms}}
+You can find it in your appointments list.`
+            }
+        },
+        new_rating: {
+            en: {
+                body: `⭐ *New Rating*
+
+{{patientName}} rated your consultation on {{date}}: {{score}}/5
+{{#feedback}}
+💬 "{{feedback}}"
+{{/feedback}}`
+            }
+        },
+        daily_agenda: {
+            en: {
+                body: `🗓️ *Your Agenda for {{date}}*
+
+You have {{count}} appointment(s):
+
+{{agenda}}
+
+Have a good day! 👨‍⚕️`
+            }
+        },
+        reply_confirmed: {
+            en: {
+                body: `✅ Thank you! Your appointment with Dr. {{doctorName}} on {{date}}, {{time}} is confirmed.
+
+See you then! 👋`
+            },
+            hi: {
+                body: `✅ धन्यवाद! डॉ. {{doctorName}} के साथ {{date}}, {{time}} का आपका अपॉइंटमेंट पक्का हो गया है।
+
+तब मिलते हैं! 👋`
+            },
+            ta: {
+                body: `✅ நன்றி! டாக்டர் {{doctorName}} உடனான {{date}}, {{time}} சந்திப்பு உறுதிப்படுத்தப்பட்டது.
+
+அப்போது சந்திப்போம்! 👋`
+            }
+        },
+        reply_cancelled: {
+            en: {
+                body: `❌ Your appointment with Dr. {{doctorName}} on {{date}}, {{time}} has been cancelled.
+
+You can book a new appointment any time. 🙏`
+            },
+            hi: {
+                body: `❌ डॉ. {{doctorName}} के साथ {{date}}, {{time}} का आपका अपॉइंटमेंट रद्द कर दिया गया है।
+
+आप कभी भी नया अपॉइंटमेंट बुक कर सकते हैं। 🙏`
+            },
+            ta: {
+                body: `❌ டாக்டர் {{doctorName}} உடனான {{date}}, {{time}} சந்திப்பு ரத்து செய்யப்பட்டது.
+
+நீங்கள் எப்போது வேண்டுமானாலும் புதிய சந்திப்பை முன்பதிவு செய்யலாம். 🙏`
+            }
+        },
+        reply_reschedule_options: {
+            en: {
+                body: `🔄 Your appointment with Dr. {{doctorName}} is on {{date}}, {{time}}. These times are free:
+
+{{options}}
+
+Reply with the number of the time you want.`
+            },
+            hi: {
+                body: `🔄 डॉ. {{doctorName}} के साथ आपका अपॉइंटमेंट {{date}}, {{time}} को है। ये समय खाली हैं:
+
+{{options}}
+
+जो समय चाहिए उसका नंबर लिखकर जवाब दें।`
+            },
+            ta: {
+                body: `🔄 டாக்டர் {{doctorName}} உடனான உங்கள் சந்திப்பு {{date}}, {{time}} அன்று உள்ளது. இந்த நேரங்கள் காலியாக உள்ளன:
+
+{{options}}
+
+நீங்கள் விரும்பும் நேரத்தின் எண்ணை பதிலாக அனுப்பவும்.`
+            }
+        },
+        reply_rescheduled: {
+            en: {
+                body: `✅ Done! Your appointment with Dr. {{doctorName}} is now on {{date}}, {{time}}.`
+            },
+            hi: {
+                body: `✅ हो गया! डॉ. {{doctorName}} के साथ आपका अपॉइंटमेंट अब {{date}}, {{time}} को है।`
+            },
+            ta: {
+                body: `✅ முடிந்தது! டாக்டர் {{doctorName}} உடனான உங்கள் சந்திப்பு இப்போது {{date}}, {{time}} அன்று.`
+            }
+        },
+        reply_help: {
+            en: {
+                body: `{{#problem}}⚠️ {{problem}}
+
+{{/problem}}{{#date}}Your next appointment is with Dr. {{doctorName}} on {{date}}, {{time}}.
+
+Reply CONFIRM to confirm it, CANCEL to cancel it or RESCHEDULE to pick another time.{{/date}}`
+            },
+            hi: {
+                body: `{{#problem}}⚠️ {{problem}}
+
+{{/problem}}{{#date}}आपका अगला अपॉइंटमेंट डॉ. {{doctorName}} के साथ {{date}}, {{time}} को है।
+
+पुष्टि के लिए CONFIRM, रद्द करने के लिए CANCEL या दूसरा समय चुनने के लिए RESCHEDULE लिखकर जवाब दें।{{/date}}`
+            },
+            ta: {
+                body: `{{#problem}}⚠️ {{problem}}
+
+{{/problem}}{{#date}}உங்கள் அடுத்த சந்திப்பு டாக்டர் {{doctorName}} உடன் {{date}}, {{time}} அன்று.
+
+உறுதிப்படுத்த CONFIRM, ரத்து செய்ய CANCEL அல்லது வேறு நேரம் தேர்வு செய்ய RESCHEDULE என பதிலளிக்கவும்.{{/date}}`
+            }
+        },
+        password_reset: {
+            en: {
+                body: `🔐 *Password Reset*
+
+Hi {{name}}, use this link to choose a new password:
+{{resetLink}}
+
+The link works once and expires {{expiresIn}}. If you did not ask for this, you can ignore this message.`
+            },
+            hi: {
+                body: `🔐 *पासवर्ड रीसेट*
+
+नमस्ते {{name}}, नया पासवर्ड चुनने के लिए इस लिंक का उपयोग करें:
+{{resetLink}}
+
+यह लिंक एक ही बार काम करेगा और {{expiresIn}} समाप्त हो जाएगा। अगर आपने यह अनुरोध नहीं किया, तो इस संदेश को अनदेखा करें।`
+            },
+            ta: {
+                body: `🔐 *கடவுச்சொல் மீட்டமைப்பு*
+
+வணக்கம் {{name}}, புதிய கடவுச்சொல்லைத் தேர்வு செய்ய இந்த இணைப்பைப் பயன்படுத்தவும்:
+{{resetLink}}
+
+இந்த இணைப்பு ஒருமுறை மட்டுமே செயல்படும், {{expiresIn}} காலாவதியாகும். நீங்கள் இதைக் கோரவில்லை என்றால், இந்தச் செய்தியைப் புறக்கணிக்கவும்.`
+            }
+        },
+        phone_verification: {
+            en: {
+                body: `🔢 *Verification Code*
+
+Hi {{name}}, your code to verify this number is *{{code}}*. It expires {{expiresIn}}.
+
+Do not share this code with anyone.`
+            },
+            hi: {
+                body: `🔢 *सत्यापन कोड*
+
+नमस्ते {{name}}, इस नंबर को सत्यापित करने के लिए आपका कोड *{{code}}* है। यह {{expiresIn}} समाप्त हो जाएगा।
+
+यह कोड किसी के साथ साझा न करें।`
+            },
+            ta: {
+                body: `🔢 *சரிபார்ப்புக் குறியீடு*
+
+வணக்கம் {{name}}, இந்த எண்ணைச் சரிபார்க்க உங்கள் குறியீடு *{{code}}*. இது {{expiresIn}} காலாவதியாகும்.
+
+இந்தக் குறியீட்டை யாருடனும் பகிர வேண்டாம்.`
+            }
+        }
+    },
+    email: {
+        appointment_confirmation: {
+            en: {
+                subject: 'Appointment confirmed: {{date}}',
+                body: `Your appointment with {{withName}} is confirmed.
+
+Date: {{date}}
+Time: {{time}}
+Consultation type: {{consultationType}}
+
+Join the consultation: {{meetingLink}}
+
+The attached invite keeps your calendar up to date.`
+            },
+            hi: {
+                subject: 'अपॉइंटमेंट की पुष्टि: {{date}}',
+                body: `{{withName}} के साथ आपका अपॉइंटमेंट पक्का हो गया है।
+
+तारीख: {{date}}
+समय: {{time}}
+परामर्श का प्रकार: {{consultationType}}
+
+परामर्श से जुड़ें: {{meetingLink}}
+
+संलग्न आमंत्रण आपके कैलेंडर को अपडेट रखता है।`
+            },
+            ta: {
+                subject: 'சந்திப்பு உறுதிசெய்யப்பட்டது: {{date}}',
+                body: `{{withName}} உடனான உங்கள் சந்திப்பு உறுதிசெய்யப்பட்டது.
+
+தேதி: {{date}}
+நேரம்: {{time}}
+ஆலோசனை வகை: {{consultationType}}
+
+ஆலோசனையில் இணைய: {{meetingLink}}
+
+இணைக்கப்பட்ட அழைப்பிதழ் உங்கள் நாட்காட்டியைப் புதுப்பித்து வைக்கும்.`
+            }
+        },
+        appointment_rescheduled: {
+            en: {
+                subject: 'Appointment rescheduled: {{date}}',
+                body: `Your appointment with {{withName}} has been moved to a new time.
+
+Date: {{date}}
+Time: {{time}}
+Consultation type: {{consultationType}}
+{{#previousDate}}Previously: {{previousDate}}, {{previousTime}}
+{{/previousDate}}{{#reason}}Reason: {{reason}}
+{{/reason}}
+Join the consultation: {{meetingLink}}
+
+The attached invite keeps your calendar up to date.`
+            },
+            hi: {
+                subject: 'अपॉइंटमेंट का समय बदला गया: {{date}}',
+                body: `{{withName}} के साथ आपका अपॉइंटमेंट नए समय पर कर दिया गया है।
+
+तारीख: {{date}}
+समय: {{time}}
+परामर्श का प्रकार: {{consultationType}}
+{{#previousDate}}पहले: {{previousDate}}, {{previousTime}}
+{{/previousDate}}{{#reason}}कारण: {{reason}}
+{{/reason}}
+परामर्श से जुड़ें: {{meetingLink}}
+
+संलग्न आमंत्रण आपके कैलेंडर को अपडेट रखता है।`
+            },
+            ta: {
+                subject: 'சந்திப்பு நேரம் மாற்றப்பட்டது: {{date}}',
+                body: `{{withName}} உடனான உங்கள் சந்திப்பு புதிய நேரத்துக்கு மாற்றப்பட்டது.
+
+தேதி: {{date}}
+நேரம்: {{time}}
+ஆலோசனை வகை: {{consultationType}}
+{{#previousDate}}முன்பு: {{previousDate}}, {{previousTime}}
+{{/previousDate}}{{#reason}}காரணம்: {{reason}}
+{{/reason}}
+ஆலோசனையில் இணைய: {{meetingLink}}
+
+இணைக்கப்பட்ட அழைப்பிதழ் உங்கள் நாட்காட்டியைப் புதுப்பித்து வைக்கும்.`
+            }
+        },
+        appointment_cancelled: {
+            en: {
+                subject: 'Appointment cancelled: {{date}}',
+                body: `Your appointment with {{withName}} has been cancelled.
+
+Date: {{date}}
+Time: {{time}}
+Consultation type: {{consultationType}}
+{{#category}}Category: {{category}}
+{{/category}}{{#reason}}Reason: {{reason}}
+{{/reason}}
+Please book a new appointment if needed.`
+            },
+            hi: {
+                subject: 'अपॉइंटमेंट रद्द: {{date}}',
+                body: `{{withName}} के साथ आपका अपॉइंटमेंट रद्द कर दिया गया है।
+
+तारीख: {{date}}
+समय: {{time}}
+परामर्श का प्रकार: {{consultationType}}
+{{#category}}श्रेणी: {{category}}
+{{/category}}{{#reason}}कारण: {{reason}}
+{{/reason}}
+ज़रूरत हो तो कृपया नया अपॉइंटमेंट बुक करें।`
+            },
+            ta: {
+                subject: 'சந்திப்பு ரத்து செய்யப்பட்டது: {{date}}',
+                body: `{{withName}} உடனான உங்கள் சந்திப்பு ரத்து செய்யப்பட்டது.
+
+தேதி: {{date}}
+நேரம்: {{time}}
+ஆலோசனை வகை: {{consultationType}}
+{{#category}}ரத்து வகை: {{category}}
+{{/category}}{{#reason}}காரணம்: {{reason}}
+{{/reason}}
+தேவைப்பட்டால் புதிய சந்திப்பை முன்பதிவு செய்யவும்.`
+            }
+        },
+        password_reset: {
+            en: {
+                subject: 'Reset your password',
+                body: `Hi {{name}},
+
+We received a request to reset your password. Open this link to choose a new one:
+
+{{resetLink}}
+
+The link works once and expires {{expiresIn}}. If you did not ask for a reset, you can ignore this email and your password stays the same.`
+            },
+            hi: {
+                subject: 'अपना पासवर्ड रीसेट करें',
+                body: `नमस्ते {{name}},
+
+हमें आपका पासवर्ड रीसेट करने का अनुरोध मिला है। नया पासवर्ड चुनने के लिए यह लिंक खोलें:
+
+{{resetLink}}
+
+यह लिंक एक ही बार काम करेगा और {{expiresIn}} समाप्त हो जाएगा। अगर आपने रीसेट का अनुरोध नहीं किया, तो इस ईमेल को अनदेखा करें; आपका पासवर्ड नहीं बदलेगा।`
+            },
+            ta: {
+                subject: 'உங்கள் கடவுச்சொல்லை மீட்டமைக்கவும்',
+                body: `வணக்கம் {{name}},
+
+உங்கள் கடவுச்சொல்லை மீட்டமைக்க ஒரு கோரிக்கை வந்துள்ளது. புதிய கடவுச்சொல்லைத் தேர்வு செய்ய இந்த இணைப்பைத் திறக்கவும்:
+
+{{resetLink}}
+
+இந்த இணைப்பு ஒருமுறை மட்டுமே செயல்படும், {{expiresIn}} காலாவதியாகும். நீங்கள் மீட்டமைப்பைக் கோரவில்லை என்றால், இந்த மின்னஞ்சலைப் புறக்கணிக்கவும்; உங்கள் கடவுச்சொல் மாறாது.`
+            }
+        },
+        email_verification: {
+            en: {
+                subject: 'Verify your email address',
+                body: `Hi {{name}},
+
+Please confirm this is your email address by opening this link:
+
+{{verifyLink}}
+
+The link expires {{expiresIn}}. Until your email is verified we will not send appointment emails to it. If you did not create an account, you can ignore this email.`
+            },
+            hi: {
+                subject: 'अपना ईमेल पता सत्यापित करें',
+                body: `नमस्ते {{name}},
+
+कृपया यह लिंक खोलकर पुष्टि करें कि यह आपका ईमेल पता है:
+
+{{verifyLink}}
+
+यह लिंक {{expiresIn}} समाप्त हो जाएगा। ईमेल सत्यापित होने तक हम इस पर अपॉइंटमेंट ईमेल नहीं भेजेंगे। अगर आपने खाता नहीं बनाया, तो इस ईमेल को अनदेखा करें।`
+            },
+            ta: {
+                subject: 'உங்கள் மின்னஞ்சல் முகவரியைச் சரிபார்க்கவும்',
+                body: `வணக்கம் {{name}},
+
+இது உங்கள் மின்னஞ்சல் முகவரி என்பதை இந்த இணைப்பைத் திறந்து உறுதிப்படுத்தவும்:
+
+{{verifyLink}}
+
+இந்த இணைப்பு {{expiresIn}} காலாவதியாகும். உங்கள் மின்னஞ்சல் சரிபார்க்கப்படும் வரை சந்திப்பு மின்னஞ்சல்களை அனுப்ப மாட்டோம். நீங்கள் கணக்கை உருவாக்கவில்லை என்றால், இந்த மின்னஞ்சலைப் புறக்கணிக்கவும்.`
+            }
+        }
+    }
+};
+
+module.exports = {
+    TEMPLATE_VARIABLES,
+    DEFAULT_TEMPLATES
+};
@@ -0,0 +1,284 @@
+const { validationResult } = require('express-validator');
+const adminService = require('../services/adminService');
+const rescheduleService = require('../services/rescheduleService');
+const { StatusTransitionError } = require('../utils/appointmentStatus');
+const { normalizeDateKey, getViewerTimezone } = require('../utils/timezone');
+
+// Send the validation errors, if any. Returns whether it did.
+const sendValidationErrors = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+        return false;
+    }
+    res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+    });
+    return true;
+};
+
+// Send an AdminError, RescheduleError or StatusTransitionError (or anything
+// else) as a response
+const handleAdminError = (res, error, logLabel, errorLabel) => {
+    if (error instanceof rescheduleService.RescheduleError) {
+        return res.status(error.status).json({
+            error: error.error,
+            message: error.message
+        });
+    }
+    if (error instanceof adminService.AdminError || error instanceof StatusTransitionError) {
+        return res.status(error.status).json({
+            error: errorLabel,
+            message: error.message
+        });
+    }
+    console.error(`${logLabel} error:`, error);
+    res.status(500).json({
+        error: errorLabel,
+        message: error.message
+    });
+};
+
+const toPagination = (page, limit, total) => ({
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit)
+});
+
+// Accounts, appointments and notification delivery across the platform
+const getStats = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            stats: await adminService.getPlatformStats()
+        });
+    } catch (error) {
+        handleAdminError(res, error, 'Get platform stats', 'Failed to get platform stats');
+    }
+};
+
+// List or search doctors or patients (req.accountRole says which)
+const listAccounts = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) {
+            return;
+        }
+
+        const { search, status } = req.query;
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const { accounts, total } = await adminService.listAccounts(req.accountRole, { search, status, page, limit });
+
+        res.json({
+            success: true,
+            [`${req.accountRole}s`]: accounts,
+            pagination: toPagination(page, limit, total)
+        });
+    } catch (error) {
+        handleAdminError(res, error, `List ${req.accountRole}s`, `Failed to get ${req.accountRole}s`);
+    }
+};
+
+// A doctor or patient with their appointment counts
+const getAccount = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) {
+            return;
+        }
+
+        const { account, appointments } = await adminService.getAccount(req.accountRole, req.params.id);
+
+        res.json({
+            success: true,
+            [req.accountRole]: account,
+            appointments
+        });
+    } catch (error) {
+        handleAdminError(res, error, `Get ${req.accountRole}`, `Failed to get ${req.accountRole}`);
+    }
+};
+
+// Suspend a doctor or patient and sign them out everywhere
+const suspendAccount = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) {
+            return;
+        }
+
+        const account = await adminService.suspendAccount(req.accountRole, req.params.id, {
+            reason: req.body.reason,
+            admin: req.user
+        });
+
+        res.json({
+            success: true,
+            message: 'Account suspended',
+            [req.accountRole]: account
+        });
+    } catch (error) {
+        handleAdminError(res, error, `Suspend ${req.accountRole}`, 'Failed to suspend account');
+    }
+};
+
+// Lift a doctor's or patient's suspension
+const reactivateAccount = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) {
+            return;
+        }
+
+        const account = await adminService.reactivateAccount(req.accountRole, req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Account reactivated',
+            [req.accountRole]: account
+        });
+    } catch (error) {
+        handleAdminError(res, error, `Reactivate ${req.accountRole}`, 'Failed to reactivate account');
+    }
+};
+
+// Sign a doctor or patient out of every session and token
+const forceLogout = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) {
+            return;
+        }
+
+        const revokedTokens = await adminService.forceLogout(req.accountRole, req.params.id);
+
+        res.json({
+            success: true,
+            message: 'User logged out everywhere',
+            revokedTokens
+        });
+    } catch (error) {
+        handleAdminError(res, error, `Force logout ${req.accountRole}`, 'Failed to log user out');
+    }
+};
+
+// Any appointments, filtered by status, doctor, patient and date range
+const listAppointments = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) {
+            return;
+        }
+
+        const { status, doctorId, patientId, from, to } = req.query;
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const { appointments, total } = await adminService.listAppointments({
+            status, doctorId, patientId, from, to, page, limit
+        });
+
+        res.json({
+            success: true,
+            appointments,
+            pagination: toPagination(page, limit, total)
+        });
+    } catch (error) {
+        handleAdminError(res, error, 'List appointments', 'Failed to get appointments');
+    }
+};
+
+// Any appointment with both parties
+const getAppointment = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) {
+            return;
+        }
+
+        const appointment = await adminService.getAppointment(req.params.appointmentId);
+
+        res.json({
+            success: true,
+            appointment: appointment.toViewerJSON(getViewerTimezone(req))
+        });
+    } catch (error) {
+        handleAdminError(res, error, 'Get appointment', 'Failed to get appointment');
+    }
+};
+
+// Correct an appointment: its details, its status (outside the usual
+// transitions) or its slot
+const correctAppointment = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) {
+            return;
+        }
+
+        const { status, appointmentDate, timeSlot, reason } = req.body;
+        const fields = {};
+        adminService.CORRECTABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                fields[field] = req.body[field];
+            }
+        });
+
+        const viewerTimezone = getViewerTimezone(req);
+        const appointment = await adminService.correctAppointment(req.params.appointmentId, {
+            status,
+            dateKey: appointmentDate ? normalizeDateKey(appointmentDate, viewerTimezone) : undefined,
+            timeSlot,
+            reason,
+            fields,
+            admin: req.user
+        });
+
+        res.json({
+            success: true,
+            message: 'Appointment corrected',
+            appointment: appointment.toViewerJSON(viewerTimezone)
+        });
+    } catch (error) {
+        handleAdminError(res, error, 'Correct appointment', 'Failed to correct appointment');
+    }
+};
+
+// List administrators
+const listAdmins = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            admins: await adminService.listAdmins()
+        });
+    } catch (error) {
+        handleAdminError(res, error, 'List admins', 'Failed to get administrators');
+    }
+};
+
+// Add an administrator
+const createAdmin = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) {
+            return;
+        }
+
+        const { name, email, password } = req.body;
+        const admin = await adminService.createAdmin({ name, email, password, createdBy: req.user });
+
+        res.status(201).json({
+            success: true,
+            message: 'Administrator created',
+            admin
+        });
+    } catch (error) {
+        handleAdminError(res, error, 'Create admin', 'Failed to create administrator');
+    }
+};
+
+module.exports = {
+    getStats,
+    listAccounts,
+    getAccount,
+    suspendAccount,
+    reactivateAccount,
+    forceLogout,
+    listAppointments,
+    getAppointment,
+    correctAppointment,
+    listAdmins,
+    createAdmin
+};
@@ -3,8 +3,75 @@ const Doctor = require('../models/Doctor');
 const Patient = require('../models/Patient');
 const { validationResult } = require('express-validator');
 const { sendAppointmentConfirmation } = require('../services/whatsappService');
+const availabilityService = require('../services/availabilityService');
+const reservationService = require('../services/reservationService');
+const waitlistService = require('../services/waitlistService');
+const emailService = require('../services/emailService');
+const cancellationService = require('../services/cancellationService');
+const doctorNotificationService = require('../services/doctorNotificationService');
+const rescheduleService = require('../services/rescheduleService');
+const consultationService = require('../services/consultationService');
+const { isSlotKeyConflict } = require('../utils/slotKey');
+const { StatusTransitionError } = require('../utils/appointmentStatus');
+const {
+    DEFAULT_TIMEZONE,
+    normalizeDateKey,
+    formatTimeRange,
+    describeRange,
+    getViewerTimezone
+} = require('../utils/timezone');
 const mongoose = require('mongoose');
 
+// Offer a freed slot to the doctor's waitlist without holding up the response
+const offerSlotToWaitlist = (doctorId, slot) => {
+    waitlistService.offerFreedSlot(doctorId, slot).catch(error => {
+        console.error('Waitlist offer error:', error);
+    });
+};
+
+// Email both parties about an appointment update without holding up the response
+const emailAppointmentUpdate = (appointment, event, options) => {
+    emailService.sendAppointmentEmails(appointment, event, options).catch(error => {
+        console.error('Appointment email error:', error);
+    });
+};
+
+// Tell both parties about a cancellation without holding up the response
+const announceCancellation = (appointment) => {
+    cancellationService.notifyCancellation(appointment).catch(error => {
+        console.error('Cancellation notice error:', error);
+    });
+};
+
+// Ask the patient to join once the doctor has started the consultation, and
+// update any open join status streams
+const announceStatusChange = (appointment) => {
+    if (appointment.status !== 'ongoing') {
+        consultationService.publishJoinStatus(appointment);
+        return;
+    }
+    consultationService.notifyDoctorReady(appointment).catch(error => {
+        console.error('Doctor ready notice error:', error);
+    });
+};
+
+// Error labels and statuses for the conflicts reported by findSlotConflict
+const SLOT_CONFLICT_RESPONSES = {
+    past: { status: 400, error: 'Invalid date' },
+    unavailable: { status: 400, error: 'Time slot not available' },
+    booked: { status: 400, error: 'Time slot not available' },
+    held: { status: 409, error: 'Time slot on hold' },
+    patient_busy: { status: 400, error: 'Conflicting appointment' }
+};
+
+const sendSlotConflict = (res, conflict) => {
+    const { status, error } = SLOT_CONFLICT_RESPONSES[conflict.reason];
+    return res.status(status).json({
+        error,
+        message: conflict.message
+    });
+};
+
 // Book appointment
 const bookAppointment = async (req, res) => {
     try {
@@ -45,31 +112,24 @@ const bookAppointment = async (req, res) => {
             });
         }
 
-        // Check if appointment date is in the future
-        const appointmentDateTime = new Date(appointmentDate);
-        if (appointmentDateTime <= new Date()) {
-            return res.status(400).json({
-                error: 'Invalid date',
-                message: 'Appointment date must be in the future'
-            });
+        const restriction = availabilityService.findBookingRestriction(doctor, patient);
+        if (restriction) {
+            return res.status(403).json(restriction);
         }
 
-        // Check if time slot is available
-        const existingAppointment = await Appointment.findOne({
-            doctorId,
-            appointmentDate: {
-                $gte: new Date(appointmentDate).setHours(0, 0, 0, 0),
-                $lt: new Date(appointmentDate).setHours(23, 59, 59, 999)
-            },
-            timeSlot,
-            status: { $in: ['scheduled', 'ongoing'] }
-        });
-
-        if (existingAppointment) {
-            return res.status(400).json({
-                error: 'Time slot not available',
-                message: 'This time slot is already booked'
-            });
+        // The requested date is a calendar day in the doctor's timezone; full
+        // timestamps are read in the patient's zone so they map to the day picked
+        const viewerTimezone = getViewerTimezone(req);
+        const dateKey = normalizeDateKey(appointmentDate, viewerTimezone);
+        // Run the availability and conflict checks shared with rescheduling and follow-ups
+        const { start, end, conflict } = await availabilityService.findSlotConflict(
+            doctor,
+            patientId,
+            dateKey,
+            timeSlot
+        );
+        if (conflict) {
+            return sendSlotConflict(res, conflict);
         }
 
         const existingAppointments = await Appointment.findOne({
@@ -84,29 +144,13 @@ const bookAppointment = async (req, res) => {
                 });
             }
 
-        // Check if patient already has an appointment at this time
-        const existingPatientAppointment = await Appointment.findOne({
-            patientId,
-            appointmentDate: {
-                $gte: new Date(appointmentDate).setHours(0, 0, 0, 0),
-                $lt: new Date(appointmentDate).setHours(23, 59, 59, 999)
-            },
-            timeSlot,
-            status: { $in: ['scheduled', 'ongoing', 'confirmed'] }
-        });
-
-        if (existingPatientAppointment) {
-            return res.status(400).json({
-                error: 'Conflicting appointment',
-                message: 'You already have another appointment scheduled at this time'
-            });
-        }
-
         // Create appointment
         const appointment = new Appointment({
             doctorId,
             patientId,
-            appointmentDate: appointmentDateTime,
+            appointmentDate: start,
+            endTime: end,
+            timezone: availabilityService.getDoctorTimezone(doctor),
             timeSlot,
             symptoms,
             consultationType,
@@ -114,7 +158,20 @@ const bookAppointment = async (req, res) => {
             roomId
         });
 
-        await appointment.save();
+        // The unique slot key index rejects a concurrent booking of the same slot
+        try {
+            await appointment.save();
+        } catch (saveError) {
+            if (isSlotKeyConflict(saveError)) {
+                return res.status(409).json({
+                    error: 'Time slot not available',
+                    message: 'This time slot was just booked by another patient'
+                });
+            }
+            throw saveError;
+        }
+
+        await reservationService.releaseHoldForSlot(doctorId, start, patientId);
 
         // Populate appointment with doctor and patient details
         await appointment.populate([
@@ -122,28 +179,40 @@ const bookAppointment = async (req, res) => {
             { path: 'patientId', select: 'name email phone' }
         ]);
 
-        // Send WhatsApp confirmation
+        // Queue the WhatsApp confirmation in the patient's timezone; whatsappSent
+        // is set once the notification worker has delivered it
         try {
+            const patientTimezone = patient.timezone || DEFAULT_TIMEZONE;
             await sendAppointmentConfirmation(
                 patient.phone,
                 doctor.name,
-                appointmentDate,
-                timeSlot,
-                appointment.meetingLink
+                start,
+                formatTimeRange(start, end, patientTimezone),
+                appointment.meetingLink,
+                patientTimezone,
+                appointment.consultationType,
+                {
+                    recipient: { role: 'patient', userId: patient._id },
+                    language: patient.preferredLanguage,
+                    doctorId: doctor._id,
+                    patientId: patient._id,
+                    appointmentId: appointment._id
+                }
             );
-            appointment.whatsappSent = true;
-            await appointment.save();
         } catch (whatsappError) {
             console.error('WhatsApp notification failed:', whatsappError);
             // Don't fail the appointment booking if WhatsApp fails
         }
 
-        
+        emailAppointmentUpdate(appointment, 'confirmed');
+        doctorNotificationService.notifyNewBooking(appointment).catch(error => {
+            console.error('Doctor booking notice error:', error);
+        });
 
         res.status(201).json({
             success: true,
             message: 'Appointment booked successfully',
-            appointment
+            appointment: appointment.toViewerJSON(viewerTimezone)
         });
 
     } catch (error) {
@@ -186,7 +255,7 @@ const getAppointment = async (req, res) => {
 
         res.json({
             success: true,
-            appointment
+            appointment: appointment.toViewerJSON(getViewerTimezone(req))
         });
 
     } catch (error) {
@@ -225,21 +294,45 @@ const updateAppointment = async (req, res) => {
         }
 
         const allowedUpdates = userRole === 'doctor' 
-            ? ['status', 'diagnosis', 'prescription', 'consultationNotes']
+            ? ['diagnosis', 'prescription', 'consultationNotes']
             : ['symptoms'];
 
-        const updates = {};
-        Object.keys(req.body).forEach(key => {
-            if (allowedUpdates.includes(key)) {
-                updates[key] = req.body[key];
+        allowedUpdates.forEach(key => {
+            if (req.body[key] !== undefined) {
+                appointment.set(key, req.body[key]);
             }
         });
 
-        const updatedAppointment = await Appointment.findByIdAndUpdate(
-            appointmentId,
-            updates,
-            { new: true, runValidators: true }
-        ).populate([
+        // Doctors may change the status too, but only along the allowed transitions
+        const { status, statusReason, cancellationCategory } = req.body;
+        const changesStatus = userRole === 'doctor' && status !== undefined && status !== appointment.status;
+        if (changesStatus && status === 'cancelled') {
+            appointment.cancel({
+                changedBy: { role: userRole, userId },
+                category: cancellationCategory,
+                reason: statusReason
+            });
+        } else if (changesStatus) {
+            appointment.transitionStatus(status, {
+                changedBy: { role: userRole, userId },
+                reason: statusReason
+            });
+        }
+
+        await appointment.save();
+
+        if (changesStatus && appointment.status === 'cancelled') {
+            offerSlotToWaitlist(appointment.doctorId, {
+                ...appointment.getSlotInstants(),
+                timeSlot: appointment.timeSlot
+            });
+            announceCancellation(appointment);
+        }
+        if (changesStatus) {
+            announceStatusChange(appointment);
+        }
+
+        await appointment.populate([
             { path: 'doctorId', select: 'name specialization' },
             { path: 'patientId', select: 'name email phone' }
         ]);
@@ -247,10 +340,16 @@ const updateAppointment = async (req, res) => {
         res.json({
             success: true,
             message: 'Appointment updated successfully',
-            appointment: updatedAppointment
+            appointment: appointment.toViewerJSON(getViewerTimezone(req))
         });
 
     } catch (error) {
+        if (error instanceof StatusTransitionError || error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Failed to update appointment',
+                message: error.message
+            });
+        }
         console.error('Update appointment error:', error);
         res.status(500).json({
             error: 'Failed to update appointment',
@@ -259,10 +358,20 @@ const updateAppointment = async (req, res) => {
     }
 };
 
-// Cancel appointment
+// Cancel appointment (doctor or patient), with an optional reason category and
+// free-text reason. The other party is notified.
 const cancelAppointment = async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
         const { appointmentId } = req.params;
+        const { category, reason } = req.body;
         const userId = req.user.id;
         const userRole = req.user.role;
 
@@ -286,20 +395,34 @@ const cancelAppointment = async (req, res) => {
         }
 
         // Check if appointment can be cancelled
-        if (appointment.status === 'completed' || appointment.status === 'cancelled') {
-            return res.status(400).json({
-                error: 'Cannot cancel appointment',
-                message: `Appointment is already ${appointment.status}`
+        try {
+            appointment.cancel({
+                changedBy: { role: userRole, userId },
+                category,
+                reason
             });
+        } catch (transitionError) {
+            if (transitionError instanceof StatusTransitionError) {
+                return res.status(transitionError.status).json({
+                    error: 'Cannot cancel appointment',
+                    message: transitionError.message
+                });
+            }
+            throw transitionError;
         }
 
-        appointment.status = 'cancelled';
         await appointment.save();
 
+        offerSlotToWaitlist(appointment.doctorId, {
+            ...appointment.getSlotInstants(),
+            timeSlot: appointment.timeSlot
+        });
+        announceCancellation(appointment);
+
         res.json({
             success: true,
             message: 'Appointment cancelled successfully',
-            appointment
+            appointment: appointment.toViewerJSON(getViewerTimezone(req))
         });
 
     } catch (error) {
@@ -364,10 +487,14 @@ const rateAppointment = async (req, res) => {
             rating: Math.round(averageRating * 10) / 10 // Round to 1 decimal place
         });
 
+        doctorNotificationService.notifyNewRating(appointment).catch(error => {
+            console.error('Doctor rating notice error:', error);
+        });
+
         res.json({
             success: true,
             message: 'Rating submitted successfully',
-            appointment
+            appointment: appointment.toViewerJSON(getViewerTimezone(req))
         });
 
     } catch (error) {
@@ -385,9 +512,10 @@ const getAppointmentStats = async (req, res) => {
         const userId = req.user.id;
         const userRole = req.user.role;
 
+        // Aggregations do not cast ids the way queries do
         const query = userRole === 'doctor' 
-            ? { doctorId: userId }
-            : { patientId: userId };
+            ? { doctorId: new mongoose.Types.ObjectId(userId) }
+            : { patientId: new mongoose.Types.ObjectId(userId) };
 
         const stats = await Appointment.aggregate([
             { $match: query },
@@ -413,9 +541,14 @@ const getAppointmentStats = async (req, res) => {
             formattedStats.total += stat.count;
         });
 
+        const cancellations = await cancellationService.getCancellationBreakdown(
+            userRole === 'doctor' ? { doctorId: userId } : { patientId: userId }
+        );
+
         res.json({
             success: true,
-            stats: formattedStats
+            stats: formattedStats,
+            cancellations
         });
 
     } catch (error) {
@@ -444,10 +577,11 @@ const getDoctorAppointments = async (req, res) => {
             .sort({ appointmentDate: 1, timeSlot: 1 });
 
         const total = await Appointment.countDocuments(query);
+        const viewerTimezone = getViewerTimezone(req);
 
         res.json({
             success: true,
-            appointments,
+            appointments: appointments.map(apt => apt.toViewerJSON(viewerTimezone)),
             pagination: {
                 page: parseInt(page),
                 limit: parseInt(limit),
@@ -469,13 +603,15 @@ const getAllDoctors = async (req, res) => {
     try {
         const { specialization, page = 1, limit = 10 } = req.query;
         
-        const query = {};
+        // Only doctors whose credentials have been approved, and who are not
+        // suspended, are listed
+        const query = { isVerified: true, 'suspension.suspendedAt': { $exists: false } };
         if (specialization) {
             query.specialization = specialization;
         }
 
         const doctors = await Doctor.find(query)
-            .select('-password -__v')
+            .select('-password -__v -credentials')
             .limit(limit * 1)
             .skip((page - 1) * limit);
 
@@ -506,7 +642,7 @@ const getDoctorById = async (req, res) => {
         const { id } = req.params;
         
         const doctor = await Doctor.findById(id)
-            .select('-password -__v');
+            .select('-password -__v -credentials');
             
         if (!doctor) {
             return res.status(404).json({
@@ -548,35 +684,30 @@ const getAvailableSlots = async (req, res) => {
             });
         }
 
-        // Get day of week
-        const dayOfWeek = new Date(date).toLocaleDateString('en-US', { weekday: 'long' });
-        
-        // Check if doctor works on this day
-        if (!doctor.availability.days.includes(dayOfWeek)) {
-            return res.json({
-                success: true,
-                availableSlots: []
-            });
-        }
-
-        // Get booked appointments for this date
-        const bookedAppointments = await Appointment.find({
-            doctorId: id,
-            appointmentDate: {
-                $gte: new Date(date).setHours(0, 0, 0, 0),
-                $lt: new Date(date).setHours(23, 59, 59, 999)
-            },
-            status: { $in: ['scheduled', 'confirmed', 'ongoing'] }
-        });
-
-        const bookedSlots = bookedAppointments.map(apt => apt.timeSlot);
-        const availableSlots = doctor.availability.timeSlots.filter(
-            slot => !bookedSlots.includes(slot)
+        const viewerTimezone = getViewerTimezone(req);
+        const slots = await availabilityService.getAvailableSlots(
+            doctor,
+            normalizeDateKey(date, viewerTimezone),
+            req.user && req.user.role === 'patient' ? req.user.id : null
         );
 
+        const availableSlots = slots.filter(slot => !slot.onHold).map(slot => slot.timeSlot);
+
         res.json({
             success: true,
-            availableSlots
+            timezone: availabilityService.getDoctorTimezone(doctor),
+            availableSlots,
+            // Patients can join the waitlist (POST /api/waitlist) when nothing is free
+            canJoinWaitlist: availableSlots.length === 0,
+            slots: slots.map(slot => ({
+                timeSlot: slot.timeSlot,
+                startTime: slot.start,
+                endTime: slot.end,
+                onHold: slot.onHold,
+                heldByYou: slot.heldByYou,
+                holdExpiresAt: slot.holdExpiresAt,
+                localTime: describeRange(slot.start, slot.end, viewerTimezone)
+            }))
         });
     } catch (error) {
         console.error('Get available slots error:', error);
@@ -590,85 +721,132 @@ const getAvailableSlots = async (req, res) => {
 // Update appointment status
 const updateAppointmentStatus = async (req, res) => {
     try {
-        const { id } = req.params;
-        const { status } = req.body;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { appointmentId } = req.params;
+        const { status, reason, category } = req.body;
         
-        const appointment = await Appointment.findById(id);
+        const appointment = await Appointment.findById(appointmentId);
         if (!appointment) {
             return res.status(404).json({
-                success: false,
-                error: 'Appointment not found'
+                error: 'Appointment not found',
+                message: 'Appointment not found'
             });
         }
         
         // Check if doctor owns this appointment
         if (appointment.doctorId.toString() !== req.user.id) {
             return res.status(403).json({
-                success: false,
-                error: 'Unauthorized',
+                error: 'Access denied',
                 message: 'You cannot modify this appointment'
             });
         }
         
-        appointment.status = status;
+        const changedBy = { role: req.user.role, userId: req.user.id };
+        if (status === 'cancelled') {
+            appointment.cancel({ changedBy, category, reason });
+        } else {
+            appointment.transitionStatus(status, { changedBy, reason });
+        }
         await appointment.save();
+
+        if (status === 'cancelled') {
+            offerSlotToWaitlist(appointment.doctorId, {
+                ...appointment.getSlotInstants(),
+                timeSlot: appointment.timeSlot
+            });
+            announceCancellation(appointment);
+        }
+        announceStatusChange(appointment);
         
         res.json({
             success: true,
-            appointment
+            message: `Appointment marked as ${status}`,
+            appointment: appointment.toViewerJSON(getViewerTimezone(req))
         });
     } catch (error) {
+        if (error instanceof StatusTransitionError) {
+            return res.status(error.status).json({
+                error: 'Invalid status transition',
+                message: error.message
+            });
+        }
         console.error('Update appointment status error:', error);
         res.status(500).json({
-            success: false,
-            error: 'Server error',
+            error: 'Failed to update appointment status',
             message: error.message
         });
     }
 };
 
-// Reschedule appointment
+// Reschedule appointment (doctor or patient). The new slot goes through the same
+// availability and conflict checks as a booking.
 const rescheduleAppointment = async (req, res) => {
     try {
-        const { id } = req.params;
-        const { appointmentDate, timeSlot } = req.body;
-        
-        const appointment = await Appointment.findById(id);
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { appointmentId } = req.params;
+        const { appointmentDate, timeSlot, reason } = req.body;
+        const userId = req.user.id;
+        const userRole = req.user.role;
+
+        const appointment = await Appointment.findById(appointmentId);
         if (!appointment) {
             return res.status(404).json({
-                success: false,
-                error: 'Appointment not found'
+                error: 'Appointment not found',
+                message: 'Appointment not found'
             });
         }
-        
-        // Check authorization (either doctor or patient can reschedule)
-        const isDoctor = appointment.doctorId.toString() === req.user.id;
-        const isPatient = appointment.patientId.toString() === req.user.id;
-        
-        if (!isDoctor && !isPatient) {
+
+        // Check permissions
+        const hasPermission = (userRole === 'doctor' && appointment.doctorId.toString() === userId) ||
+                             (userRole === 'patient' && appointment.patientId.toString() === userId);
+
+        if (!hasPermission) {
             return res.status(403).json({
-                success: false,
-                error: 'Unauthorized',
-                message: 'You cannot modify this appointment'
+                error: 'Access denied',
+                message: 'You do not have permission to reschedule this appointment'
             });
         }
-        
-        // Update appointment
-        appointment.appointmentDate = appointmentDate;
-        appointment.timeSlot = timeSlot;
-        appointment.lastModified = Date.now();
-        
-        await appointment.save();
-        
+
+        const viewerTimezone = getViewerTimezone(req);
+        await rescheduleService.moveAppointment(appointment, {
+            dateKey: normalizeDateKey(appointmentDate, viewerTimezone),
+            timeSlot,
+            changedBy: { role: userRole, userId },
+            reason
+        });
+
         res.json({
             success: true,
-            appointment
+            message: 'Appointment rescheduled successfully',
+            appointment: appointment.toViewerJSON(viewerTimezone)
         });
     } catch (error) {
+        if (error instanceof rescheduleService.RescheduleError) {
+            if (error.conflict) {
+                return sendSlotConflict(res, error.conflict);
+            }
+            return res.status(error.status).json({
+                error: error.error,
+                message: error.message
+            });
+        }
         console.error('Reschedule appointment error:', error);
         res.status(500).json({
-            success: false,
-            error: 'Server error',
+            error: 'Failed to reschedule appointment',
             message: error.message
         });
     }
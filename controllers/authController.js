@@ -1,6 +1,11 @@
 const Doctor = require('../models/Doctor');
 const Patient = require('../models/Patient');
+const Admin = require('../models/Admin');
 const { validationResult } = require('express-validator');
+const tokenService = require('../services/tokenService');
+const passwordService = require('../services/passwordService');
+const verificationService = require('../services/verificationService');
+const { getBearerToken } = require('../middleware/auth');
 
 // Doctor Registration
 const registerDoctor = async (req, res) => {
@@ -25,7 +30,8 @@ const registerDoctor = async (req, res) => {
             age,
             gender,
             consultationFee,
-            availability
+            availability,
+            timezone
         } = req.body;
 
         // Check if doctor already exists
@@ -49,17 +55,25 @@ const registerDoctor = async (req, res) => {
             age,
             gender,
             consultationFee,
-            availability: availability || { days: [], timeSlots: [] }
+            availability: availability || { days: [], timeSlots: [] },
+            timezone
         });
 
         await doctor.save();
 
+        // Send the phone code and email link; booking and notifications wait for them
+        verificationService.startVerification({ id: doctor._id, role: 'doctor' }).catch(error => {
+            console.error('Verification start error:', error);
+        });
+
         // Create session
         req.session.user = {
             id: doctor._id,
             email: doctor.email,
             name: doctor.name,
-            role: 'doctor'
+            role: 'doctor',
+            timezone: doctor.timezone,
+            authenticatedAt: new Date()
         };
 
         res.status(201).json({
@@ -70,6 +84,8 @@ const registerDoctor = async (req, res) => {
                 name: doctor.name,
                 email: doctor.email,
                 specialization: doctor.specialization,
+                emailVerified: doctor.emailVerified,
+                phoneVerified: doctor.phoneVerified,
                 role: 'doctor'
             }
         });
@@ -114,14 +130,46 @@ const loginDoctor = async (req, res) => {
             });
         }
 
-        // Create session
-        req.session.user = {
+        // Suspended accounts cannot sign in
+        if (doctor.suspension && doctor.suspension.suspendedAt) {
+            return res.status(403).json({
+                error: 'Account suspended',
+                message: 'This account has been suspended, please contact support'
+            });
+        }
+
+        const sessionUser = {
             id: doctor._id,
             email: doctor.email,
             name: doctor.name,
+            role: 'doctor',
+            timezone: doctor.timezone,
+            authenticatedAt: new Date()
+        };
+        const user = {
+            id: doctor._id,
+            name: doctor.name,
+            email: doctor.email,
+            specialization: doctor.specialization,
+            emailVerified: doctor.emailVerified,
+            phoneVerified: doctor.phoneVerified,
             role: 'doctor'
         };
 
+        // Mobile and server clients ask for tokens instead of a session cookie
+        if (req.body.issueTokens) {
+            const tokens = await tokenService.issueTokens(sessionUser, { userAgent: req.get('User-Agent') });
+            return res.json({
+                success: true,
+                message: 'Login successful',
+                user,
+                tokens
+            });
+        }
+
+        // Create session
+        req.session.user = sessionUser;
+
         req.session.save(err => {
             if (err) {
                 console.error("Session save error:", err);
@@ -134,13 +182,7 @@ const loginDoctor = async (req, res) => {
             res.json({
                 success: true,
                 message: 'Login successful',
-                user: {
-                    id: doctor._id,
-                    name: doctor.name,
-                    email: doctor.email,
-                    specialization: doctor.specialization,
-                    role: 'doctor'
-                }
+                user
             });
         });
 
@@ -176,6 +218,8 @@ const registerPatient = async (req, res) => {
             emergencyContact,
             medicalHistory: medicalHistory, // Add this line
             currentMedications: currentMedications, // Add this line
+            timezone,
+            preferredLanguage
         } = req.body;
 
         // Check if patient already exists
@@ -199,17 +243,26 @@ const registerPatient = async (req, res) => {
             allergies: allergies || [],
             emergencyContact: emergencyContact || {},
             medicalHistory: medicalHistory || [], // Add this line
-            currentMedications: currentMedications || [] // Add this line
+            currentMedications: currentMedications || [], // Add this line
+            timezone,
+            preferredLanguage
         });
 
         await patient.save();
 
+        // Send the phone code and email link; booking and notifications wait for them
+        verificationService.startVerification({ id: patient._id, role: 'patient' }).catch(error => {
+            console.error('Verification start error:', error);
+        });
+
         // Create session
         req.session.user = {
             id: patient._id,
             email: patient.email,
             name: patient.name,
-            role: 'patient'
+            role: 'patient',
+            timezone: patient.timezone,
+            authenticatedAt: new Date()
         };
 
         res.status(201).json({
@@ -220,6 +273,8 @@ const registerPatient = async (req, res) => {
                 name: patient.name,
                 email: patient.email,
                 age: patient.age,
+                emailVerified: patient.emailVerified,
+                phoneVerified: patient.phoneVerified,
                 role: 'patient'
             }
         });
@@ -264,14 +319,46 @@ const loginPatient = async (req, res) => {
             });
         }
 
-        // Create session
-        req.session.user = {
+        // Suspended accounts cannot sign in
+        if (patient.suspension && patient.suspension.suspendedAt) {
+            return res.status(403).json({
+                error: 'Account suspended',
+                message: 'This account has been suspended, please contact support'
+            });
+        }
+
+        const sessionUser = {
             id: patient._id,
             email: patient.email,
             name: patient.name,
+            role: 'patient',
+            timezone: patient.timezone,
+            authenticatedAt: new Date()
+        };
+        const user = {
+            id: patient._id,
+            name: patient.name,
+            email: patient.email,
+            age: patient.age,
+            emailVerified: patient.emailVerified,
+            phoneVerified: patient.phoneVerified,
             role: 'patient'
         };
 
+        // Mobile and server clients ask for tokens instead of a session cookie
+        if (req.body.issueTokens) {
+            const tokens = await tokenService.issueTokens(sessionUser, { userAgent: req.get('User-Agent') });
+            return res.json({
+                success: true,
+                message: 'Login successful',
+                user,
+                tokens
+            });
+        }
+
+        // Create session
+        req.session.user = sessionUser;
+
         // ADD THIS: Force session save before responding
         req.session.save(err => {
             if (err) {
@@ -285,13 +372,7 @@ const loginPatient = async (req, res) => {
             res.json({
                 success: true,
                 message: 'Login successful',
-                user: {
-                    id: patient._id,
-                    name: patient.name,
-                    email: patient.email,
-                    age: patient.age,
-                    role: 'patient'
-                }
+                user
             });
         });
 
@@ -304,8 +385,127 @@ const loginPatient = async (req, res) => {
     }
 };
 
-// Logout
-const logout = (req, res) => {
+// Admin Login
+const loginAdmin = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { email, password } = req.body;
+
+        const admin = await Admin.findOne({ email }).select('+password');
+        if (!admin || !(await admin.comparePassword(password))) {
+            return res.status(401).json({
+                error: 'Invalid credentials',
+                message: 'Email or password is incorrect'
+            });
+        }
+
+        admin.lastLoginAt = new Date();
+        await admin.save();
+
+        const sessionUser = {
+            id: admin._id,
+            email: admin.email,
+            name: admin.name,
+            role: 'admin',
+            timezone: admin.timezone,
+            authenticatedAt: new Date()
+        };
+        const user = {
+            id: admin._id,
+            name: admin.name,
+            email: admin.email,
+            role: 'admin'
+        };
+
+        if (req.body.issueTokens) {
+            const tokens = await tokenService.issueTokens(sessionUser, { userAgent: req.get('User-Agent') });
+            return res.json({
+                success: true,
+                message: 'Login successful',
+                user,
+                tokens
+            });
+        }
+
+        req.session.user = sessionUser;
+
+        req.session.save(err => {
+            if (err) {
+                console.error("Session save error:", err);
+                return res.status(500).json({
+                    error: 'Login failed',
+                    message: 'Failed to create session'
+                });
+            }
+            res.json({
+                success: true,
+                message: 'Login successful',
+                user
+            });
+        });
+
+    } catch (error) {
+        console.error('Admin login error:', error);
+        res.status(500).json({
+            error: 'Login failed',
+            message: error.message
+        });
+    }
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+const refreshToken = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const tokens = await tokenService.refreshTokens(req.body.refreshToken);
+
+        res.json({
+            success: true,
+            tokens
+        });
+    } catch (error) {
+        if (error instanceof tokenService.TokenError) {
+            return res.status(error.status).json({
+                error: 'Invalid refresh token',
+                message: error.message
+            });
+        }
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            error: 'Failed to refresh token',
+            message: error.message
+        });
+    }
+};
+
+// Logout: revokes the bearer token (and a refresh token sent in the body) and
+// ends the session
+const logout = async (req, res) => {
+    try {
+        const refreshToken = typeof req.body.refreshToken === 'string' ? req.body.refreshToken : undefined;
+        await tokenService.revokeTokens({ accessToken: getBearerToken(req), refreshToken });
+    } catch (error) {
+        console.error('Token revocation error:', error);
+        return res.status(500).json({
+            error: 'Logout failed',
+            message: 'Could not log out, please try again'
+        });
+    }
+
     req.session.destroy((err) => {
         if (err) {
             return res.status(500).json({
@@ -322,23 +522,120 @@ const logout = (req, res) => {
     });
 };
 
-// Get current user
-const getCurrentUser = async (req, res) => {
+// Email or WhatsApp a password reset link. The answer is the same whether or
+// not the account exists.
+const forgotPassword = async (req, res) => {
     try {
-        if (!req.session.user) {
-            return res.status(401).json({
-                error: 'Not authenticated',
-                message: 'Please login first'
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
             });
         }
 
-        const { id, role } = req.session.user;
+        const { email, role, channel } = req.body;
+        await passwordService.requestPasswordReset({ email, role, channel });
+
+        res.json({
+            success: true,
+            message: 'If an account with that email exists, a password reset link has been sent'
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            error: 'Failed to request password reset',
+            message: error.message
+        });
+    }
+};
+
+// Set a new password with the token from a reset link
+const resetPassword = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { token, password } = req.body;
+        const { role } = await passwordService.resetPassword(token, password);
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully, please login with your new password',
+            role
+        });
+    } catch (error) {
+        if (error instanceof passwordService.PasswordError) {
+            return res.status(error.status).json({
+                error: 'Cannot reset password',
+                message: error.message
+            });
+        }
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            error: 'Failed to reset password',
+            message: error.message
+        });
+    }
+};
+
+// Change the signed-in user's password. Their other sessions and tokens stop
+// working; this one stays signed in.
+const changePassword = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { currentPassword, newPassword } = req.body;
+        await passwordService.changePassword(req.user, currentPassword, newPassword, {
+            exceptAccessToken: getBearerToken(req)
+        });
+
+        if (req.session && req.session.user) {
+            req.session.user.authenticatedAt = new Date();
+        }
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully'
+        });
+    } catch (error) {
+        if (error instanceof passwordService.PasswordError) {
+            return res.status(error.status).json({
+                error: 'Cannot change password',
+                message: error.message
+            });
+        }
+        console.error('Change password error:', error);
+        res.status(500).json({
+            error: 'Failed to change password',
+            message: error.message
+        });
+    }
+};
+
+// Get current user
+const getCurrentUser = async (req, res) => {
+    try {
+        const { id, role } = req.user;
         let user;
 
         if (role === 'doctor') {
             user = await Doctor.findById(id);
         } else if (role === 'patient') {
             user = await Patient.findById(id);
+        } else if (role === 'admin') {
+            user = await Admin.findById(id);
         }
 
         if (!user) {
@@ -370,6 +667,11 @@ module.exports = {
     loginDoctor,
     registerPatient,
     loginPatient,
+    loginAdmin,
+    refreshToken,
     logout,
+    forgotPassword,
+    resetPassword,
+    changePassword,
     getCurrentUser
 };
@@ -0,0 +1,207 @@
+const AvailabilityException = require('../models/AvailabilityException');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const { validationResult } = require('express-validator');
+const { getDayBounds, getExceptionsInRange } = require('../services/availabilityService');
+
+// Find scheduled appointments that a blocked exception would overlap
+const findAffectedAppointments = (exception) => {
+    if (exception.type !== 'blocked') {
+        return [];
+    }
+
+    const query = {
+        doctorId: exception.doctorId,
+        appointmentDate: { $gte: exception.startDate, $lte: exception.endDate },
+        status: { $in: ['scheduled', 'ongoing'] }
+    };
+    if (exception.timeSlots.length > 0) {
+        query.timeSlot = { $in: exception.timeSlots };
+    }
+
+    return Appointment.find(query)
+        .populate('patientId', 'name email phone')
+        .sort({ appointmentDate: 1 });
+};
+
+// Get doctor's availability exceptions
+const getAvailabilityExceptions = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { from, to } = req.query;
+        const doctor = await Doctor.findById(req.user.id).select('timezone');
+
+        // Default to everything from today onwards
+        const start = getDayBounds(doctor, from || new Date()).start;
+        const end = to ? getDayBounds(doctor, to).end : null;
+
+        const exceptions = await getExceptionsInRange(req.user.id, start, end);
+
+        res.json({
+            success: true,
+            exceptions
+        });
+    } catch (error) {
+        console.error('Get availability exceptions error:', error);
+        res.status(500).json({
+            error: 'Failed to get availability exceptions',
+            message: error.message
+        });
+    }
+};
+
+// Create availability exception (leave or extra slots)
+const createAvailabilityException = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { type, startDate, endDate, timeSlots, reason } = req.body;
+        const doctor = await Doctor.findById(req.user.id).select('timezone');
+
+        // Dates are calendar days in the doctor's timezone
+        const exception = new AvailabilityException({
+            doctorId: req.user.id,
+            type,
+            startDate: getDayBounds(doctor, startDate).start,
+            endDate: getDayBounds(doctor, endDate || startDate).end,
+            timeSlots: timeSlots || [],
+            reason
+        });
+
+        await exception.save();
+
+        const affectedAppointments = await findAffectedAppointments(exception);
+
+        res.status(201).json({
+            success: true,
+            message: 'Availability exception created successfully',
+            exception,
+            affectedAppointments
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: error.message
+            });
+        }
+        console.error('Create availability exception error:', error);
+        res.status(500).json({
+            error: 'Failed to create availability exception',
+            message: error.message
+        });
+    }
+};
+
+// Update availability exception
+const updateAvailabilityException = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const exception = await AvailabilityException.findOne({
+            _id: req.params.exceptionId,
+            doctorId: req.user.id
+        });
+
+        if (!exception) {
+            return res.status(404).json({
+                error: 'Exception not found',
+                message: 'Availability exception not found'
+            });
+        }
+
+        const { type, startDate, endDate, timeSlots, reason } = req.body;
+        const doctor = await Doctor.findById(req.user.id).select('timezone');
+
+        if (type !== undefined) exception.type = type;
+        if (startDate !== undefined) exception.startDate = getDayBounds(doctor, startDate).start;
+        if (endDate !== undefined) exception.endDate = getDayBounds(doctor, endDate).end;
+        if (timeSlots !== undefined) exception.timeSlots = timeSlots;
+        if (reason !== undefined) exception.reason = reason;
+
+        await exception.save();
+
+        const affectedAppointments = await findAffectedAppointments(exception);
+
+        res.json({
+            success: true,
+            message: 'Availability exception updated successfully',
+            exception,
+            affectedAppointments
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: error.message
+            });
+        }
+        console.error('Update availability exception error:', error);
+        res.status(500).json({
+            error: 'Failed to update availability exception',
+            message: error.message
+        });
+    }
+};
+
+// Delete availability exception
+const deleteAvailabilityException = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const exception = await AvailabilityException.findOneAndDelete({
+            _id: req.params.exceptionId,
+            doctorId: req.user.id
+        });
+
+        if (!exception) {
+            return res.status(404).json({
+                error: 'Exception not found',
+                message: 'Availability exception not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Availability exception deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete availability exception error:', error);
+        res.status(500).json({
+            error: 'Failed to delete availability exception',
+            message: error.message
+        });
+    }
+};
+
+module.exports = {
+    getAvailabilityExceptions,
+    createAvailabilityException,
+    updateAvailabilityException,
+    deleteAvailabilityException
+};
@@ -0,0 +1,140 @@
+const Appointment = require('../models/Appointment');
+const { validationResult } = require('express-validator');
+const consultationService = require('../services/consultationService');
+
+// How often an open join status stream re-reads the appointment, which picks up
+// changes made by other server instances
+const JOIN_STATUS_POLL_MS = parseInt(process.env.JOIN_STATUS_POLL_MS, 10) || 5000;
+
+// Load an appointment the current user takes part in, or answer with the error
+const findOwnAppointment = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+        return null;
+    }
+
+    const appointment = await Appointment.findById(req.params.appointmentId);
+    if (!appointment) {
+        res.status(404).json({
+            error: 'Appointment not found',
+            message: 'Appointment not found'
+        });
+        return null;
+    }
+
+    const { id, role } = req.user;
+    const hasPermission = (role === 'doctor' && appointment.doctorId.toString() === id) ||
+                         (role === 'patient' && appointment.patientId.toString() === id);
+    if (!hasPermission) {
+        res.status(403).json({
+            error: 'Access denied',
+            message: 'You do not have permission to view this appointment'
+        });
+        return null;
+    }
+
+    return appointment;
+};
+
+// Whether the doctor has started the consultation, for clients that poll
+const getJoinStatus = async (req, res) => {
+    try {
+        const appointment = await findOwnAppointment(req, res);
+        if (!appointment) {
+            return;
+        }
+
+        res.json({
+            success: true,
+            joinStatus: consultationService.getJoinStatus(appointment)
+        });
+    } catch (error) {
+        console.error('Get join status error:', error);
+        res.status(500).json({
+            error: 'Failed to get join status',
+            message: error.message
+        });
+    }
+};
+
+// Stream the join status as server-sent events: the current status straight
+// away, then every change until the appointment is finished
+const streamJoinStatus = async (req, res) => {
+    try {
+        const appointment = await findOwnAppointment(req, res);
+        if (!appointment) {
+            return;
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        let lastSent = null;
+        let timer = null;
+        let stopWatching = () => {};
+
+        const close = () => {
+            clearInterval(timer);
+            stopWatching();
+            res.end();
+        };
+
+        // Only changes are sent; otherwise a comment keeps the connection open
+        const push = (joinStatus) => {
+            const data = JSON.stringify(joinStatus);
+            if (data === lastSent) {
+                res.write(': keep-alive\n\n');
+                return;
+            }
+            lastSent = data;
+            res.write(`event: status\ndata: ${data}\n\n`);
+            if (joinStatus.finished) {
+                close();
+            }
+        };
+
+        push(consultationService.getJoinStatus(appointment));
+        if (res.writableEnded) {
+            return;
+        }
+
+        stopWatching = consultationService.watchJoinStatus(appointment._id, push);
+        timer = setInterval(() => {
+            Appointment.findById(appointment._id)
+                .then(latest => {
+                    if (latest && !res.writableEnded) {
+                        push(consultationService.getJoinStatus(latest));
+                    }
+                })
+                .catch(error => {
+                    console.error('Join status refresh error:', error);
+                });
+        }, JOIN_STATUS_POLL_MS);
+
+        req.on('close', close);
+    } catch (error) {
+        console.error('Stream join status error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                error: 'Failed to stream join status',
+                message: error.message
+            });
+        } else {
+            res.end();
+        }
+    }
+};
+
+module.exports = {
+    getJoinStatus,
+    streamJoinStatus
+};
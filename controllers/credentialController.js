@@ -0,0 +1,149 @@
+const { validationResult } = require('express-validator');
+const credentialService = require('../services/credentialService');
+
+// Send a CredentialError (or anything else) as a response
+const handleCredentialError = (res, error, logLabel, errorLabel) => {
+    if (error instanceof credentialService.CredentialError) {
+        return res.status(error.status).json({
+            error: errorLabel,
+            message: error.message
+        });
+    }
+    console.error(`${logLabel} error:`, error);
+    res.status(500).json({
+        error: errorLabel,
+        message: error.message
+    });
+};
+
+// The signed-in doctor's credentials and review outcome
+const getMyCredentials = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            credentials: await credentialService.getCredentials(req.user.id)
+        });
+    } catch (error) {
+        handleCredentialError(res, error, 'Get credentials', 'Failed to get credentials');
+    }
+};
+
+// Submit a license number and documents for review (doctors)
+const submitCredentials = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { licenseNumber, issuingAuthority } = req.body;
+        const credentials = await credentialService.submitCredentials(req.user.id, {
+            licenseNumber,
+            issuingAuthority,
+            files: req.files
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Credentials submitted for review',
+            credentials
+        });
+    } catch (error) {
+        handleCredentialError(res, error, 'Submit credentials', 'Failed to submit credentials');
+    }
+};
+
+// Doctors waiting for a credential review, oldest first (admins)
+const getReviewQueue = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { status = 'pending', page = 1, limit = 20 } = req.query;
+        const { doctors, total } = await credentialService.listReviewQueue({
+            status,
+            page: parseInt(page, 10),
+            limit: parseInt(limit, 10)
+        });
+
+        res.json({
+            success: true,
+            doctors,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        handleCredentialError(res, error, 'Get credential review queue', 'Failed to get review queue');
+    }
+};
+
+// Approve or reject a doctor's credentials with notes (admins)
+const reviewCredentials = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { decision, notes } = req.body;
+        const doctor = await credentialService.reviewCredentials(req.params.doctorId, {
+            decision,
+            notes,
+            reviewer: req.user
+        });
+
+        res.json({
+            success: true,
+            message: decision === 'approved' ? 'Doctor verified' : 'Credentials rejected',
+            doctor
+        });
+    } catch (error) {
+        handleCredentialError(res, error, 'Review credentials', 'Failed to review credentials');
+    }
+};
+
+// Download a credential document (admins)
+const downloadCredentialDocument = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const document = await credentialService.getCredentialDocument(req.params.doctorId, req.params.documentId);
+
+        res.set({
+            'Content-Type': document.contentType,
+            'Content-Disposition': `attachment; filename="${document.filename.replace(/["\\\r\n]/g, '_')}"`
+        });
+        res.send(document.data);
+    } catch (error) {
+        handleCredentialError(res, error, 'Download credential document', 'Failed to download document');
+    }
+};
+
+module.exports = {
+    getMyCredentials,
+    submitCredentials,
+    getReviewQueue,
+    reviewCredentials,
+    downloadCredentialDocument
+};
@@ -1,6 +1,12 @@
 const Doctor = require('../models/Doctor');
 const Appointment = require('../models/Appointment');
 const { validationResult } = require('express-validator');
+const availabilityService = require('../services/availabilityService');
+const appointmentCleanupService = require('../services/appointmentCleanupService');
+const tokenService = require('../services/tokenService');
+const verificationService = require('../services/verificationService');
+const { normalizeDateKey, describeRange, getViewerTimezone } = require('../utils/timezone');
+const { toPreferenceUpdates } = require('../utils/notificationPreferences');
 
 // Get doctor profile
 const getDoctorProfile = async (req, res) => {
@@ -40,7 +46,7 @@ const updateDoctorProfile = async (req, res) => {
         const allowedUpdates = [
             'name', 'phone', 'specialization', 'experience', 
             'qualifications', 'age', 'gender', 'consultationFee', 
-            'availability', 'profileImage'
+            'availability', 'profileImage', 'timezone', 'appointmentSettings'
         ];
 
         const updates = {};
@@ -50,6 +56,30 @@ const updateDoctorProfile = async (req, res) => {
             }
         });
 
+        // Notification preferences can be changed one setting at a time
+        if (req.body.notificationPreferences) {
+            Object.assign(updates, toPreferenceUpdates(req.body.notificationPreferences));
+        }
+
+        // Likewise the daily agenda settings, so lastSentFor is kept
+        if (req.body.dailyAgenda) {
+            ['enabled', 'time'].forEach(field => {
+                if (req.body.dailyAgenda[field] !== undefined) {
+                    updates[`dailyAgenda.${field}`] = req.body.dailyAgenda[field];
+                }
+            });
+        }
+
+        // A new phone number has to be verified again
+        let phoneChanged = false;
+        if (updates.phone !== undefined) {
+            const current = await Doctor.findById(req.user.id).select('phone');
+            phoneChanged = Boolean(current) && current.phone !== String(updates.phone).trim();
+            if (phoneChanged) {
+                updates.phoneVerified = false;
+            }
+        }
+
         const doctor = await Doctor.findByIdAndUpdate(
             req.user.id,
             updates,
@@ -63,6 +93,18 @@ const updateDoctorProfile = async (req, res) => {
             });
         }
 
+        // Keep the signed-in user's timezone in step with the profile
+        if (req.session && req.session.user) {
+            req.session.user.timezone = doctor.timezone;
+        }
+        await tokenService.updateTokenUser(doctor._id, { timezone: doctor.timezone });
+
+        if (phoneChanged) {
+            verificationService.sendPhoneCode({ id: doctor._id, role: 'doctor' }).catch(error => {
+                console.error('Phone verification send error:', error);
+            });
+        }
+
         res.json({
             success: true,
             message: 'Profile updated successfully',
@@ -83,13 +125,15 @@ const getAllDoctors = async (req, res) => {
     try {
         const { specialization, page = 1, limit = 10 } = req.query;
         
-        const query = {};
+        // Only doctors whose credentials have been approved, and who are not
+        // suspended, are listed
+        const query = { isVerified: true, 'suspension.suspendedAt': { $exists: false } };
         if (specialization) {
             query.specialization = specialization;
         }
 
         const doctors = await Doctor.find(query)
-            .select('-password')
+            .select('-password -credentials')
             .limit(limit * 1)
             .skip((page - 1) * limit)
             .sort({ rating: -1, totalPatients: -1 });
@@ -133,10 +177,11 @@ const getDoctorAppointments = async (req, res) => {
             .sort({ appointmentDate: 1 });
 
         const total = await Appointment.countDocuments(query);
+        const viewerTimezone = getViewerTimezone(req);
 
         res.json({
             success: true,
-            appointments,
+            appointments: appointments.map(apt => apt.toViewerJSON(viewerTimezone)),
             pagination: {
                 page: parseInt(page),
                 limit: parseInt(limit),
@@ -162,14 +207,12 @@ const getDoctorDashboard = async (req, res) => {
         // Get doctor info
         const doctor = await Doctor.findById(doctorId);
         
-        // Get appointment statistics
+        // Get appointment statistics ("today" is the doctor's calendar day)
+        const today = availabilityService.getDayBounds(doctor, new Date());
         const totalAppointments = await Appointment.countDocuments({ doctorId });
         const todayAppointments = await Appointment.countDocuments({
             doctorId,
-            appointmentDate: {
-                $gte: new Date().setHours(0, 0, 0, 0),
-                $lt: new Date().setHours(23, 59, 59, 999)
-            }
+            appointmentDate: { $gte: today.start, $lte: today.end }
         });
         const upcomingAppointments = await Appointment.countDocuments({
             doctorId,
@@ -199,7 +242,7 @@ const getDoctorDashboard = async (req, res) => {
                     todayAppointments,
                     upcomingAppointments
                 },
-                recentAppointments
+                recentAppointments: recentAppointments.map(apt => apt.toViewerJSON(getViewerTimezone(req)))
             }
         });
 
@@ -232,35 +275,22 @@ const getAvailableSlots = async (req, res) => {
             });
         }
 
-        // Get day of week
-        const dayOfWeek = new Date(date).toLocaleDateString('en-US', { weekday: 'long' });
-        
-        // Check if doctor is available on this day
-        if (!doctor.availability.days.includes(dayOfWeek)) {
-            return res.json({
-                success: true,
-                availableSlots: []
-            });
-        }
-
-        // Get booked appointments for this date
-        const bookedAppointments = await Appointment.find({
-            doctorId,
-            appointmentDate: {
-                $gte: new Date(date).setHours(0, 0, 0, 0),
-                $lt: new Date(date).setHours(23, 59, 59, 999)
-            },
-            status: { $in: ['scheduled', 'ongoing'] }
-        });
-
-        const bookedSlots = bookedAppointments.map(apt => apt.timeSlot);
-        const availableSlots = doctor.availability.timeSlots.filter(
-            slot => !bookedSlots.includes(slot)
-        );
+        const viewerTimezone = getViewerTimezone(req);
+        const slots = await availabilityService.getAvailableSlots(doctor, normalizeDateKey(date, viewerTimezone));
 
         res.json({
             success: true,
-            availableSlots
+            timezone: availabilityService.getDoctorTimezone(doctor),
+            availableSlots: slots.filter(slot => !slot.onHold).map(slot => slot.timeSlot),
+            slots: slots.map(slot => ({
+                timeSlot: slot.timeSlot,
+                startTime: slot.start,
+                endTime: slot.end,
+                onHold: slot.onHold,
+                heldByYou: slot.heldByYou,
+                holdExpiresAt: slot.holdExpiresAt,
+                localTime: describeRange(slot.start, slot.end, viewerTimezone)
+            }))
         });
 
     } catch (error) {
@@ -278,7 +308,7 @@ const getDoctorById = async (req, res) => {
         const { id } = req.params;
         
         const doctor = await Doctor.findById(id)
-            .select('-password -__v')
+            .select('-password -__v -credentials')
             .lean();
             
         if (!doctor) {
@@ -302,6 +332,67 @@ const getDoctorById = async (req, res) => {
     }
 };
 
+// Get what the stale appointment sweep changed for this doctor recently
+const getAppointmentCleanupReport = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const doctor = await Doctor.findById(req.user.id);
+        if (!doctor) {
+            return res.status(404).json({
+                error: 'Doctor not found',
+                message: 'Doctor profile not found'
+            });
+        }
+
+        const days = parseInt(req.query.days, 10) || 7;
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const changed = await appointmentCleanupService.getCleanupChanges(doctor._id, since);
+        const viewerTimezone = getViewerTimezone(req);
+
+        res.json({
+            success: true,
+            settings: appointmentCleanupService.getCleanupSettings(doctor),
+            since,
+            appointments: changed.map(({ appointment, changes }) => ({
+                ...appointment.toViewerJSON(viewerTimezone),
+                cleanupChanges: changes
+            }))
+        });
+    } catch (error) {
+        console.error('Get appointment cleanup report error:', error);
+        res.status(500).json({
+            error: 'Failed to get appointment cleanup report',
+            message: error.message
+        });
+    }
+};
+
+// Sweep this doctor's stale appointments now instead of waiting for the background job
+const runAppointmentCleanup = async (req, res) => {
+    try {
+        const report = await appointmentCleanupService.sweepStaleAppointments({ doctorId: req.user.id });
+
+        res.json({
+            success: true,
+            message: `Marked ${report.noShows.length} no-show(s) and completed ${report.completed.length} appointment(s)`,
+            report
+        });
+    } catch (error) {
+        console.error('Run appointment cleanup error:', error);
+        res.status(500).json({
+            error: 'Failed to run appointment cleanup',
+            message: error.message
+        });
+    }
+};
+
 module.exports = {
     getDoctorProfile,
     updateDoctorProfile,
@@ -309,5 +400,7 @@ module.exports = {
     getDoctorAppointments,
     getDoctorDashboard,
     getAvailableSlots,
-    getDoctorById
+    getDoctorById,
+    getAppointmentCleanupReport,
+    runAppointmentCleanup
 };
@@ -0,0 +1,128 @@
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const { validationResult } = require('express-validator');
+const availabilityService = require('../services/availabilityService');
+const reservationService = require('../services/reservationService');
+const { normalizeDateKey, describeRange, getViewerTimezone } = require('../utils/timezone');
+
+// Hold a slot while the patient completes booking
+const createSlotHold = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { doctorId, appointmentDate, timeSlot } = req.body;
+        const patientId = req.user.id;
+
+        const doctor = await Doctor.findById(doctorId);
+        if (!doctor) {
+            return res.status(404).json({
+                error: 'Doctor not found',
+                message: 'Selected doctor not found'
+            });
+        }
+
+        const patient = await Patient.findById(patientId).select('phoneVerified');
+        if (!patient) {
+            return res.status(404).json({
+                error: 'Patient not found',
+                message: 'Patient profile not found'
+            });
+        }
+
+        const restriction = availabilityService.findBookingRestriction(doctor, patient);
+        if (restriction) {
+            return res.status(403).json(restriction);
+        }
+
+        const viewerTimezone = getViewerTimezone(req);
+        const dateKey = normalizeDateKey(appointmentDate, viewerTimezone);
+        const { start, end } = availabilityService.resolveDoctorSlot(doctor, dateKey, timeSlot);
+
+        if (start <= new Date()) {
+            return res.status(400).json({
+                error: 'Invalid date',
+                message: 'Appointment date must be in the future'
+            });
+        }
+
+        const slotOffered = await availabilityService.isSlotOffered(doctor, dateKey, timeSlot);
+        if (!slotOffered) {
+            return res.status(400).json({
+                error: 'Time slot not available',
+                message: 'The doctor is not available at this time'
+            });
+        }
+
+        const hold = await reservationService.createHold({
+            doctorId,
+            patientId,
+            start,
+            end,
+            timeSlot
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Slot held for ${reservationService.HOLD_MINUTES} minutes`,
+            hold: {
+                ...hold.toJSON(),
+                localTime: describeRange(start, end, viewerTimezone)
+            }
+        });
+    } catch (error) {
+        if (error instanceof reservationService.SlotUnavailableError) {
+            return res.status(error.status).json({
+                error: 'Time slot not available',
+                message: error.message
+            });
+        }
+        console.error('Create slot hold error:', error);
+        res.status(500).json({
+            error: 'Failed to hold slot',
+            message: error.message
+        });
+    }
+};
+
+// Release a slot hold before it expires
+const releaseSlotHold = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const hold = await reservationService.releaseHold(req.params.holdId, req.user.id);
+        if (!hold) {
+            return res.status(404).json({
+                error: 'Hold not found',
+                message: 'Slot hold not found or already expired'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Slot hold released'
+        });
+    } catch (error) {
+        console.error('Release slot hold error:', error);
+        res.status(500).json({
+            error: 'Failed to release slot hold',
+            message: error.message
+        });
+    }
+};
+
+module.exports = {
+    createSlotHold,
+    releaseSlotHold
+};
@@ -0,0 +1,48 @@
+const { getInboundFormat } = require('../services/messaging');
+const inboundMessageService = require('../services/inboundMessageService');
+
+// Receive a WhatsApp reply from the messaging provider. The request is
+// authenticated by the provider's signature rather than a session.
+const receiveInboundMessage = async (req, res) => {
+    try {
+        const format = getInboundFormat();
+        if (!format.isConfigured()) {
+            return res.status(503).json({
+                error: 'Webhook not configured',
+                message: 'No webhook secret is set for inbound messages'
+            });
+        }
+
+        if (!format.verify(req)) {
+            return res.status(401).json({
+                error: 'Invalid signature',
+                message: 'The request signature does not match'
+            });
+        }
+
+        const message = format.parse(req);
+        if (!message.from || typeof message.text !== 'string') {
+            return res.status(400).json({
+                error: 'Invalid message',
+                message: 'Sender and text are required'
+            });
+        }
+
+        const { outcome } = await inboundMessageService.handleInboundMessage(message);
+
+        res.json({
+            success: true,
+            outcome
+        });
+    } catch (error) {
+        console.error('Inbound message error:', error);
+        res.status(500).json({
+            error: 'Failed to handle inbound message',
+            message: error.message
+        });
+    }
+};
+
+module.exports = {
+    receiveInboundMessage
+};
@@ -0,0 +1,253 @@
+const Notification = require('../models/Notification');
+const Appointment = require('../models/Appointment');
+const { validationResult } = require('express-validator');
+const notificationService = require('../services/notificationService');
+const { isAdmin } = require('../middleware/auth');
+const { ACCOUNT_TYPES } = require('../utils/notificationPreferences');
+
+// Notifications the current user may see: those about their own appointments and
+// waitlist entries, or every notification for an admin. Account messages carry
+// reset links and verification codes, so only admins see them (without their
+// text, see toResponse), even when an older one was tagged with the user's id.
+const getOwnershipFilter = (user) => {
+    if (isAdmin(user)) {
+        return {};
+    }
+    const owner = user.role === 'doctor' ? { doctorId: user.id } : { patientId: user.id };
+    return { ...owner, type: { $nin: ACCOUNT_TYPES } };
+};
+
+// A notification as the API returns it, without the link or code of an account message
+const toResponse = (notification) => {
+    const json = notification.toJSON();
+    if (ACCOUNT_TYPES.includes(json.type) && json.message) {
+        delete json.message.text;
+        delete json.message.html;
+    }
+    return json;
+};
+
+// List notifications, e.g. ?status=dead for the dead letters
+const getNotifications = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { status, channel, type, appointmentId, page = 1, limit = 20 } = req.query;
+
+        const query = getOwnershipFilter(req.user);
+        if (status) {
+            query.status = status;
+        }
+        if (channel) {
+            query.channel = channel;
+        }
+        if (type) {
+            query.type = { ...query.type, $eq: type };
+        }
+        if (appointmentId) {
+            query.appointmentId = appointmentId;
+        }
+
+        const notifications = await Notification.find(query)
+            .select('-message.html -message.calendar')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Notification.countDocuments(query);
+
+        res.json({
+            success: true,
+            notifications: notifications.map(toResponse),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({
+            error: 'Failed to get notifications',
+            message: error.message
+        });
+    }
+};
+
+// Re-queue a dead-lettered notification with a fresh set of delivery attempts
+const retryNotification = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const notification = await Notification.findOne({
+            _id: req.params.notificationId,
+            ...getOwnershipFilter(req.user)
+        });
+
+        if (!notification) {
+            return res.status(404).json({
+                error: 'Notification not found',
+                message: 'Notification not found'
+            });
+        }
+
+        if (notification.status !== 'dead') {
+            return res.status(400).json({
+                error: 'Cannot retry notification',
+                message: `Only dead-lettered notifications can be retried; this one is ${notification.status}`
+            });
+        }
+
+        const requeued = await notificationService.retryNotification(notification._id);
+        if (!requeued) {
+            return res.status(409).json({
+                error: 'Cannot retry notification',
+                message: 'The notification was retried by someone else'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Notification queued for delivery',
+            notification: toResponse(requeued)
+        });
+    } catch (error) {
+        console.error('Retry notification error:', error);
+        res.status(500).json({
+            error: 'Failed to retry notification',
+            message: error.message
+        });
+    }
+};
+
+// Load an appointment whose notifications the current user may manage: the
+// doctor's own appointments, or any appointment for an admin. Answers with the
+// error and resolves to null otherwise.
+const findManagedAppointment = async (req, res) => {
+    const appointment = await Appointment.findById(req.params.appointmentId).select('doctorId patientId');
+    if (!appointment) {
+        res.status(404).json({
+            error: 'Appointment not found',
+            message: 'Appointment not found'
+        });
+        return null;
+    }
+
+    const isDoctor = req.user.role === 'doctor' && appointment.doctorId.toString() === req.user.id;
+    if (!isDoctor && !isAdmin(req.user)) {
+        res.status(403).json({
+            error: 'Access denied',
+            message: 'Only the doctor of this appointment or an administrator can see its notifications'
+        });
+        return null;
+    }
+
+    return appointment;
+};
+
+// Every notification about an appointment with its delivery attempts, newest first
+const getAppointmentNotifications = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const appointment = await findManagedAppointment(req, res);
+        if (!appointment) {
+            return;
+        }
+
+        const notifications = await Notification.find({ appointmentId: appointment._id })
+            .select('-message.html -message.calendar')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            notifications
+        });
+    } catch (error) {
+        console.error('Get appointment notifications error:', error);
+        res.status(500).json({
+            error: 'Failed to get appointment notifications',
+            message: error.message
+        });
+    }
+};
+
+// Send a copy of one of an appointment's notifications again
+const resendAppointmentNotification = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const appointment = await findManagedAppointment(req, res);
+        if (!appointment) {
+            return;
+        }
+
+        const original = await Notification.findOne({
+            _id: req.params.notificationId,
+            appointmentId: appointment._id
+        }).select('_id');
+        if (!original) {
+            return res.status(404).json({
+                error: 'Notification not found',
+                message: 'Notification not found'
+            });
+        }
+
+        const notification = await notificationService.resendNotification(original._id, {
+            userId: req.user.id,
+            email: req.user.email
+        });
+
+        res.status(201).json({
+            success: true,
+            message: notification.status === 'suppressed'
+                ? `The copy was not sent: ${notification.suppressedReason}`
+                : 'Notification queued for delivery',
+            notification
+        });
+    } catch (error) {
+        if (error instanceof notificationService.NotificationError) {
+            return res.status(error.status).json({
+                error: 'Cannot resend notification',
+                message: error.message
+            });
+        }
+        console.error('Resend notification error:', error);
+        res.status(500).json({
+            error: 'Failed to resend notification',
+            message: error.message
+        });
+    }
+};
+
+module.exports = {
+    getNotifications,
+    retryNotification,
+    getAppointmentNotifications,
+    resendAppointmentNotification
+};
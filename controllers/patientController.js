@@ -2,6 +2,10 @@ const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
 const Appointment = require('../models/Appointment');
 const { validationResult } = require('express-validator');
+const tokenService = require('../services/tokenService');
+const verificationService = require('../services/verificationService');
+const { getViewerTimezone } = require('../utils/timezone');
+const { toPreferenceUpdates } = require('../utils/notificationPreferences');
 
 // Get patient profile
 const getPatientProfile = async (req, res) => {
@@ -41,7 +45,7 @@ const updatePatientProfile = async (req, res) => {
         const allowedUpdates = [
             'name', 'phone', 'age', 'gender', 'bloodGroup',
             'medicalHistory', 'allergies', 'currentMedications',
-            'emergencyContact', 'profileImage'
+            'emergencyContact', 'profileImage', 'timezone', 'preferredLanguage'
         ];
 
         const updates = {};
@@ -51,6 +55,21 @@ const updatePatientProfile = async (req, res) => {
             }
         });
 
+        // Notification preferences can be changed one setting at a time
+        if (req.body.notificationPreferences) {
+            Object.assign(updates, toPreferenceUpdates(req.body.notificationPreferences));
+        }
+
+        // A new phone number has to be verified again
+        let phoneChanged = false;
+        if (updates.phone !== undefined) {
+            const current = await Patient.findById(req.user.id).select('phone');
+            phoneChanged = Boolean(current) && current.phone !== String(updates.phone).trim();
+            if (phoneChanged) {
+                updates.phoneVerified = false;
+            }
+        }
+
         const patient = await Patient.findByIdAndUpdate(
             req.user.id,
             updates,
@@ -64,6 +83,18 @@ const updatePatientProfile = async (req, res) => {
             });
         }
 
+        // Keep the signed-in user's timezone in step with the profile
+        if (req.session && req.session.user) {
+            req.session.user.timezone = patient.timezone;
+        }
+        await tokenService.updateTokenUser(patient._id, { timezone: patient.timezone });
+
+        if (phoneChanged) {
+            verificationService.sendPhoneCode({ id: patient._id, role: 'patient' }).catch(error => {
+                console.error('Phone verification send error:', error);
+            });
+        }
+
         res.json({
             success: true,
             message: 'Profile updated successfully',
@@ -96,10 +127,11 @@ const getPatientAppointments = async (req, res) => {
             .sort({ appointmentDate: -1 });
 
         const total = await Appointment.countDocuments(query);
+        const viewerTimezone = getViewerTimezone(req);
 
         res.json({
             success: true,
-            appointments,
+            appointments: appointments.map(apt => apt.toViewerJSON(viewerTimezone)),
             pagination: {
                 page: parseInt(page),
                 limit: parseInt(limit),
@@ -144,7 +176,7 @@ const getPatientDashboard = async (req, res) => {
             .limit(5);
 
         // Get recommended doctors based on patient's medical history
-        const recommendedDoctors = await Doctor.find({})
+        const recommendedDoctors = await Doctor.find({ isVerified: true, 'suspension.suspendedAt': { $exists: false } })
             .select('name specialization rating consultationFee')
             .sort({ rating: -1 })
             .limit(5);
@@ -162,7 +194,7 @@ const getPatientDashboard = async (req, res) => {
                     upcomingAppointments,
                     completedAppointments
                 },
-                recentAppointments,
+                recentAppointments: recentAppointments.map(apt => apt.toViewerJSON(getViewerTimezone(req))),
                 recommendedDoctors
             }
         });
@@ -188,7 +220,9 @@ const searchDoctors = async (req, res) => {
             limit = 10 
         } = req.query;
 
-        const query = {};
+        // Only doctors whose credentials have been approved, and who are not
+        // suspended, are listed
+        const query = { isVerified: true, 'suspension.suspendedAt': { $exists: false } };
         
         if (specialization) {
             query.specialization = { $regex: specialization, $options: 'i' };
@@ -207,7 +241,7 @@ const searchDoctors = async (req, res) => {
         }
 
         const doctors = await Doctor.find(query)
-            .select('-password')
+            .select('-password -credentials')
             .limit(limit * 1)
             .skip((page - 1) * limit)
             .sort({ rating: -1, totalPatients: -1 });
@@ -239,7 +273,7 @@ const getDoctorDetails = async (req, res) => {
     try {
         const { doctorId } = req.params;
 
-        const doctor = await Doctor.findById(doctorId).select('-password');
+        const doctor = await Doctor.findById(doctorId).select('-password -credentials');
         if (!doctor) {
             return res.status(404).json({
                 error: 'Doctor not found',
@@ -0,0 +1,257 @@
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const Doctor = require('../models/Doctor');
+const { validationResult } = require('express-validator');
+const availabilityService = require('../services/availabilityService');
+const seriesService = require('../services/seriesService');
+const { toDateKey, normalizeDateKey, getViewerTimezone } = require('../utils/timezone');
+
+// Send a SeriesError (or anything else) as a response
+const handleSeriesError = (res, error, logLabel, errorLabel) => {
+    if (error instanceof seriesService.SeriesError) {
+        return res.status(error.status).json({
+            error: errorLabel,
+            message: error.message,
+            conflicts: error.conflicts
+        });
+    }
+    console.error(`${logLabel} error:`, error);
+    res.status(500).json({
+        error: errorLabel,
+        message: error.message
+    });
+};
+
+// Load a series the current user (its doctor or patient) may act on
+const findAccessibleSeries = async (req, res) => {
+    const series = await AppointmentSeries.findById(req.params.seriesId);
+    if (!series) {
+        res.status(404).json({
+            error: 'Series not found',
+            message: 'Appointment series not found'
+        });
+        return null;
+    }
+
+    const { id, role } = req.user;
+    const hasPermission = (role === 'doctor' && series.doctorId.toString() === id) ||
+                         (role === 'patient' && series.patientId.toString() === id);
+
+    if (!hasPermission) {
+        res.status(403).json({
+            error: 'Access denied',
+            message: 'You do not have permission to access this series'
+        });
+        return null;
+    }
+
+    return series;
+};
+
+// Create a follow-up series from a completed appointment (doctors)
+const createFollowUpSeries = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const sourceAppointment = await Appointment.findById(req.params.appointmentId);
+        if (!sourceAppointment) {
+            return res.status(404).json({
+                error: 'Appointment not found',
+                message: 'Appointment not found'
+            });
+        }
+
+        if (sourceAppointment.doctorId.toString() !== req.user.id) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'You can only create follow-ups for your own appointments'
+            });
+        }
+
+        if (sourceAppointment.status !== 'completed') {
+            return res.status(400).json({
+                error: 'Cannot create follow-ups',
+                message: 'Follow-ups can only be created from a completed appointment'
+            });
+        }
+
+        const doctor = await Doctor.findById(req.user.id);
+        const timeZone = availabilityService.getDoctorTimezone(doctor);
+        const viewerTimezone = getViewerTimezone(req);
+
+        const {
+            frequency,
+            interval = 1,
+            count,
+            until,
+            startDate,
+            timeSlot = sourceAppointment.timeSlot,
+            consultationType = sourceAppointment.consultationType,
+            notes,
+            skipConflicts = false
+        } = req.body;
+
+        // The first follow-up defaults to one interval after the completed appointment
+        const sourceDateKey = toDateKey(sourceAppointment.getSlotInstants().start, timeZone);
+        const firstDate = startDate
+            ? normalizeDateKey(startDate, viewerTimezone)
+            : seriesService.generateOccurrenceDates(sourceDateKey, { frequency, interval, count: 2 })[1];
+
+        const { series, appointments, skipped } = await seriesService.createSeries({
+            doctor,
+            sourceAppointment,
+            recurrence: {
+                frequency,
+                interval,
+                count,
+                until: until ? availabilityService.getDayBounds(doctor, normalizeDateKey(until, viewerTimezone)).end : undefined
+            },
+            firstDate,
+            timeSlot,
+            consultationType,
+            notes,
+            skipConflicts
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Created ${appointments.length} follow-up appointment(s)`,
+            series,
+            appointments: appointments.map(apt => apt.toViewerJSON(viewerTimezone)),
+            skipped
+        });
+    } catch (error) {
+        handleSeriesError(res, error, 'Create follow-up series', 'Failed to create follow-up series');
+    }
+};
+
+// Get a series with its appointments
+const getSeries = async (req, res) => {
+    try {
+        const series = await findAccessibleSeries(req, res);
+        if (!series) return;
+
+        const appointments = await Appointment.find({ seriesId: series._id })
+            .sort({ appointmentDate: 1 });
+        const viewerTimezone = getViewerTimezone(req);
+
+        res.json({
+            success: true,
+            series,
+            appointments: appointments.map(apt => apt.toViewerJSON(viewerTimezone))
+        });
+    } catch (error) {
+        console.error('Get series error:', error);
+        res.status(500).json({
+            error: 'Failed to get series',
+            message: error.message
+        });
+    }
+};
+
+// Cancel the remaining appointments of a series (doctor or patient)
+const cancelSeries = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const series = await findAccessibleSeries(req, res);
+        if (!series) return;
+
+        if (series.status === 'cancelled') {
+            return res.status(400).json({
+                error: 'Cannot cancel series',
+                message: 'Series is already cancelled'
+            });
+        }
+
+        // Optionally keep appointments before fromDate and cancel the rest
+        let from;
+        if (req.body.fromDate) {
+            const doctor = await Doctor.findById(series.doctorId);
+            from = availabilityService.getDayBounds(doctor, normalizeDateKey(req.body.fromDate, getViewerTimezone(req))).start;
+        }
+
+        const cancelled = await seriesService.cancelRemaining(series, from, {
+            changedBy: { role: req.user.role, userId: req.user.id },
+            category: req.body.category,
+            reason: req.body.reason
+        });
+
+        res.json({
+            success: true,
+            message: `Cancelled ${cancelled.length} appointment(s)`,
+            series,
+            cancelledAppointmentIds: cancelled.map(apt => apt._id)
+        });
+    } catch (error) {
+        handleSeriesError(res, error, 'Cancel series', 'Failed to cancel series');
+    }
+};
+
+// Move the remaining appointments of a series (doctor or patient)
+const rescheduleSeries = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const series = await findAccessibleSeries(req, res);
+        if (!series) return;
+
+        if (series.status === 'cancelled') {
+            return res.status(400).json({
+                error: 'Cannot reschedule series',
+                message: 'Series is cancelled'
+            });
+        }
+
+        const { timeSlot, shiftDays = 0, reason } = req.body;
+        if (!timeSlot && !shiftDays) {
+            return res.status(400).json({
+                error: 'Nothing to change',
+                message: 'Provide a new timeSlot and/or shiftDays'
+            });
+        }
+
+        const doctor = await Doctor.findById(series.doctorId);
+        const moved = await seriesService.rescheduleRemaining(series, doctor, {
+            timeSlot,
+            shiftDays: parseInt(shiftDays, 10),
+            changedBy: { role: req.user.role, userId: req.user.id },
+            reason
+        });
+        const viewerTimezone = getViewerTimezone(req);
+
+        res.json({
+            success: true,
+            message: `Rescheduled ${moved.length} appointment(s)`,
+            series,
+            appointments: moved.map(apt => apt.toViewerJSON(viewerTimezone))
+        });
+    } catch (error) {
+        handleSeriesError(res, error, 'Reschedule series', 'Failed to reschedule series');
+    }
+};
+
+module.exports = {
+    createFollowUpSeries,
+    getSeries,
+    cancelSeries,
+    rescheduleSeries
+};
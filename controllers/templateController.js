@@ -0,0 +1,118 @@
+const { validationResult } = require('express-validator');
+const templateService = require('../services/templateService');
+
+// Send a TemplateError (or anything else) as a response
+const handleTemplateError = (res, error, logLabel, errorLabel) => {
+    if (error instanceof templateService.TemplateError) {
+        return res.status(error.status).json({
+            error: errorLabel,
+            message: error.message
+        });
+    }
+    console.error(`${logLabel} error:`, error);
+    res.status(500).json({
+        error: errorLabel,
+        message: error.message
+    });
+};
+
+// List notification templates with their variables and translations
+const getTemplates = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { channel, type, language } = req.query;
+        const templates = await templateService.listTemplates({ channel, type, language });
+
+        res.json({
+            success: true,
+            templates
+        });
+    } catch (error) {
+        handleTemplateError(res, error, 'Get templates', 'Failed to get templates');
+    }
+};
+
+// Customise a template for a language
+const updateTemplate = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { channel, type, language } = req.params;
+        const { subject, body } = req.body;
+        const template = await templateService.saveTemplate(channel, type, language, { subject, body }, req.user.email);
+
+        res.json({
+            success: true,
+            message: 'Template saved successfully',
+            template
+        });
+    } catch (error) {
+        handleTemplateError(res, error, 'Update template', 'Failed to save template');
+    }
+};
+
+// Go back to the built-in template for a language
+const resetTemplate = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { channel, type, language } = req.params;
+        await templateService.resetTemplate(channel, type, language);
+
+        res.json({
+            success: true,
+            message: 'Template reset to the default'
+        });
+    } catch (error) {
+        handleTemplateError(res, error, 'Reset template', 'Failed to reset template');
+    }
+};
+
+// Render a template, or an unsaved draft of one, with sample variables
+const previewTemplate = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { channel, type, language, subject, body, variables } = req.body;
+        const preview = await templateService.previewTemplate({ channel, type, language, subject, body, variables });
+
+        res.json({
+            success: true,
+            preview
+        });
+    } catch (error) {
+        handleTemplateError(res, error, 'Preview template', 'Failed to preview template');
+    }
+};
+
+module.exports = {
+    getTemplates,
+    updateTemplate,
+    resetTemplate,
+    previewTemplate
+};
@@ -0,0 +1,96 @@
+const { validationResult } = require('express-validator');
+const verificationService = require('../services/verificationService');
+
+// Send a VerificationError (or anything else) as a response
+const handleVerificationError = (res, error, logLabel, errorLabel) => {
+    if (error instanceof verificationService.VerificationError) {
+        return res.status(error.status).json({
+            error: errorLabel,
+            message: error.message
+        });
+    }
+    console.error(`${logLabel} error:`, error);
+    res.status(500).json({
+        error: errorLabel,
+        message: error.message
+    });
+};
+
+// Email the signed-in user a new link to verify their email address
+const sendEmailVerification = async (req, res) => {
+    try {
+        await verificationService.sendEmailVerification(req.user);
+
+        res.json({
+            success: true,
+            message: 'Verification email sent'
+        });
+    } catch (error) {
+        handleVerificationError(res, error, 'Send email verification', 'Failed to send verification email');
+    }
+};
+
+// Verify an email address with the token from a verification link
+const verifyEmail = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        await verificationService.verifyEmail(req.body.token);
+
+        res.json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+    } catch (error) {
+        handleVerificationError(res, error, 'Verify email', 'Cannot verify email');
+    }
+};
+
+// Send the signed-in user a new code to verify their phone number
+const sendPhoneVerification = async (req, res) => {
+    try {
+        await verificationService.sendPhoneCode(req.user);
+
+        res.json({
+            success: true,
+            message: 'Verification code sent on WhatsApp'
+        });
+    } catch (error) {
+        handleVerificationError(res, error, 'Send phone verification', 'Failed to send verification code');
+    }
+};
+
+// Verify the signed-in user's phone number with the code sent to it
+const verifyPhone = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        await verificationService.verifyPhone(req.user, req.body.code);
+
+        res.json({
+            success: true,
+            message: 'Phone number verified successfully'
+        });
+    } catch (error) {
+        handleVerificationError(res, error, 'Verify phone', 'Cannot verify phone number');
+    }
+};
+
+module.exports = {
+    sendEmailVerification,
+    verifyEmail,
+    sendPhoneVerification,
+    verifyPhone
+};
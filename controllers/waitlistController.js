@@ -0,0 +1,252 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const { validationResult } = require('express-validator');
+const availabilityService = require('../services/availabilityService');
+const waitlistService = require('../services/waitlistService');
+const { normalizeDateKey, getViewerTimezone } = require('../utils/timezone');
+
+// Longest date range a patient can wait for
+const MAX_WAITLIST_DAYS = 60;
+
+// Send a WaitlistError (or anything else) as a response
+const handleWaitlistError = (res, error, logLabel, errorLabel) => {
+    if (error instanceof waitlistService.WaitlistError) {
+        return res.status(error.status).json({
+            error: errorLabel,
+            message: error.message
+        });
+    }
+    console.error(`${logLabel} error:`, error);
+    res.status(500).json({
+        error: errorLabel,
+        message: error.message
+    });
+};
+
+// Join a doctor's waitlist (patients)
+const joinWaitlist = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const {
+            doctorId,
+            startDate,
+            endDate,
+            preferredTimeSlots,
+            consultationType = 'video',
+            symptoms
+        } = req.body;
+        const patientId = req.user.id;
+
+        const doctor = await Doctor.findById(doctorId);
+        if (!doctor) {
+            return res.status(404).json({
+                error: 'Doctor not found',
+                message: 'Selected doctor not found'
+            });
+        }
+
+        const patient = await Patient.findById(patientId).select('phoneVerified');
+        if (!patient) {
+            return res.status(404).json({
+                error: 'Patient not found',
+                message: 'Patient profile not found'
+            });
+        }
+
+        const restriction = availabilityService.findBookingRestriction(doctor, patient);
+        if (restriction) {
+            return res.status(403).json(restriction);
+        }
+
+        // Dates are calendar days in the doctor's timezone
+        const viewerTimezone = getViewerTimezone(req);
+        const start = availabilityService.getDayBounds(doctor, normalizeDateKey(startDate, viewerTimezone)).start;
+        const end = availabilityService.getDayBounds(doctor, normalizeDateKey(endDate || startDate, viewerTimezone)).end;
+
+        if (end <= new Date()) {
+            return res.status(400).json({
+                error: 'Invalid date range',
+                message: 'The waitlist date range must include a future date'
+            });
+        }
+
+        if (end - start > MAX_WAITLIST_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({
+                error: 'Invalid date range',
+                message: `The waitlist date range cannot exceed ${MAX_WAITLIST_DAYS} days`
+            });
+        }
+
+        const existingEntry = await WaitlistEntry.findOne({
+            doctorId,
+            patientId,
+            status: { $in: ['waiting', 'offered'] }
+        });
+        if (existingEntry) {
+            return res.status(400).json({
+                error: 'Already on waitlist',
+                message: 'You are already on this doctor\'s waitlist'
+            });
+        }
+
+        const entry = new WaitlistEntry({
+            doctorId,
+            patientId,
+            startDate: start,
+            endDate: end,
+            preferredTimeSlots: preferredTimeSlots || [],
+            consultationType,
+            symptoms
+        });
+
+        await entry.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Added to waitlist successfully',
+            entry
+        });
+    } catch (error) {
+        console.error('Join waitlist error:', error);
+        res.status(500).json({
+            error: 'Failed to join waitlist',
+            message: error.message
+        });
+    }
+};
+
+// Get waitlist entries (a patient's own entries, or a doctor's waitlist)
+const getWaitlist = async (req, res) => {
+    try {
+        const { role, id } = req.user;
+
+        if (role === 'doctor') {
+            const entries = await WaitlistEntry.find({
+                doctorId: id,
+                status: { $in: ['waiting', 'offered'] }
+            })
+                .populate('patientId', 'name email phone')
+                .sort({ createdAt: 1 });
+
+            return res.json({
+                success: true,
+                entries
+            });
+        }
+
+        const entries = await WaitlistEntry.find({ patientId: id })
+            .populate('doctorId', 'name specialization')
+            .sort({ createdAt: -1 });
+
+        // Position in the queue for entries still waiting
+        const entriesWithPosition = await Promise.all(entries.map(async (entry) => {
+            const entryObject = entry.toJSON();
+            if (entry.status === 'waiting') {
+                entryObject.position = await WaitlistEntry.countDocuments({
+                    doctorId: entry.doctorId._id,
+                    status: 'waiting',
+                    createdAt: { $lt: entry.createdAt }
+                }) + 1;
+            }
+            return entryObject;
+        }));
+
+        res.json({
+            success: true,
+            entries: entriesWithPosition
+        });
+    } catch (error) {
+        console.error('Get waitlist error:', error);
+        res.status(500).json({
+            error: 'Failed to get waitlist',
+            message: error.message
+        });
+    }
+};
+
+// Leave a waitlist (patients)
+const leaveWaitlist = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const entry = await WaitlistEntry.findOne({
+            _id: req.params.entryId,
+            patientId: req.user.id,
+            status: { $in: ['waiting', 'offered'] }
+        });
+
+        if (!entry) {
+            return res.status(404).json({
+                error: 'Waitlist entry not found',
+                message: 'No active waitlist entry found'
+            });
+        }
+
+        const cancelledEntry = await waitlistService.cancelEntry(entry);
+
+        res.json({
+            success: true,
+            message: 'Removed from waitlist successfully',
+            entry: cancelledEntry
+        });
+    } catch (error) {
+        console.error('Leave waitlist error:', error);
+        res.status(500).json({
+            error: 'Failed to leave waitlist',
+            message: error.message
+        });
+    }
+};
+
+// Claim an offered slot using the token from the claim link (patients)
+const claimWaitlistOffer = async (req, res) => {
+    try {
+        const { entry, appointment } = await waitlistService.claimOffer(req.params.token, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Appointment booked successfully',
+            entry,
+            appointment: appointment.toViewerJSON(getViewerTimezone(req))
+        });
+    } catch (error) {
+        handleWaitlistError(res, error, 'Claim waitlist offer', 'Failed to claim offer');
+    }
+};
+
+// Decline an offered slot so it goes to the next patient (patients)
+const declineWaitlistOffer = async (req, res) => {
+    try {
+        const entry = await waitlistService.declineOffer(req.params.token, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Offer declined, you remain on the waitlist',
+            entry
+        });
+    } catch (error) {
+        handleWaitlistError(res, error, 'Decline waitlist offer', 'Failed to decline offer');
+    }
+};
+
+module.exports = {
+    joinWaitlist,
+    getWaitlist,
+    leaveWaitlist,
+    claimWaitlistOffer,
+    declineWaitlistOffer
+};
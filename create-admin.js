@@ -0,0 +1,37 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const connectDB = require('./config/database');
+const { createAdmin } = require('./services/adminService');
+
+// Create an administrator. Later administrators can be added through the API.
+// Usage: node create-admin.js <email> <name>
+// The password is taken from ADMIN_PASSWORD, or generated and printed.
+const [email, ...nameParts] = process.argv.slice(2);
+const name = nameParts.join(' ') || 'Administrator';
+
+if (!email) {
+    console.log('Usage: node create-admin.js <email> [name]');
+    process.exit(1);
+}
+
+const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+const run = async () => {
+    await connectDB();
+    try {
+        const admin = await createAdmin({ name, email: email.toLowerCase(), password });
+        console.log(`✅ Administrator created: ${admin.email}`);
+        if (!process.env.ADMIN_PASSWORD) {
+            console.log(`Password: ${password}`);
+            console.log('Change it after signing in (PUT /api/auth/password).');
+        }
+    } catch (error) {
+        console.error('❌ Could not create administrator:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run();
@@ -1,91 +1,156 @@
-// Authentication middleware for session-based auth
-const requireAuth = (req, res, next) => {
+const tokenService = require('../services/tokenService');
+
+// The access token of an "Authorization: Bearer <token>" header
+const getBearerToken = (req) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+};
+
+// The signed-in user: the session's, or else the owner of a bearer access token.
+// A session revoked since it signed in (password change, forced logout,
+// suspension) is ended.
+const resolveUser = async (req) => {
     if (req.session && req.session.user) {
-        req.user = req.session.user;
-        return next();
-    } else {
-        return res.status(401).json({ 
-            error: 'Authentication required',
-            message: 'Please login to access this resource'
-        });
+        if (!(await tokenService.isSessionRevoked(req.session.user))) {
+            return req.session.user;
+        }
+        delete req.session.user;
     }
+    const accessToken = getBearerToken(req);
+    return accessToken ? tokenService.authenticateAccessToken(accessToken) : null;
 };
 
-// Check if user is a doctor
-const requireDoctor = (req, res, next) => {
-    // Debug to see what's in the session
-    console.log("DOCTOR SESSION DATA:", req.session);
-    
-    if (!req.session || !req.session.user) {
-        return res.status(401).json({ 
-            error: 'Authentication required', 
-            message: 'Please login first' 
-        });
-    }
-    
-    if (req.session.user.role !== 'doctor') {
-        return res.status(403).json({ 
-            error: 'Doctor access required', 
-            message: 'This resource is only accessible to doctors' 
-        });
+// Authentication middleware, accepting a session cookie or a bearer token
+const requireAuth = async (req, res, next) => {
+    try {
+        const user = await resolveUser(req);
+        if (!user) {
+            return res.status(401).json({ 
+                error: 'Authentication required',
+                message: 'Please login to access this resource'
+            });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        next(error);
     }
-    
-    // Add this check to prevent the error
-    if (!req.session.user.id) {
-        console.log("WARNING: Session user missing ID:", req.session.user);
-        return res.status(400).json({
-            error: 'Invalid session',
-            message: 'Session is missing required user ID'
-        });
+};
+
+// Check if user is a doctor
+const requireDoctor = async (req, res, next) => {
+    try {
+        const user = await resolveUser(req);
+        if (!user) {
+            return res.status(401).json({ 
+                error: 'Authentication required', 
+                message: 'Please login first' 
+            });
+        }
+
+        if (user.role !== 'doctor') {
+            return res.status(403).json({ 
+                error: 'Doctor access required', 
+                message: 'This resource is only accessible to doctors' 
+            });
+        }
+
+        if (!user.id) {
+            console.log("WARNING: Session user missing ID:", user);
+            return res.status(400).json({
+                error: 'Invalid session',
+                message: 'Session is missing required user ID'
+            });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        next(error);
     }
-    
-    // Make sure to set req.user
-    req.user = req.session.user;
-    next();
 };
 
 // Check if user is a patient
-const requirePatient = (req, res, next) => {
-    // DEBUG - Add this line
-    console.log("SESSION DATA:", req.session);
-    
-    if (!req.session || !req.session.user) {
-        return res.status(401).json({ 
-            error: 'Authentication required', 
-            message: 'Please login first' 
-        });
-    }
-    
-    if (req.session.user.role !== 'patient') {
-        return res.status(403).json({ 
-            error: 'Patient access required', 
-            message: 'This resource is only accessible to patients' 
-        });
+const requirePatient = async (req, res, next) => {
+    try {
+        const user = await resolveUser(req);
+        if (!user) {
+            return res.status(401).json({ 
+                error: 'Authentication required', 
+                message: 'Please login first' 
+            });
+        }
+
+        if (user.role !== 'patient') {
+            return res.status(403).json({ 
+                error: 'Patient access required', 
+                message: 'This resource is only accessible to patients' 
+            });
+        }
+
+        if (!user.id) {
+            return res.status(400).json({
+                error: 'Invalid session',
+                message: 'Session is missing required data'
+            });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        next(error);
     }
-    
-    // Add this check to prevent the undefined error
-    if (!req.session.user.id) {
-        return res.status(400).json({
-            error: 'Invalid session',
-            message: 'Session is missing required data'
-        });
+};
+
+// Whether a signed-in user is an administrator
+const isAdmin = (user) => {
+    return Boolean(user) && user.role === 'admin';
+};
+
+// Check if user is an administrator
+const requireAdmin = async (req, res, next) => {
+    try {
+        const user = await resolveUser(req);
+        if (!user) {
+            return res.status(401).json({
+                error: 'Authentication required',
+                message: 'Please login first'
+            });
+        }
+
+        if (!isAdmin(user)) {
+            return res.status(403).json({
+                error: 'Admin access required',
+                message: 'This resource is only accessible to administrators'
+            });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        next(error);
     }
-    
-    req.user = req.session.user;
-    next();
 };
 
 // Optional auth - doesn't fail if not authenticated
-const optionalAuth = (req, res, next) => {
-    if (req.session && req.session.user) {
-        req.user = req.session.user;
+const optionalAuth = async (req, res, next) => {
+    try {
+        const user = await resolveUser(req);
+        if (user) {
+            req.user = user;
+        }
+        next();
+    } catch (error) {
+        next(error);
     }
-    next();
 };
 
 module.exports = {
     requireAuth,
     requireDoctor,
     requirePatient,
-    optionalAuth
+    requireAdmin,
+    optionalAuth,
+    isAdmin,
+    getBearerToken
 };
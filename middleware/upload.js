@@ -0,0 +1,41 @@
+const multer = require('multer');
+const {
+    CREDENTIAL_DOCUMENT_TYPES,
+    MAX_DOCUMENT_BYTES,
+    MAX_DOCUMENTS
+} = require('../services/credentialService');
+
+// Credential documents are kept in memory and stored by the credential service
+const credentialUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_DOCUMENT_BYTES,
+        files: MAX_DOCUMENTS
+    },
+    fileFilter: (req, file, cb) => {
+        if (!CREDENTIAL_DOCUMENT_TYPES.includes(file.mimetype)) {
+            const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+            error.message = 'Documents must be PDF, JPEG or PNG files';
+            return cb(error);
+        }
+        cb(null, true);
+    }
+}).array('documents', MAX_DOCUMENTS);
+
+// Accept up to MAX_DOCUMENTS credential files in the "documents" field,
+// answering upload problems (too large, too many, wrong type) with a 400
+const uploadCredentialDocuments = (req, res, next) => {
+    credentialUpload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({
+                error: 'Invalid upload',
+                message: error.message
+            });
+        }
+        next(error);
+    });
+};
+
+module.exports = {
+    uploadCredentialDocuments
+};
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A single-use token sent to a doctor or patient for an account action: a
+// password reset or email verification link, or a phone verification code.
+// Only a SHA-256 hash of the token is stored; records are removed once they
+// have expired.
+const accountTokenSchema = new mongoose.Schema({
+    purpose: {
+        type: String,
+        enum: ['password_reset', 'email_verification', 'phone_verification'],
+        required: [true, 'Purpose is required']
+    },
+    user: {
+        id: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'User ID is required']
+        },
+        role: {
+            type: String,
+            enum: ['doctor', 'patient'],
+            required: [true, 'Role is required']
+        }
+    },
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    // How the token was sent
+    channel: {
+        type: String,
+        enum: ['email', 'whatsapp']
+    },
+    // The email or phone number being verified, which must still be the
+    // account's when the token is used
+    contact: {
+        type: String,
+        trim: true
+    },
+    // Wrong codes entered so far
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    // Set when the token is used, or voided by a newer one
+    usedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+accountTokenSchema.index({ tokenHash: 1 }, { unique: true });
+accountTokenSchema.index({ 'user.id': 1, purpose: 1, usedAt: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+
+// A platform administrator. Administrators sign in separately from doctors and
+// patients and are created by another administrator (or create-admin.js).
+const adminSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    },
+    password: {
+        type: String,
+        required: [true, 'Password is required'],
+        minlength: [6, 'Password must be at least 6 characters']
+    },
+    // Set when the password changes; sessions signed in before then are ended
+    passwordChangedAt: {
+        type: Date
+    },
+    // Set by a forced logout; sessions signed in before then are ended
+    sessionsRevokedAt: {
+        type: Date
+    },
+    timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        validate: {
+            validator: isValidTimezone,
+            message: 'Invalid timezone (use an IANA name such as Asia/Kolkata)'
+        }
+    },
+    createdBy: {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin'
+        },
+        email: {
+            type: String,
+            trim: true,
+            lowercase: true
+        }
+    },
+    lastLoginAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Hash password before saving
+adminSchema.pre('save', async function(next) {
+    if (!this.isModified('password')) return next();
+
+    try {
+        const salt = await bcrypt.genSalt(10);
+        this.password = await bcrypt.hash(this.password, salt);
+        if (!this.isNew) {
+            this.passwordChangedAt = new Date();
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Compare password method
+adminSchema.methods.comparePassword = async function(candidatePassword) {
+    return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Remove password from JSON output
+adminSchema.methods.toJSON = function() {
+    const adminObject = this.toObject();
+    delete adminObject.password;
+    return adminObject;
+};
+
+module.exports = mongoose.model('Admin', adminSchema);
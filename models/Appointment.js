@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    toDateKey,
+    resolveSlot,
+    describeRange
+} = require('../utils/timezone');
+const { ACTIVE_APPOINTMENT_STATUSES, buildSlotKey } = require('../utils/slotKey');
+const {
+    APPOINTMENT_STATUSES,
+    CONSULTATION_EARLY_START_MINUTES,
+    StatusTransitionError,
+    assertTransition
+} = require('../utils/appointmentStatus');
+const { CANCELLATION_CATEGORIES } = require('../utils/cancellationCategory');
 
 const appointmentSchema = new mongoose.Schema({
     doctorId: {
@@ -11,11 +26,17 @@ const appointmentSchema = new mongoose.Schema({
         ref: 'Patient',
         required: [true, 'Patient ID is required']
     },
+    // Absolute start instant of the appointment
     appointmentDate: {
         type: Date,
         required: [true, 'Appointment date is required'],
         validate: {
+            // Only a new or moved appointment has to be in the future, so past
+            // appointments can still be completed or marked as no-shows
             validator: function(date) {
+                if (this instanceof mongoose.Document && !this.isNew && !this.isModified('appointmentDate')) {
+                    return true;
+                }
                 return date > new Date();
             },
             message: 'Appointment date must be in the future'
@@ -26,11 +47,84 @@ const appointmentSchema = new mongoose.Schema({
         required: [true, 'Time slot is required'],
         match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]-([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format (HH:MM-HH:MM)']
     },
+    // Absolute end instant of the appointment
+    endTime: {
+        type: Date
+    },
+    // Doctor's timezone that timeSlot is expressed in
+    timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        validate: {
+            validator: isValidTimezone,
+            message: 'Invalid timezone'
+        }
+    },
+    // Set only while the appointment is active, so the unique index below
+    // allows a cancelled slot to be booked again
+    slotKey: {
+        type: String
+    },
     status: {
         type: String,
-        enum: ['scheduled', 'ongoing', 'completed', 'cancelled', 'no-show'],
+        enum: APPOINTMENT_STATUSES,
         default: 'scheduled'
     },
+    // Every status change, oldest first
+    statusHistory: [{
+        from: {
+            type: String,
+            enum: APPOINTMENT_STATUSES,
+            required: true
+        },
+        to: {
+            type: String,
+            enum: APPOINTMENT_STATUSES,
+            required: true
+        },
+        changedBy: {
+            role: {
+                type: String,
+                enum: ['doctor', 'patient', 'admin', 'system']
+            },
+            userId: {
+                type: mongoose.Schema.Types.ObjectId
+            }
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [300, 'Status change reason cannot exceed 300 characters']
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Who cancelled the appointment and why
+    cancellation: {
+        cancelledBy: {
+            role: {
+                type: String,
+                enum: ['doctor', 'patient', 'admin', 'system']
+            },
+            userId: {
+                type: mongoose.Schema.Types.ObjectId
+            }
+        },
+        category: {
+            type: String,
+            enum: CANCELLATION_CATEGORIES
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [300, 'Cancellation reason cannot exceed 300 characters']
+        },
+        cancelledAt: {
+            type: Date
+        }
+    },
     consultationType: {
         type: String,
         enum: ['video', 'audio', 'chat'],
@@ -83,6 +177,12 @@ const appointmentSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // When the doctor started the consultation and the patient was asked to join
+    consultation: {
+        startedAt: {
+            type: Date
+        }
+    },
     whatsappSent: {
         type: Boolean,
         default: false
@@ -91,11 +191,143 @@ const appointmentSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Delivery state of each scheduled reminder, one entry per offset before the start
+    reminders: [{
+        offsetMinutes: {
+            type: Number,
+            required: true
+        },
+        status: {
+            type: String,
+            enum: ['queued', 'sent', 'failed', 'skipped'],
+            required: true
+        },
+        queuedAt: {
+            type: Date
+        },
+        sentAt: {
+            type: Date
+        },
+        error: {
+            type: String
+        }
+    }],
+    // When the patient confirmed they will attend, e.g. by replying to a reminder
+    patientConfirmation: {
+        confirmedAt: {
+            type: Date
+        },
+        channel: {
+            type: String,
+            enum: ['whatsapp']
+        }
+    },
+    // New times offered to the patient in reply to a RESCHEDULE message, in the
+    // order they were listed, until one is picked or they expire
+    rescheduleOffer: {
+        options: [{
+            _id: false,
+            dateKey: {
+                type: String,
+                required: true
+            },
+            timeSlot: {
+                type: String,
+                required: true
+            },
+            start: {
+                type: Date,
+                required: true
+            },
+            end: {
+                type: Date,
+                required: true
+            }
+        }],
+        expiresAt: {
+            type: Date
+        }
+    },
     consultationNotes: {
         type: String,
         trim: true,
         maxlength: [2000, 'Consultation notes cannot exceed 2000 characters']
     },
+    // Follow-up series this appointment belongs to, and its position in it
+    seriesId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AppointmentSeries'
+    },
+    seriesIndex: {
+        type: Number,
+        min: [1, 'Series index must be at least 1']
+    },
+    // Earlier date/slot pairs of a rescheduled appointment, oldest first
+    rescheduleHistory: [{
+        previousDate: {
+            type: Date,
+            required: true
+        },
+        previousEndTime: {
+            type: Date
+        },
+        previousTimeSlot: {
+            type: String,
+            required: true
+        },
+        newDate: {
+            type: Date,
+            required: true
+        },
+        newTimeSlot: {
+            type: String,
+            required: true
+        },
+        changedBy: {
+            role: {
+                type: String,
+                enum: ['doctor', 'patient', 'admin']
+            },
+            userId: {
+                type: mongoose.Schema.Types.ObjectId
+            }
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [300, 'Reschedule reason cannot exceed 300 characters']
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Fixes made by administrators, oldest first: each changed field with its
+    // old and new value
+    corrections: [{
+        changes: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [300, 'Correction reason cannot exceed 300 characters']
+        },
+        changedBy: {
+            userId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Admin'
+            },
+            email: {
+                type: String
+            }
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     rating: {
         score: {
             type: Number,
@@ -116,6 +348,28 @@ const appointmentSchema = new mongoose.Schema({
 appointmentSchema.index({ doctorId: 1, appointmentDate: 1 });
 appointmentSchema.index({ patientId: 1, appointmentDate: 1 });
 appointmentSchema.index({ status: 1 });
+appointmentSchema.index({ seriesId: 1, appointmentDate: 1 });
+appointmentSchema.index({ slotKey: 1 }, { unique: true, sparse: true });
+
+// Keep the slot key in step with the doctor, start time and status
+appointmentSchema.pre('validate', function(next) {
+    if (ACTIVE_APPOINTMENT_STATUSES.includes(this.status) && this.doctorId && this.appointmentDate) {
+        this.slotKey = buildSlotKey(this.doctorId, this.appointmentDate);
+    } else {
+        this.slotKey = undefined;
+    }
+    next();
+});
+
+// Status changes made through findOneAndUpdate release the slot as well
+appointmentSchema.pre('findOneAndUpdate', function(next) {
+    const update = this.getUpdate() || {};
+    const status = update.$set && update.$set.status !== undefined ? update.$set.status : update.status;
+    if (status !== undefined && !ACTIVE_APPOINTMENT_STATUSES.includes(status)) {
+        this.setUpdate({ ...update, $unset: { ...(update.$unset || {}), slotKey: 1 } });
+    }
+    next();
+});
 
 // Generate meeting link before saving
 appointmentSchema.pre('save', function(next) {
@@ -126,4 +380,113 @@ appointmentSchema.pre('save', function(next) {
     next();
 });
 
+// Get the absolute start/end of the appointment. Appointments booked before
+// endTime existed only stored the day, so resolve their slot in the stored zone.
+appointmentSchema.methods.getSlotInstants = function() {
+    if (this.endTime) {
+        return { start: this.appointmentDate, end: this.endTime };
+    }
+    const timeZone = this.timezone || DEFAULT_TIMEZONE;
+    return resolveSlot(toDateKey(this.appointmentDate, timeZone), this.timeSlot, timeZone);
+};
+
+// Move the appointment to a new slot, recording the slot it leaves in the history.
+// Reminders already sent were for the old time, so they are due again.
+appointmentSchema.methods.reschedule = function({ start, end, timeSlot, timezone }, { changedBy, reason } = {}) {
+    const previous = this.getSlotInstants();
+    this.rescheduleHistory.push({
+        previousDate: previous.start,
+        previousEndTime: previous.end,
+        previousTimeSlot: this.timeSlot,
+        newDate: start,
+        newTimeSlot: timeSlot,
+        changedBy,
+        reason
+    });
+
+    this.appointmentDate = start;
+    this.endTime = end;
+    this.timeSlot = timeSlot;
+    if (timezone) {
+        this.timezone = timezone;
+    }
+    this.reminderSent = false;
+    this.reminders = [];
+    this.patientConfirmation = undefined;
+    this.rescheduleOffer = undefined;
+    return this;
+};
+
+// Move the appointment to another status, enforcing the allowed transitions and
+// logging the change. Throws a StatusTransitionError for an illegal change.
+appointmentSchema.methods.transitionStatus = function(status, { changedBy, reason } = {}) {
+    assertTransition(this.status, status);
+
+    if (status === 'no-show' && this.getSlotInstants().start > new Date()) {
+        throw new StatusTransitionError('An appointment can only be marked as a no-show after it has started');
+    }
+
+    if (status === 'ongoing') {
+        const earliest = this.getSlotInstants().start.getTime() - CONSULTATION_EARLY_START_MINUTES * 60 * 1000;
+        if (Date.now() < earliest) {
+            throw new StatusTransitionError(`A consultation can be started at most ${CONSULTATION_EARLY_START_MINUTES} minutes before it is booked`);
+        }
+        this.consultation = { startedAt: new Date() };
+    }
+
+    this.statusHistory.push({
+        from: this.status,
+        to: status,
+        changedBy,
+        reason
+    });
+    this.status = status;
+    return this;
+};
+
+// Set any status, outside the usual transitions, to fix a mistake (administrators
+// only). The change is logged like any other; reopening a cancelled appointment
+// clears its cancellation.
+appointmentSchema.methods.correctStatus = function(status, { changedBy, reason } = {}) {
+    if (!APPOINTMENT_STATUSES.includes(status)) {
+        throw new StatusTransitionError(`Unknown status "${status}"`);
+    }
+    if (status === this.status) {
+        throw new StatusTransitionError(`Appointment is already ${status}`);
+    }
+
+    this.statusHistory.push({
+        from: this.status,
+        to: status,
+        changedBy,
+        reason
+    });
+    this.cancellation = status === 'cancelled'
+        ? { cancelledBy: changedBy, category: 'other', reason, cancelledAt: new Date() }
+        : undefined;
+    this.status = status;
+    return this;
+};
+
+// Cancel the appointment, recording who cancelled it and why
+appointmentSchema.methods.cancel = function({ changedBy, category, reason } = {}) {
+    this.transitionStatus('cancelled', { changedBy, reason });
+    this.cancellation = {
+        cancelledBy: changedBy,
+        category,
+        reason,
+        cancelledAt: new Date()
+    };
+    return this;
+};
+
+// JSON output with the appointment time rendered in the viewer's timezone
+appointmentSchema.methods.toViewerJSON = function(timeZone = DEFAULT_TIMEZONE) {
+    const { start, end } = this.getSlotInstants();
+    return {
+        ...this.toJSON(),
+        localTime: describeRange(start, end, timeZone)
+    };
+};
+
 module.exports = mongoose.model('Appointment', appointmentSchema);
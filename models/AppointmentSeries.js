@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const appointmentSeriesSchema = new mongoose.Schema({
+    doctorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor',
+        required: [true, 'Doctor ID is required']
+    },
+    patientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: [true, 'Patient ID is required']
+    },
+    // Completed appointment the follow-ups were created from
+    sourceAppointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment',
+        required: [true, 'Source appointment is required']
+    },
+    recurrence: {
+        frequency: {
+            type: String,
+            required: [true, 'Frequency is required'],
+            enum: ['weekly', 'monthly']
+        },
+        interval: {
+            type: Number,
+            default: 1,
+            min: [1, 'Interval must be at least 1'],
+            max: [12, 'Interval cannot exceed 12']
+        },
+        count: {
+            type: Number,
+            min: [1, 'Count must be at least 1']
+        },
+        until: {
+            type: Date
+        }
+    },
+    timeSlot: {
+        type: String,
+        required: [true, 'Time slot is required'],
+        match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]-([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format (HH:MM-HH:MM)']
+    },
+    consultationType: {
+        type: String,
+        enum: ['video', 'audio', 'chat'],
+        default: 'video'
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    status: {
+        type: String,
+        enum: ['active', 'cancelled'],
+        default: 'active'
+    }
+}, {
+    timestamps: true
+});
+
+appointmentSeriesSchema.index({ doctorId: 1, status: 1 });
+appointmentSeriesSchema.index({ patientId: 1, status: 1 });
+
+module.exports = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
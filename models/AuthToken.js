@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// An access/refresh token pair issued to a mobile or server client at login.
+// Only SHA-256 hashes of the tokens are stored. Refreshing replaces both tokens
+// in place; records are removed once the refresh token has expired.
+const authTokenSchema = new mongoose.Schema({
+    // The signed-in user, in the same shape as the session user
+    user: {
+        id: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'User ID is required']
+        },
+        role: {
+            type: String,
+            enum: ['doctor', 'patient', 'admin'],
+            required: [true, 'Role is required']
+        },
+        email: {
+            type: String,
+            trim: true,
+            lowercase: true
+        },
+        name: {
+            type: String,
+            trim: true
+        },
+        timezone: {
+            type: String
+        }
+    },
+    accessTokenHash: {
+        type: String,
+        required: true
+    },
+    accessTokenExpiresAt: {
+        type: Date,
+        required: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    refreshTokenExpiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    userAgent: {
+        type: String,
+        trim: true,
+        maxlength: 300
+    }
+}, {
+    timestamps: true
+});
+
+authTokenSchema.index({ accessTokenHash: 1 }, { unique: true });
+authTokenSchema.index({ refreshTokenHash: 1 }, { unique: true });
+authTokenSchema.index({ 'user.id': 1, revokedAt: 1 });
+authTokenSchema.index({ refreshTokenExpiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
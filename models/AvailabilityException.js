@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const TIME_SLOT_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]-([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const availabilityExceptionSchema = new mongoose.Schema({
+    doctorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor',
+        required: [true, 'Doctor ID is required']
+    },
+    // 'blocked' removes availability (leave, holiday), 'extra' adds one-off slots
+    type: {
+        type: String,
+        required: [true, 'Exception type is required'],
+        enum: ['blocked', 'extra']
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Start date is required']
+    },
+    endDate: {
+        type: Date,
+        required: [true, 'End date is required']
+    },
+    // For 'blocked' an empty list blocks the whole day; for 'extra' at least one slot is needed
+    timeSlots: [{
+        type: String,
+        match: [TIME_SLOT_REGEX, 'Invalid time format (HH:MM-HH:MM)']
+    }],
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
+    }
+}, {
+    timestamps: true
+});
+
+availabilityExceptionSchema.index({ doctorId: 1, startDate: 1, endDate: 1 });
+
+availabilityExceptionSchema.pre('validate', function(next) {
+    if (this.startDate && this.endDate && this.endDate < this.startDate) {
+        this.invalidate('endDate', 'End date cannot be before start date');
+    }
+    if (this.type === 'extra' && (!this.timeSlots || this.timeSlots.length === 0)) {
+        this.invalidate('timeSlots', 'Extra availability requires at least one time slot');
+    }
+    next();
+});
+
+module.exports = mongoose.model('AvailabilityException', availabilityExceptionSchema);
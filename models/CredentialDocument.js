@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A file a doctor uploaded to support their credentials (license certificate,
+// degree, ID), kept in the database for administrators to review
+const credentialDocumentSchema = new mongoose.Schema({
+    doctorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor',
+        required: [true, 'Doctor ID is required']
+    },
+    filename: {
+        type: String,
+        required: [true, 'File name is required'],
+        trim: true,
+        maxlength: [200, 'File name cannot exceed 200 characters']
+    },
+    contentType: {
+        type: String,
+        required: [true, 'Content type is required']
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    data: {
+        type: Buffer,
+        required: true,
+        select: false
+    }
+}, {
+    timestamps: true
+});
+
+credentialDocumentSchema.index({ doctorId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CredentialDocument', credentialDocumentSchema);
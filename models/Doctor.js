@@ -1,5 +1,60 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+const { notificationPreferencesDefinition } = require('../utils/notificationPreferences');
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const TIME_REGEX = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// End must come after start within the same day
+const endAfterStart = {
+    validator: function(end) {
+        return !this.start || end > this.start;
+    },
+    message: 'End time must be after start time'
+};
+
+const workingWindowSchema = new mongoose.Schema({
+    day: {
+        type: String,
+        required: [true, 'Day is required'],
+        enum: WEEKDAYS
+    },
+    start: {
+        type: String,
+        required: [true, 'Start time is required'],
+        match: [TIME_REGEX, 'Invalid time format (HH:MM)']
+    },
+    end: {
+        type: String,
+        required: [true, 'End time is required'],
+        match: [TIME_REGEX, 'Invalid time format (HH:MM)'],
+        validate: endAfterStart
+    }
+}, { _id: false });
+
+const breakSchema = new mongoose.Schema({
+    day: {
+        type: String,
+        enum: WEEKDAYS
+    },
+    start: {
+        type: String,
+        required: [true, 'Start time is required'],
+        match: [TIME_REGEX, 'Invalid time format (HH:MM)']
+    },
+    end: {
+        type: String,
+        required: [true, 'End time is required'],
+        match: [TIME_REGEX, 'Invalid time format (HH:MM)'],
+        validate: endAfterStart
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Label cannot exceed 50 characters']
+    }
+}, { _id: false });
 
 const doctorSchema = new mongoose.Schema({
     name: {
@@ -22,11 +77,51 @@ const doctorSchema = new mongoose.Schema({
         trim: true,
         match: [/^[\+]?[1-9][\d]{0,15}$/, 'Please enter a valid phone number']
     },
+    // Set once the user proves they own the email (by link) and phone (by code);
+    // nothing but verification messages is sent to an unverified contact
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    phoneVerified: {
+        type: Boolean,
+        default: false
+    },
     password: {
         type: String,
         required: [true, 'Password is required'],
         minlength: [6, 'Password must be at least 6 characters']
     },
+    // Set when the password changes; sessions signed in before then are ended
+    passwordChangedAt: {
+        type: Date
+    },
+    // Set by a forced logout; sessions signed in before then are ended
+    sessionsRevokedAt: {
+        type: Date
+    },
+    // Set while an administrator has suspended the account: it cannot sign in
+    suspension: {
+        suspendedAt: {
+            type: Date
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Suspension reason cannot exceed 500 characters']
+        },
+        suspendedBy: {
+            userId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Admin'
+            },
+            email: {
+                type: String,
+                trim: true,
+                lowercase: true
+            }
+        }
+    },
     specialization: {
         type: String,
         required: [true, 'Specialization is required'],
@@ -71,15 +166,78 @@ const doctorSchema = new mongoose.Schema({
         required: [true, 'Consultation fee is required'],
         min: [0, 'Fee cannot be negative']
     },
+    timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        validate: {
+            validator: isValidTimezone,
+            message: 'Invalid timezone (use an IANA name such as Asia/Kolkata)'
+        }
+    },
     availability: {
         days: [{
             type: String,
-            enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+            enum: WEEKDAYS
         }],
         timeSlots: [{
             type: String,
             match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]-([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format (HH:MM-HH:MM)']
-        }]
+        }],
+        // Rule-based schedule: when working hours and a consultation duration are set,
+        // slots are generated from them and days/timeSlots above are ignored
+        workingHours: [workingWindowSchema],
+        consultationDuration: {
+            type: Number,
+            min: [5, 'Consultation duration must be at least 5 minutes'],
+            max: [240, 'Consultation duration cannot exceed 240 minutes']
+        },
+        bufferMinutes: {
+            type: Number,
+            default: 0,
+            min: [0, 'Buffer cannot be negative'],
+            max: [120, 'Buffer cannot exceed 120 minutes']
+        },
+        // Breaks without a day apply every day
+        breaks: [breakSchema]
+    },
+    // How the stale appointment sweep treats this doctor's appointments; unset
+    // grace periods fall back to the server defaults
+    appointmentSettings: {
+        autoNoShow: {
+            type: Boolean,
+            default: true
+        },
+        noShowGraceMinutes: {
+            type: Number,
+            min: [0, 'No-show grace period cannot be negative'],
+            max: [1440, 'No-show grace period cannot exceed 1440 minutes']
+        },
+        autoComplete: {
+            type: Boolean,
+            default: true
+        },
+        autoCompleteGraceMinutes: {
+            type: Number,
+            min: [0, 'Auto-complete grace period cannot be negative'],
+            max: [1440, 'Auto-complete grace period cannot exceed 1440 minutes']
+        }
+    },
+    notificationPreferences: notificationPreferencesDefinition,
+    // Evening WhatsApp summary of the next day's appointments, sent at time in the
+    // doctor's timezone. lastSentFor is the date of the last agenda sent.
+    dailyAgenda: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        time: {
+            type: String,
+            default: '20:00',
+            match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'Agenda time must use HH:MM']
+        },
+        lastSentFor: {
+            type: String
+        }
     },
     rating: {
         type: Number,
@@ -92,10 +250,78 @@ const doctorSchema = new mongoose.Schema({
         default: 0,
         min: [0, 'Total patients cannot be negative']
     },
+    // Set when an administrator approves the doctor's credentials; only verified
+    // doctors are listed and can be booked
     isVerified: {
         type: Boolean,
         default: false
     },
+    // Medical license and supporting documents submitted for review
+    credentials: {
+        status: {
+            type: String,
+            enum: ['not_submitted', 'pending', 'approved', 'rejected'],
+            default: 'not_submitted'
+        },
+        licenseNumber: {
+            type: String,
+            trim: true,
+            maxlength: [50, 'License number cannot exceed 50 characters']
+        },
+        // The medical council that issued the license
+        issuingAuthority: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Issuing authority cannot exceed 100 characters']
+        },
+        documents: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CredentialDocument'
+        }],
+        submittedAt: {
+            type: Date
+        },
+        reviewedAt: {
+            type: Date
+        },
+        reviewedBy: {
+            userId: {
+                type: mongoose.Schema.Types.ObjectId
+            },
+            email: {
+                type: String,
+                trim: true,
+                lowercase: true
+            }
+        },
+        // The reviewer's notes to the doctor, e.g. why the documents were rejected
+        reviewNotes: {
+            type: String,
+            trim: true,
+            maxlength: [1000, 'Review notes cannot exceed 1000 characters']
+        },
+        // Every decision so far, oldest first
+        reviewHistory: [{
+            decision: {
+                type: String,
+                enum: ['approved', 'rejected']
+            },
+            notes: {
+                type: String
+            },
+            reviewedBy: {
+                userId: {
+                    type: mongoose.Schema.Types.ObjectId
+                },
+                email: {
+                    type: String
+                }
+            },
+            at: {
+                type: Date
+            }
+        }]
+    },
     profileImage: {
         type: String,
         default: ''
@@ -104,6 +330,17 @@ const doctorSchema = new mongoose.Schema({
     timestamps: true
 });
 
+doctorSchema.index({ 'credentials.status': 1, 'credentials.submittedAt': 1 });
+
+// A changed email or phone has to be verified again
+doctorSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        if (this.isModified('email')) this.emailVerified = false;
+        if (this.isModified('phone')) this.phoneVerified = false;
+    }
+    next();
+});
+
 // Hash password before saving
 doctorSchema.pre('save', async function(next) {
     if (!this.isModified('password')) return next();
@@ -111,6 +348,9 @@ doctorSchema.pre('save', async function(next) {
     try {
         const salt = await bcrypt.genSalt(10);
         this.password = await bcrypt.hash(this.password, salt);
+        if (!this.isNew) {
+            this.passwordChangedAt = new Date();
+        }
         next();
     } catch (error) {
         next(error);
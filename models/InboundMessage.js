@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A reply received from a patient over WhatsApp, with what was done about it.
+// The provider's message id makes redelivered webhooks a no-op.
+const inboundMessageSchema = new mongoose.Schema({
+    channel: {
+        type: String,
+        enum: ['whatsapp'],
+        default: 'whatsapp'
+    },
+    messageId: {
+        type: String,
+        trim: true
+    },
+    from: {
+        type: String,
+        required: [true, 'Sender is required'],
+        trim: true
+    },
+    text: {
+        type: String,
+        default: '',
+        maxlength: [2000, 'Message text cannot exceed 2000 characters']
+    },
+    patientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient'
+    },
+    appointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment'
+    },
+    // What the reply asked for, e.g. confirm or a picked reschedule option
+    command: {
+        type: String,
+        enum: ['confirm', 'cancel', 'reschedule', 'choose', 'unknown']
+    },
+    // How it was handled, e.g. confirmed, unknown_sender or no_appointment
+    outcome: {
+        type: String,
+        trim: true
+    },
+    error: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+inboundMessageSchema.index({ messageId: 1 }, { unique: true, sparse: true });
+inboundMessageSchema.index({ patientId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('InboundMessage', inboundMessageSchema);
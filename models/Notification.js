@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const { SUPPRESSION_REASONS } = require('../utils/notificationPreferences');
+
+// An outgoing message in the notification outbox. Records are delivered by the
+// notification worker, retried with backoff, and dead-lettered after the last attempt.
+// Messages the recipient's preferences rule out are kept as suppressed.
+const notificationSchema = new mongoose.Schema({
+    channel: {
+        type: String,
+        enum: ['whatsapp', 'email'],
+        required: [true, 'Channel is required']
+    },
+    // What the message is about, e.g. appointment_confirmation
+    type: {
+        type: String,
+        required: [true, 'Notification type is required'],
+        trim: true
+    },
+    recipient: {
+        role: {
+            type: String,
+            enum: ['doctor', 'patient']
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId
+        },
+        phone: {
+            type: String,
+            trim: true
+        },
+        email: {
+            type: String,
+            trim: true,
+            lowercase: true
+        }
+    },
+    // Parties the message concerns, so each can look up their own notifications
+    doctorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor'
+    },
+    patientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient'
+    },
+    appointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment'
+    },
+    message: {
+        subject: {
+            type: String
+        },
+        text: {
+            type: String,
+            required: [true, 'Message text is required']
+        },
+        html: {
+            type: String
+        },
+        calendar: {
+            method: {
+                type: String,
+                enum: ['REQUEST', 'CANCEL']
+            },
+            content: {
+                type: String
+            }
+        }
+    },
+    // Extra details the delivery hooks need, e.g. a reminder's offset
+    meta: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // The notification this one is a manual resend of, and who asked for it
+    resendOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Notification'
+    },
+    resentBy: {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId
+        },
+        email: {
+            type: String,
+            trim: true,
+            lowercase: true
+        }
+    },
+    // Optional key that stops the same message being queued twice
+    dedupeKey: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'dead', 'suppressed'],
+        default: 'pending'
+    },
+    suppressedReason: {
+        type: String,
+        enum: SUPPRESSION_REASONS
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        min: [1, 'At least one attempt is required']
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date
+    },
+    lastError: {
+        type: String
+    },
+    // Every delivery attempt with what the provider answered, oldest first
+    deliveryAttempts: [{
+        _id: false,
+        attempt: {
+            type: Number,
+            required: true
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        },
+        outcome: {
+            type: String,
+            enum: ['sent', 'failed'],
+            required: true
+        },
+        provider: {
+            type: String
+        },
+        providerMessageId: {
+            type: String
+        },
+        providerResponse: {
+            type: String,
+            maxlength: 1000
+        },
+        error: {
+            type: String
+        }
+    }],
+    providerMessageId: {
+        type: String
+    },
+    sentAt: {
+        type: Date
+    },
+    deadAt: {
+        type: Date
+    },
+    // When the record is deleted. Set on account messages (reset links and
+    // verification codes) so they are not kept once the link or code has expired.
+    purgeAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ appointmentId: 1, createdAt: -1 });
+notificationSchema.index({ doctorId: 1, status: 1, createdAt: -1 });
+notificationSchema.index({ patientId: 1, status: 1, createdAt: -1 });
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+notificationSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_LANGUAGES } = require('../utils/language');
+
+// An admin-edited notification template, overriding the built-in one for a
+// channel, notification type and language
+const notificationTemplateSchema = new mongoose.Schema({
+    channel: {
+        type: String,
+        enum: ['whatsapp', 'email'],
+        required: [true, 'Channel is required']
+    },
+    // Notification type the template renders, e.g. appointment_confirmation
+    type: {
+        type: String,
+        required: [true, 'Notification type is required'],
+        trim: true
+    },
+    language: {
+        type: String,
+        enum: {
+            values: Object.keys(SUPPORTED_LANGUAGES),
+            message: 'Unsupported language'
+        },
+        required: [true, 'Language is required']
+    },
+    subject: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Subject cannot exceed 200 characters']
+    },
+    body: {
+        type: String,
+        required: [true, 'Template body is required'],
+        maxlength: [4000, 'Template body cannot exceed 4000 characters']
+    },
+    updatedBy: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+notificationTemplateSchema.index({ channel: 1, type: 1, language: 1 }, { unique: true });
+
+module.exports = mongoose.model('NotificationTemplate', notificationTemplateSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/language');
+const { notificationPreferencesDefinition } = require('../utils/notificationPreferences');
 
 const patientSchema = new mongoose.Schema({
     name: {
@@ -22,11 +25,51 @@ const patientSchema = new mongoose.Schema({
         trim: true,
         match: [/^[\+]?[1-9][\d]{0,15}$/, 'Please enter a valid phone number']
     },
+    // Set once the user proves they own the email (by link) and phone (by code);
+    // nothing but verification messages is sent to an unverified contact
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    phoneVerified: {
+        type: Boolean,
+        default: false
+    },
     password: {
         type: String,
         required: [true, 'Password is required'],
         minlength: [6, 'Password must be at least 6 characters']
     },
+    // Set when the password changes; sessions signed in before then are ended
+    passwordChangedAt: {
+        type: Date
+    },
+    // Set by a forced logout; sessions signed in before then are ended
+    sessionsRevokedAt: {
+        type: Date
+    },
+    // Set while an administrator has suspended the account: it cannot sign in
+    suspension: {
+        suspendedAt: {
+            type: Date
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Suspension reason cannot exceed 500 characters']
+        },
+        suspendedBy: {
+            userId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Admin'
+            },
+            email: {
+                type: String,
+                trim: true,
+                lowercase: true
+            }
+        }
+    },
     age: {
         type: Number,
         required: [true, 'Age is required'],
@@ -38,6 +81,24 @@ const patientSchema = new mongoose.Schema({
         required: [true, 'Gender is required'],
         enum: ['Male', 'Female', 'Other']
     },
+    timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        validate: {
+            validator: isValidTimezone,
+            message: 'Invalid timezone (use an IANA name such as Asia/Kolkata)'
+        }
+    },
+    // Language WhatsApp and email notifications are written in
+    preferredLanguage: {
+        type: String,
+        enum: {
+            values: Object.keys(SUPPORTED_LANGUAGES),
+            message: 'Unsupported language'
+        },
+        default: DEFAULT_LANGUAGE
+    },
+    notificationPreferences: notificationPreferencesDefinition,
     bloodGroup: {
         type: String,
         enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
@@ -97,6 +158,15 @@ const patientSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// A changed email or phone has to be verified again
+patientSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        if (this.isModified('email')) this.emailVerified = false;
+        if (this.isModified('phone')) this.phoneVerified = false;
+    }
+    next();
+});
+
 // Hash password before saving
 patientSchema.pre('save', async function(next) {
     if (!this.isModified('password')) return next();
@@ -104,6 +174,9 @@ patientSchema.pre('save', async function(next) {
     try {
         const salt = await bcrypt.genSalt(10);
         this.password = await bcrypt.hash(this.password, salt);
+        if (!this.isNew) {
+            this.passwordChangedAt = new Date();
+        }
         next();
     } catch (error) {
         next(error);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { buildSlotKey } = require('../utils/slotKey');
+
+// A short-lived reservation of a slot while a patient completes booking
+const slotHoldSchema = new mongoose.Schema({
+    doctorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor',
+        required: [true, 'Doctor ID is required']
+    },
+    patientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: [true, 'Patient ID is required']
+    },
+    startTime: {
+        type: Date,
+        required: [true, 'Start time is required']
+    },
+    endTime: {
+        type: Date,
+        required: [true, 'End time is required']
+    },
+    timeSlot: {
+        type: String,
+        required: [true, 'Time slot is required'],
+        match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]-([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format (HH:MM-HH:MM)']
+    },
+    slotKey: {
+        type: String
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required']
+    }
+}, {
+    timestamps: true
+});
+
+// Only one hold per slot; MongoDB removes expired holds through the TTL index
+slotHoldSchema.index({ slotKey: 1 }, { unique: true });
+slotHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+slotHoldSchema.index({ doctorId: 1, startTime: 1 });
+
+slotHoldSchema.pre('validate', function(next) {
+    if (this.doctorId && this.startTime) {
+        this.slotKey = buildSlotKey(this.doctorId, this.startTime);
+    }
+    next();
+});
+
+module.exports = mongoose.model('SlotHold', slotHoldSchema);
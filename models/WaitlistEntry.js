@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+    doctorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor',
+        required: [true, 'Doctor ID is required']
+    },
+    patientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: [true, 'Patient ID is required']
+    },
+    // Range of days the patient can attend, as instants bounding the doctor's calendar days
+    startDate: {
+        type: Date,
+        required: [true, 'Start date is required']
+    },
+    endDate: {
+        type: Date,
+        required: [true, 'End date is required']
+    },
+    // Empty means any slot in the range will do
+    preferredTimeSlots: [{
+        type: String,
+        match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]-([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format (HH:MM-HH:MM)']
+    }],
+    consultationType: {
+        type: String,
+        enum: ['video', 'audio', 'chat'],
+        default: 'video'
+    },
+    symptoms: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Symptoms description cannot exceed 500 characters']
+    },
+    status: {
+        type: String,
+        enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+        default: 'waiting'
+    },
+    // The slot currently offered to the patient
+    offer: {
+        startTime: Date,
+        endTime: Date,
+        timeSlot: String,
+        tokenHash: String,
+        expiresAt: Date,
+        offeredAt: Date
+    },
+    // Slots already offered to this entry, so a lapsed offer moves on to the next patient
+    offeredSlotKeys: [{
+        type: String
+    }],
+    appointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment'
+    }
+}, {
+    timestamps: true
+});
+
+waitlistEntrySchema.index({ doctorId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ patientId: 1, status: 1 });
+waitlistEntrySchema.index({ 'offer.tokenHash': 1 });
+
+waitlistEntrySchema.pre('validate', function(next) {
+    if (this.startDate && this.endDate && this.endDate < this.startDate) {
+        this.invalidate('endDate', 'End date cannot be before start date');
+    }
+    next();
+});
+
+// Remove the offer token hash from JSON output
+waitlistEntrySchema.methods.toJSON = function() {
+    const entryObject = this.toObject();
+    if (entryObject.offer) {
+        delete entryObject.offer.tokenHash;
+    }
+    delete entryObject.offeredSlotKeys;
+    return entryObject;
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
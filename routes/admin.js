@@ -0,0 +1,187 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+    getStats,
+    listAccounts,
+    getAccount,
+    suspendAccount,
+    reactivateAccount,
+    forceLogout,
+    listAppointments,
+    getAppointment,
+    correctAppointment,
+    listAdmins,
+    createAdmin
+} = require('../controllers/adminController');
+const { requireAdmin } = require('../middleware/auth');
+const { APPOINTMENT_STATUSES } = require('../utils/appointmentStatus');
+
+const router = express.Router();
+
+// Every administration route needs an administrator
+router.use(requireAdmin);
+
+// Tell the account controllers whether they are handling doctors or patients
+const forRole = (role) => (req, res, next) => {
+    req.accountRole = role;
+    next();
+};
+
+// Validation rules
+const paginationValidation = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100')
+];
+
+const listAccountsValidation = [
+    ...paginationValidation,
+    query('search')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Search cannot exceed 100 characters'),
+    query('status')
+        .optional()
+        .isIn(['active', 'suspended'])
+        .withMessage('Status must be active or suspended')
+];
+
+const accountIdValidation = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid account ID')
+];
+
+const suspendValidation = [
+    ...accountIdValidation,
+    body('reason')
+        .trim()
+        .isLength({ min: 1, max: 500 })
+        .withMessage('Reason is required and cannot exceed 500 characters')
+];
+
+const listAppointmentsValidation = [
+    ...paginationValidation,
+    query('status')
+        .optional()
+        .isIn(APPOINTMENT_STATUSES)
+        .withMessage(`Status must be one of: ${APPOINTMENT_STATUSES.join(', ')}`),
+    query('doctorId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid doctor ID'),
+    query('patientId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid patient ID'),
+    query('from')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid from date format'),
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid to date format')
+];
+
+const appointmentIdValidation = [
+    param('appointmentId')
+        .isMongoId()
+        .withMessage('Invalid appointment ID')
+];
+
+const correctAppointmentValidation = [
+    ...appointmentIdValidation,
+    body('status')
+        .optional()
+        .isIn(APPOINTMENT_STATUSES)
+        .withMessage(`Status must be one of: ${APPOINTMENT_STATUSES.join(', ')}`),
+    body('appointmentDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid appointment date format'),
+    body('timeSlot')
+        .optional()
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]-([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Invalid time slot format (HH:MM-HH:MM)'),
+    body('appointmentDate')
+        .if(body('timeSlot').exists())
+        .exists()
+        .withMessage('Appointment date is required with a time slot'),
+    body('timeSlot')
+        .if(body('appointmentDate').exists())
+        .exists()
+        .withMessage('Time slot is required with an appointment date'),
+    body('consultationType')
+        .optional()
+        .isIn(['video', 'audio', 'chat'])
+        .withMessage('Consultation type must be video, audio, or chat'),
+    body('symptoms')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Symptoms description cannot exceed 500 characters'),
+    body('diagnosis')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Diagnosis cannot exceed 1000 characters'),
+    body('consultationNotes')
+        .optional()
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('Consultation notes cannot exceed 2000 characters'),
+    body('meetingLink')
+        .optional()
+        .trim()
+        .isURL()
+        .withMessage('Meeting link must be a valid URL'),
+    body('reason')
+        .trim()
+        .isLength({ min: 1, max: 500 })
+        .withMessage('Reason is required and cannot exceed 500 characters')
+];
+
+const createAdminValidation = [
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email'),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long')
+];
+
+// Platform overview
+router.get('/stats', getStats);
+
+// Doctor and patient accounts
+['doctor', 'patient'].forEach(role => {
+    const path = `/${role}s`;
+    router.get(path, forRole(role), listAccountsValidation, listAccounts);
+    router.get(`${path}/:id`, forRole(role), accountIdValidation, getAccount);
+    router.post(`${path}/:id/suspend`, forRole(role), suspendValidation, suspendAccount);
+    router.post(`${path}/:id/reactivate`, forRole(role), accountIdValidation, reactivateAccount);
+    router.post(`${path}/:id/logout`, forRole(role), accountIdValidation, forceLogout);
+});
+
+// Appointments
+router.get('/appointments', listAppointmentsValidation, listAppointments);
+router.get('/appointments/:appointmentId', appointmentIdValidation, getAppointment);
+router.put('/appointments/:appointmentId', correctAppointmentValidation, correctAppointment);
+
+// Administrators
+router.get('/admins', listAdmins);
+router.post('/admins', createAdminValidation, createAdmin);
+
+module.exports = router;
@@ -6,9 +6,25 @@ const {
     updateAppointment,
     cancelAppointment,
     rateAppointment,
-    getAppointmentStats
+    getAppointmentStats,
+    updateAppointmentStatus,
+    rescheduleAppointment
 } = require('../controllers/appointmentController');
+const { createSlotHold, releaseSlotHold } = require('../controllers/holdController');
+const { getJoinStatus, streamJoinStatus } = require('../controllers/consultationController');
+const {
+    getAppointmentNotifications,
+    resendAppointmentNotification
+} = require('../controllers/notificationController');
+const {
+    createFollowUpSeries,
+    getSeries,
+    cancelSeries,
+    rescheduleSeries
+} = require('../controllers/seriesController');
 const { requireAuth, requirePatient, requireDoctor } = require('../middleware/auth');
+const { APPOINTMENT_STATUSES } = require('../utils/appointmentStatus');
+const { CANCELLATION_CATEGORIES } = require('../utils/cancellationCategory');
 
 const router = express.Router();
 
@@ -34,12 +50,158 @@ const bookAppointmentValidation = [
         .withMessage('Consultation type must be video, audio, or chat')
 ];
 
+const holdValidation = [
+    body('doctorId')
+        .isMongoId()
+        .withMessage('Invalid doctor ID'),
+    body('appointmentDate')
+        .isISO8601()
+        .withMessage('Invalid appointment date format'),
+    body('timeSlot')
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]-([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Invalid time slot format (HH:MM-HH:MM)')
+];
+
+const holdIdValidation = [
+    param('holdId')
+        .isMongoId()
+        .withMessage('Invalid hold ID')
+];
+
+const followUpSeriesValidation = [
+    body('frequency')
+        .isIn(['weekly', 'monthly'])
+        .withMessage('Frequency must be weekly or monthly'),
+    body('interval')
+        .optional()
+        .isInt({ min: 1, max: 12 })
+        .withMessage('Interval must be between 1 and 12'),
+    body('count')
+        .optional()
+        .isInt({ min: 1, max: 52 })
+        .withMessage('Count must be between 1 and 52'),
+    body('until')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid until date format'),
+    body()
+        .custom(value => value.count !== undefined || value.until !== undefined)
+        .withMessage('Either count or until is required'),
+    body('startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid start date format'),
+    body('timeSlot')
+        .optional()
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]-([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Invalid time slot format (HH:MM-HH:MM)'),
+    body('consultationType')
+        .optional()
+        .isIn(['video', 'audio', 'chat'])
+        .withMessage('Consultation type must be video, audio, or chat'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters'),
+    body('skipConflicts')
+        .optional()
+        .isBoolean()
+        .withMessage('skipConflicts must be true or false')
+        .toBoolean()
+];
+
+const seriesIdValidation = [
+    param('seriesId')
+        .isMongoId()
+        .withMessage('Invalid series ID')
+];
+
+const cancelSeriesValidation = [
+    body('fromDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid from date format'),
+    body('category')
+        .optional()
+        .isIn(CANCELLATION_CATEGORIES)
+        .withMessage(`Category must be one of: ${CANCELLATION_CATEGORIES.join(', ')}`),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage('Reason cannot exceed 300 characters')
+];
+
+const rescheduleSeriesValidation = [
+    body('timeSlot')
+        .optional()
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]-([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Invalid time slot format (HH:MM-HH:MM)'),
+    body('shiftDays')
+        .optional()
+        .isInt({ min: -365, max: 365 })
+        .withMessage('shiftDays must be a whole number of days'),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage('Reason cannot exceed 300 characters')
+];
+
 const appointmentIdValidation = [
     param('appointmentId')
         .isMongoId()
         .withMessage('Invalid appointment ID')
 ];
 
+const notificationIdValidation = [
+    param('notificationId')
+        .isMongoId()
+        .withMessage('Invalid notification ID')
+];
+
+const statusValidation = [
+    body('status')
+        .isIn(APPOINTMENT_STATUSES)
+        .withMessage('Invalid status'),
+    body('category')
+        .optional()
+        .isIn(CANCELLATION_CATEGORIES)
+        .withMessage(`Category must be one of: ${CANCELLATION_CATEGORIES.join(', ')}`),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage('Reason cannot exceed 300 characters')
+];
+
+const cancelValidation = [
+    body('category')
+        .optional()
+        .isIn(CANCELLATION_CATEGORIES)
+        .withMessage(`Category must be one of: ${CANCELLATION_CATEGORIES.join(', ')}`),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage('Reason cannot exceed 300 characters')
+];
+
+const rescheduleValidation = [
+    body('appointmentDate')
+        .isISO8601()
+        .withMessage('Invalid appointment date format'),
+    body('timeSlot')
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]-([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Invalid time slot format (HH:MM-HH:MM)'),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage('Reason cannot exceed 300 characters')
+];
+
 const ratingValidation = [
     body('score')
         .isInt({ min: 1, max: 5 })
@@ -54,7 +216,7 @@ const ratingValidation = [
 const queryValidation = [
     query('status')
         .optional()
-        .isIn(['scheduled', 'ongoing', 'completed', 'cancelled', 'no-show'])
+        .isIn(APPOINTMENT_STATUSES)
         .withMessage('Invalid status'),
     query('page')
         .optional()
@@ -69,10 +231,20 @@ const queryValidation = [
 // Appointment routes
 router.post('/', requirePatient, bookAppointmentValidation, bookAppointment);
 router.get('/stats', requireAuth, getAppointmentStats);
+router.post('/holds', requirePatient, holdValidation, createSlotHold);
+router.delete('/holds/:holdId', requirePatient, holdIdValidation, releaseSlotHold);
+router.get('/series/:seriesId', requireAuth, seriesIdValidation, getSeries);
+router.post('/series/:seriesId/cancel', requireAuth, seriesIdValidation, cancelSeriesValidation, cancelSeries);
+router.put('/series/:seriesId/reschedule', requireAuth, seriesIdValidation, rescheduleSeriesValidation, rescheduleSeries);
 router.get('/:appointmentId', requireAuth, appointmentIdValidation, getAppointment);
 router.put('/:appointmentId', requireAuth, appointmentIdValidation, updateAppointment);
-router.delete('/:appointmentId', requireAuth, appointmentIdValidation, cancelAppointment);
+router.delete('/:appointmentId', requireAuth, appointmentIdValidation, cancelValidation, cancelAppointment);
 router.post('/:appointmentId/rate', requirePatient, appointmentIdValidation, ratingValidation, rateAppointment);
+router.post('/:appointmentId/follow-ups', requireDoctor, appointmentIdValidation, followUpSeriesValidation, createFollowUpSeries);
+router.get('/:appointmentId/join-status', requireAuth, appointmentIdValidation, getJoinStatus);
+router.get('/:appointmentId/join-status/stream', requireAuth, appointmentIdValidation, streamJoinStatus);
+router.get('/:appointmentId/notifications', requireAuth, appointmentIdValidation, getAppointmentNotifications);
+router.post('/:appointmentId/notifications/:notificationId/resend', requireAuth, appointmentIdValidation, notificationIdValidation, resendAppointmentNotification);
 
 // Health check for appointment routes
 router.get('/health', (req, res) => {
@@ -84,13 +256,9 @@ router.get('/health', (req, res) => {
 });
 
 // Add these routes after your existing ones
-router.put('/:id/status', requireDoctor, (req, res) => {
-    appointmentController.updateAppointmentStatus(req, res);
-});
+router.put('/:appointmentId/status', requireDoctor, appointmentIdValidation, statusValidation, updateAppointmentStatus);
 
-router.put('/:id/reschedule', requireAuth, (req, res) => {
-    appointmentController.rescheduleAppointment(req, res);
-});
+router.put('/:appointmentId/reschedule', requireAuth, appointmentIdValidation, rescheduleValidation, rescheduleAppointment);
 
 // Add this route for video call integration
 router.get('/:appointmentId/video', requireAuth, appointmentIdValidation, (req, res) => {
@@ -5,9 +5,22 @@ const {
     loginDoctor,
     registerPatient,
     loginPatient,
+    loginAdmin,
+    refreshToken,
     logout,
+    forgotPassword,
+    resetPassword,
+    changePassword,
     getCurrentUser
 } = require('../controllers/authController');
+const {
+    sendEmailVerification,
+    verifyEmail,
+    sendPhoneVerification,
+    verifyPhone
+} = require('../controllers/verificationController');
+const { isValidTimezone } = require('../utils/timezone');
+const { SUPPORTED_LANGUAGES, isSupportedLanguage } = require('../utils/language');
 const { requireAuth } = require('../middleware/auth');
 
 const router = express.Router();
@@ -42,7 +55,11 @@ const doctorRegistrationValidation = [
         .withMessage('Gender must be Male, Female, or Other'),
     body('consultationFee')
         .isFloat({ min: 0 })
-        .withMessage('Consultation fee must be a positive number')
+        .withMessage('Consultation fee must be a positive number'),
+    body('timezone')
+        .optional()
+        .custom(isValidTimezone)
+        .withMessage('Timezone must be a valid IANA name such as Asia/Kolkata')
 ];
 
 const patientRegistrationValidation = [
@@ -65,7 +82,15 @@ const patientRegistrationValidation = [
         .withMessage('Age must be between 1 and 120'),
     body('gender')
         .isIn(['Male', 'Female', 'Other'])
-        .withMessage('Gender must be Male, Female, or Other')
+        .withMessage('Gender must be Male, Female, or Other'),
+    body('timezone')
+        .optional()
+        .custom(isValidTimezone)
+        .withMessage('Timezone must be a valid IANA name such as Asia/Kolkata'),
+    body('preferredLanguage')
+        .optional()
+        .custom(isSupportedLanguage)
+        .withMessage(`Language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`)
 ];
 
 const loginValidation = [
@@ -75,7 +100,66 @@ const loginValidation = [
         .withMessage('Please provide a valid email'),
     body('password')
         .notEmpty()
-        .withMessage('Password is required')
+        .withMessage('Password is required'),
+    body('issueTokens')
+        .optional()
+        .isBoolean()
+        .withMessage('issueTokens must be a boolean')
+        .toBoolean()
+];
+
+const refreshTokenValidation = [
+    body('refreshToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Refresh token is required')
+];
+
+const forgotPasswordValidation = [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email'),
+    body('role')
+        .isIn(['doctor', 'patient'])
+        .withMessage('Role must be doctor or patient'),
+    body('channel')
+        .optional()
+        .isIn(['email', 'whatsapp'])
+        .withMessage('Channel must be email or whatsapp')
+];
+
+const resetPasswordValidation = [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Reset token is required'),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long')
+];
+
+const changePasswordValidation = [
+    body('currentPassword')
+        .notEmpty()
+        .withMessage('Current password is required'),
+    body('newPassword')
+        .isLength({ min: 6 })
+        .withMessage('New password must be at least 6 characters long')
+];
+
+const verifyEmailValidation = [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Verification token is required')
+];
+
+const verifyPhoneValidation = [
+    body('code')
+        .isString()
+        .matches(/^\d{6}$/)
+        .withMessage('Verification code must be 6 digits')
 ];
 
 // Doctor routes
@@ -86,8 +170,19 @@ router.post('/doctor/login', loginValidation, loginDoctor);
 router.post('/patient/register', patientRegistrationValidation, registerPatient);
 router.post('/patient/login', loginValidation, loginPatient);
 
+// Admin routes (administrators are created by other administrators)
+router.post('/admin/login', loginValidation, loginAdmin);
+
 // Common routes
+router.post('/token/refresh', refreshTokenValidation, refreshToken);
 router.post('/logout', logout);
+router.post('/password/forgot', forgotPasswordValidation, forgotPassword);
+router.post('/password/reset', resetPasswordValidation, resetPassword);
+router.put('/password', requireAuth, changePasswordValidation, changePassword);
+router.post('/verify/email/send', requireAuth, sendEmailVerification);
+router.post('/verify/email', verifyEmailValidation, verifyEmail);
+router.post('/verify/phone/send', requireAuth, sendPhoneVerification);
+router.post('/verify/phone', requireAuth, verifyPhoneValidation, verifyPhone);
 router.get('/me', requireAuth, getCurrentUser);
 
 // Health check for auth routes
@@ -1,18 +1,79 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const {
     getDoctorProfile,
     updateDoctorProfile,
     getAllDoctors,
     getDoctorAppointments,
     getDoctorDashboard,
-    getAvailableSlots
+    getAvailableSlots,
+    getAppointmentCleanupReport,
+    runAppointmentCleanup
 } = require('../controllers/doctorController');
-const { requireAuth, requireDoctor } = require('../middleware/auth');
+const {
+    getMyCredentials,
+    submitCredentials,
+    getReviewQueue,
+    reviewCredentials,
+    downloadCredentialDocument
+} = require('../controllers/credentialController');
+const {
+    getAvailabilityExceptions,
+    createAvailabilityException,
+    updateAvailabilityException,
+    deleteAvailabilityException
+} = require('../controllers/availabilityController');
+const { isValidTimezone } = require('../utils/timezone');
+const { NOTIFICATION_TYPES } = require('../utils/notificationPreferences');
+const { requireAuth, requireDoctor, requireAdmin, optionalAuth } = require('../middleware/auth');
+const { uploadCredentialDocuments } = require('../middleware/upload');
 const appointmentController = require('../controllers/appointmentController');
 const router = express.Router();
 
 // Validation rules
+// Rule-based availability (working hours, consultation length, breaks, buffer)
+const availabilityRulesValidation = [
+    body('availability.workingHours')
+        .optional()
+        .isArray()
+        .withMessage('Working hours must be an array'),
+    body('availability.workingHours.*.day')
+        .isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'])
+        .withMessage('Invalid working day'),
+    body('availability.workingHours.*.start')
+        .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Invalid working hours start time (HH:MM)'),
+    body('availability.workingHours.*.end')
+        .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Invalid working hours end time (HH:MM)')
+        .custom((end, { req, path }) => end > req.body.availability.workingHours[path.match(/\[(\d+)\]/)[1]].start)
+        .withMessage('Working hours must end after they start'),
+    body('availability.consultationDuration')
+        .optional()
+        .isInt({ min: 5, max: 240 })
+        .withMessage('Consultation duration must be between 5 and 240 minutes'),
+    body('availability.bufferMinutes')
+        .optional()
+        .isInt({ min: 0, max: 120 })
+        .withMessage('Buffer must be between 0 and 120 minutes'),
+    body('availability.breaks')
+        .optional()
+        .isArray()
+        .withMessage('Breaks must be an array'),
+    body('availability.breaks.*.day')
+        .optional()
+        .isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'])
+        .withMessage('Invalid break day'),
+    body('availability.breaks.*.start')
+        .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Invalid break start time (HH:MM)'),
+    body('availability.breaks.*.end')
+        .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Invalid break end time (HH:MM)')
+        .custom((end, { req, path }) => end > req.body.availability.breaks[path.match(/\[(\d+)\]/)[1]].start)
+        .withMessage('Breaks must end after they start')
+];
+
 const updateProfileValidation = [
     body('name')
         .optional()
@@ -42,7 +103,76 @@ const updateProfileValidation = [
     body('consultationFee')
         .optional()
         .isFloat({ min: 0 })
-        .withMessage('Consultation fee must be a positive number')
+        .withMessage('Consultation fee must be a positive number'),
+    body('timezone')
+        .optional()
+        .custom(isValidTimezone)
+        .withMessage('Timezone must be a valid IANA name such as Asia/Kolkata'),
+    body('appointmentSettings.autoNoShow')
+        .optional()
+        .isBoolean()
+        .withMessage('autoNoShow must be true or false')
+        .toBoolean(),
+    body('appointmentSettings.noShowGraceMinutes')
+        .optional()
+        .isInt({ min: 0, max: 1440 })
+        .withMessage('No-show grace period must be between 0 and 1440 minutes')
+        .toInt(),
+    body('appointmentSettings.autoComplete')
+        .optional()
+        .isBoolean()
+        .withMessage('autoComplete must be true or false')
+        .toBoolean(),
+    body('appointmentSettings.autoCompleteGraceMinutes')
+        .optional()
+        .isInt({ min: 0, max: 1440 })
+        .withMessage('Auto-complete grace period must be between 0 and 1440 minutes')
+        .toInt(),
+    body('notificationPreferences.optOut')
+        .optional()
+        .isBoolean()
+        .withMessage('optOut must be true or false')
+        .toBoolean(),
+    body('notificationPreferences.channels.whatsapp')
+        .optional()
+        .isBoolean()
+        .withMessage('WhatsApp channel setting must be true or false')
+        .toBoolean(),
+    body('notificationPreferences.channels.email')
+        .optional()
+        .isBoolean()
+        .withMessage('Email channel setting must be true or false')
+        .toBoolean(),
+    body('notificationPreferences.disabledTypes')
+        .optional()
+        .isArray()
+        .withMessage('Disabled notification types must be an array'),
+    body('notificationPreferences.disabledTypes.*')
+        .isIn(NOTIFICATION_TYPES)
+        .withMessage(`Notification types must be one of: ${NOTIFICATION_TYPES.join(', ')}`),
+    body('notificationPreferences.quietHours.enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('Quiet hours setting must be true or false')
+        .toBoolean(),
+    body('notificationPreferences.quietHours.start')
+        .optional()
+        .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Quiet hours start must be in HH:MM format'),
+    body('notificationPreferences.quietHours.end')
+        .optional()
+        .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Quiet hours end must be in HH:MM format'),
+    body('dailyAgenda.enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('Daily agenda setting must be true or false')
+        .toBoolean(),
+    body('dailyAgenda.time')
+        .optional()
+        .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Daily agenda time must be in HH:MM format'),
+    ...availabilityRulesValidation
 ];
 
 const queryValidation = [
@@ -56,6 +186,122 @@ const queryValidation = [
         .withMessage('Limit must be between 1 and 50')
 ];
 
+const TIME_SLOT_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]-([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const exceptionValidation = [
+    body('type')
+        .isIn(['blocked', 'extra'])
+        .withMessage('Type must be blocked or extra'),
+    body('startDate')
+        .isISO8601()
+        .withMessage('Invalid start date format'),
+    body('endDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid end date format'),
+    body('timeSlots')
+        .optional()
+        .isArray()
+        .withMessage('Time slots must be an array'),
+    body('timeSlots.*')
+        .matches(TIME_SLOT_REGEX)
+        .withMessage('Invalid time slot format (HH:MM-HH:MM)'),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Reason cannot exceed 200 characters')
+];
+
+const exceptionUpdateValidation = [
+    body('type')
+        .optional()
+        .isIn(['blocked', 'extra'])
+        .withMessage('Type must be blocked or extra'),
+    body('startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid start date format'),
+    ...exceptionValidation.slice(2)
+];
+
+const exceptionIdValidation = [
+    param('exceptionId')
+        .isMongoId()
+        .withMessage('Invalid exception ID')
+];
+
+const exceptionQueryValidation = [
+    query('from')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid from date format'),
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid to date format')
+];
+
+const credentialSubmissionValidation = [
+    body('licenseNumber')
+        .trim()
+        .isLength({ min: 3, max: 50 })
+        .withMessage('License number must be between 3 and 50 characters'),
+    body('issuingAuthority')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Issuing authority must be between 2 and 100 characters')
+];
+
+const reviewQueueValidation = [
+    query('status')
+        .optional()
+        .isIn(['pending', 'approved', 'rejected'])
+        .withMessage('Status must be pending, approved or rejected'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100')
+];
+
+const credentialReviewValidation = [
+    param('doctorId')
+        .isMongoId()
+        .withMessage('Invalid doctor ID'),
+    body('decision')
+        .isIn(['approved', 'rejected'])
+        .withMessage('Decision must be approved or rejected'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Notes cannot exceed 1000 characters'),
+    body('notes')
+        .if(body('decision').equals('rejected'))
+        .notEmpty()
+        .withMessage('Notes are required when rejecting credentials')
+];
+
+const credentialDocumentValidation = [
+    param('doctorId')
+        .isMongoId()
+        .withMessage('Invalid doctor ID'),
+    param('documentId')
+        .isMongoId()
+        .withMessage('Invalid document ID')
+];
+
+const cleanupReportValidation = [
+    query('days')
+        .optional()
+        .isInt({ min: 1, max: 90 })
+        .withMessage('Days must be between 1 and 90')
+];
+
 // Doctor-specific routes (require doctor authentication)
 router.get('/profile', requireDoctor, getDoctorProfile);
 router.put('/profile', requireDoctor, updateProfileValidation, updateDoctorProfile);
@@ -63,8 +309,25 @@ router.get('/appointments', requireDoctor, queryValidation, getDoctorAppointment
 router.get('/dashboard', requireDoctor, getDoctorDashboard);
 router.get('/available-slots', requireDoctor, getAvailableSlots);
 
+// No-show detection and auto-completion of stale appointments
+router.get('/appointment-cleanup', requireDoctor, cleanupReportValidation, getAppointmentCleanupReport);
+router.post('/appointment-cleanup/run', requireDoctor, runAppointmentCleanup);
+
+// Credential verification: doctors submit, administrators review
+router.get('/credentials', requireDoctor, getMyCredentials);
+router.post('/credentials', requireDoctor, uploadCredentialDocuments, credentialSubmissionValidation, submitCredentials);
+router.get('/credentials/review-queue', requireAdmin, reviewQueueValidation, getReviewQueue);
+router.post('/:doctorId/credentials/review', requireAdmin, credentialReviewValidation, reviewCredentials);
+router.get('/:doctorId/credentials/documents/:documentId', requireAdmin, credentialDocumentValidation, downloadCredentialDocument);
+
+// Leave calendar and one-off availability
+router.get('/availability/exceptions', requireDoctor, exceptionQueryValidation, getAvailabilityExceptions);
+router.post('/availability/exceptions', requireDoctor, exceptionValidation, createAvailabilityException);
+router.put('/availability/exceptions/:exceptionId', requireDoctor, exceptionIdValidation, exceptionUpdateValidation, updateAvailabilityException);
+router.delete('/availability/exceptions/:exceptionId', requireDoctor, exceptionIdValidation, deleteAvailabilityException);
+
 
-router.get('/:id/available-slots', (req, res) => {
+router.get('/:id/available-slots', optionalAuth, (req, res) => {
     appointmentController.getAvailableSlots(req, res);
 });
 
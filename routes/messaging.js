@@ -0,0 +1,9 @@
+const express = require('express');
+const { receiveInboundMessage } = require('../controllers/messagingController');
+
+const router = express.Router();
+
+// Replies from the messaging provider, checked against its signature
+router.post('/webhook', receiveInboundMessage);
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+    getNotifications,
+    retryNotification
+} = require('../controllers/notificationController');
+const {
+    getTemplates,
+    updateTemplate,
+    resetTemplate,
+    previewTemplate
+} = require('../controllers/templateController');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { SUPPORTED_LANGUAGES, isSupportedLanguage } = require('../utils/language');
+
+const router = express.Router();
+
+// Validation rules
+const notificationQueryValidation = [
+    query('status')
+        .optional()
+        .isIn(['pending', 'sending', 'sent', 'dead', 'suppressed'])
+        .withMessage('Invalid status'),
+    query('channel')
+        .optional()
+        .isIn(['whatsapp', 'email'])
+        .withMessage('Channel must be whatsapp or email'),
+    query('appointmentId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid appointment ID'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100')
+];
+
+const notificationIdValidation = [
+    param('notificationId')
+        .isMongoId()
+        .withMessage('Invalid notification ID')
+];
+
+const languageMessage = `Language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`;
+
+const templateQueryValidation = [
+    query('channel')
+        .optional()
+        .isIn(['whatsapp', 'email'])
+        .withMessage('Channel must be whatsapp or email'),
+    query('language')
+        .optional()
+        .custom(isSupportedLanguage)
+        .withMessage(languageMessage)
+];
+
+const templateParamValidation = [
+    param('channel')
+        .isIn(['whatsapp', 'email'])
+        .withMessage('Channel must be whatsapp or email'),
+    param('language')
+        .custom(isSupportedLanguage)
+        .withMessage(languageMessage)
+];
+
+const templateValidation = [
+    body('subject')
+        .optional()
+        .isString()
+        .isLength({ max: 200 })
+        .withMessage('Subject cannot exceed 200 characters'),
+    body('body')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 4000 })
+        .withMessage('Template body must be between 1 and 4000 characters')
+];
+
+const previewValidation = [
+    body('channel')
+        .isIn(['whatsapp', 'email'])
+        .withMessage('Channel must be whatsapp or email'),
+    body('type')
+        .isString()
+        .notEmpty()
+        .withMessage('Notification type is required'),
+    body('language')
+        .optional()
+        .custom(isSupportedLanguage)
+        .withMessage(languageMessage),
+    body('subject')
+        .optional()
+        .isString()
+        .isLength({ max: 200 })
+        .withMessage('Subject cannot exceed 200 characters'),
+    body('body')
+        .optional()
+        .isString()
+        .isLength({ max: 4000 })
+        .withMessage('Template body cannot exceed 4000 characters'),
+    body('variables')
+        .optional()
+        .isObject()
+        .withMessage('Variables must be an object')
+];
+
+// Notification template routes (administrators)
+router.get('/templates', requireAdmin, templateQueryValidation, getTemplates);
+router.post('/templates/preview', requireAdmin, previewValidation, previewTemplate);
+router.put('/templates/:channel/:type/:language', requireAdmin, templateParamValidation, templateValidation, updateTemplate);
+router.delete('/templates/:channel/:type/:language', requireAdmin, templateParamValidation, resetTemplate);
+
+// Notification outbox routes
+router.get('/', requireAuth, notificationQueryValidation, getNotifications);
+router.post('/:notificationId/retry', requireAuth, notificationIdValidation, retryNotification);
+
+module.exports = router;
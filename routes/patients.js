@@ -8,6 +8,9 @@ const {
     searchDoctors,
     getDoctorDetails,
 } = require('../controllers/patientController');
+const { isValidTimezone } = require('../utils/timezone');
+const { SUPPORTED_LANGUAGES, isSupportedLanguage } = require('../utils/language');
+const { NOTIFICATION_TYPES } = require('../utils/notificationPreferences');
 const { requireAuth, requirePatient } = require('../middleware/auth');
 
 const router = express.Router();
@@ -34,7 +37,50 @@ const updateProfileValidation = [
     body('bloodGroup')
         .optional()
         .isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'])
-        .withMessage('Invalid blood group')
+        .withMessage('Invalid blood group'),
+    body('timezone')
+        .optional()
+        .custom(isValidTimezone)
+        .withMessage('Timezone must be a valid IANA name such as Asia/Kolkata'),
+    body('preferredLanguage')
+        .optional()
+        .custom(isSupportedLanguage)
+        .withMessage(`Language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`),
+    body('notificationPreferences.optOut')
+        .optional()
+        .isBoolean()
+        .withMessage('optOut must be true or false')
+        .toBoolean(),
+    body('notificationPreferences.channels.whatsapp')
+        .optional()
+        .isBoolean()
+        .withMessage('WhatsApp channel setting must be true or false')
+        .toBoolean(),
+    body('notificationPreferences.channels.email')
+        .optional()
+        .isBoolean()
+        .withMessage('Email channel setting must be true or false')
+        .toBoolean(),
+    body('notificationPreferences.disabledTypes')
+        .optional()
+        .isArray()
+        .withMessage('Disabled notification types must be an array'),
+    body('notificationPreferences.disabledTypes.*')
+        .isIn(NOTIFICATION_TYPES)
+        .withMessage(`Notification types must be one of: ${NOTIFICATION_TYPES.join(', ')}`),
+    body('notificationPreferences.quietHours.enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('Quiet hours setting must be true or false')
+        .toBoolean(),
+    body('notificationPreferences.quietHours.start')
+        .optional()
+        .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Quiet hours start must be in HH:MM format'),
+    body('notificationPreferences.quietHours.end')
+        .optional()
+        .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Quiet hours end must be in HH:MM format')
 ];
 
 const queryValidation = [
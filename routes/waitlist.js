@@ -0,0 +1,57 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+    joinWaitlist,
+    getWaitlist,
+    leaveWaitlist,
+    claimWaitlistOffer,
+    declineWaitlistOffer
+} = require('../controllers/waitlistController');
+const { requireAuth, requirePatient } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const joinWaitlistValidation = [
+    body('doctorId')
+        .isMongoId()
+        .withMessage('Invalid doctor ID'),
+    body('startDate')
+        .isISO8601()
+        .withMessage('Invalid start date format'),
+    body('endDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid end date format'),
+    body('preferredTimeSlots')
+        .optional()
+        .isArray()
+        .withMessage('Preferred time slots must be an array'),
+    body('preferredTimeSlots.*')
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]-([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage('Invalid time slot format (HH:MM-HH:MM)'),
+    body('consultationType')
+        .optional()
+        .isIn(['video', 'audio', 'chat'])
+        .withMessage('Consultation type must be video, audio, or chat'),
+    body('symptoms')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Symptoms description cannot exceed 500 characters')
+];
+
+const entryIdValidation = [
+    param('entryId')
+        .isMongoId()
+        .withMessage('Invalid waitlist entry ID')
+];
+
+// Waitlist routes
+router.post('/', requirePatient, joinWaitlistValidation, joinWaitlist);
+router.get('/', requireAuth, getWaitlist);
+router.delete('/:entryId', requirePatient, entryIdValidation, leaveWaitlist);
+router.post('/offers/:token/claim', requirePatient, claimWaitlistOffer);
+router.post('/offers/:token/decline', requirePatient, declineWaitlistOffer);
+
+module.exports = router;
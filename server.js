@@ -11,6 +11,17 @@ const authRoutes = require('./routes/auth');
 const doctorRoutes = require('./routes/doctors');
 const patientRoutes = require('./routes/patients');
 const appointmentRoutes = require('./routes/appointments');
+const waitlistRoutes = require('./routes/waitlist');
+const notificationRoutes = require('./routes/notifications');
+const messagingRoutes = require('./routes/messaging');
+const adminRoutes = require('./routes/admin');
+
+// Import background jobs
+const { startWaitlistSweeper } = require('./services/waitlistService');
+const { startAppointmentCleanup } = require('./services/appointmentCleanupService');
+const { startReminderScheduler } = require('./services/reminderService');
+const { startNotificationWorker } = require('./services/notificationService');
+const { startAgendaScheduler } = require('./services/doctorNotificationService');
 
 const app = express();
 
@@ -25,8 +36,13 @@ app.use(cors({
     allowedHeaders: ["Content-Type", "Authorization"]
 }));
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body around so webhook signatures can be checked against it
+const keepRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+};
+
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
 // Session configuration
 app.use(session({
@@ -49,6 +65,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/doctors', doctorRoutes);
 app.use('/api/patients', patientRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/messaging', messagingRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -79,3 +99,9 @@ app.listen(PORT, () => {
     console.log(`🚀 Healthcare server running on port ${PORT}`);
     console.log(`🏥 API Base URL: http://localhost:${PORT}/api`);
 });
+
+startWaitlistSweeper();
+startAppointmentCleanup();
+startReminderScheduler();
+startNotificationWorker();
+startAgendaScheduler();
@@ -0,0 +1,320 @@
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const Appointment = require('../models/Appointment');
+const Notification = require('../models/Notification');
+const tokenService = require('./tokenService');
+const rescheduleService = require('./rescheduleService');
+const waitlistService = require('./waitlistService');
+const cancellationService = require('./cancellationService');
+const { isSlotKeyConflict, ACTIVE_APPOINTMENT_STATUSES } = require('../utils/slotKey');
+
+// Appointment fields an administrator can correct directly
+const CORRECTABLE_FIELDS = ['consultationType', 'symptoms', 'diagnosis', 'consultationNotes', 'meetingLink'];
+
+// Error raised for an administration request that cannot be carried out, with the HTTP status to report
+class AdminError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AdminError';
+        this.status = status;
+    }
+}
+
+const ACCOUNT_MODELS = {
+    doctor: Doctor,
+    patient: Patient
+};
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Who did something, as stored on the records they changed
+const toActor = (admin) => ({ userId: admin.id, email: admin.email });
+
+// Count documents per value of a field, as { value: count }
+const countBy = async (Model, field, match = {}) => {
+    const groups = await Model.aggregate([
+        { $match: match },
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+    ]);
+    return groups.reduce((counts, group) => ({ ...counts, [group._id]: group.count }), {});
+};
+
+// Doctors or patients matching a name, email or phone search, newest first.
+// status narrows the list to 'active' or 'suspended' accounts.
+const listAccounts = async (role, { search, status, page = 1, limit = 20 } = {}) => {
+    const query = {};
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+    if (status === 'suspended') {
+        query['suspension.suspendedAt'] = { $exists: true };
+    } else if (status === 'active') {
+        query['suspension.suspendedAt'] = { $exists: false };
+    }
+
+    const Model = ACCOUNT_MODELS[role];
+    const [accounts, total] = await Promise.all([
+        Model.find(query)
+            .select('-password')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        Model.countDocuments(query)
+    ]);
+    return { accounts, total };
+};
+
+// A doctor or patient with how many appointments they have in each status
+const getAccount = async (role, id) => {
+    const account = await ACCOUNT_MODELS[role].findById(id).select('-password');
+    if (!account) {
+        throw new AdminError(`${role === 'doctor' ? 'Doctor' : 'Patient'} not found`, 404);
+    }
+    const appointments = await countBy(Appointment, 'status', {
+        [`${role}Id`]: new mongoose.Types.ObjectId(id)
+    });
+    return { account, appointments };
+};
+
+// Suspend a doctor or patient: they are signed out everywhere and cannot sign
+// in again until reactivated. Suspended doctors are not listed or bookable.
+const suspendAccount = async (role, id, { reason, admin }) => {
+    const account = await ACCOUNT_MODELS[role].findOneAndUpdate(
+        { _id: id, 'suspension.suspendedAt': { $exists: false } },
+        {
+            $set: {
+                suspension: {
+                    suspendedAt: new Date(),
+                    reason,
+                    suspendedBy: toActor(admin)
+                }
+            }
+        },
+        { new: true }
+    ).select('-password');
+    if (!account) {
+        await getAccount(role, id);
+        throw new AdminError('Account is already suspended', 409);
+    }
+
+    await tokenService.revokeUserSessions(role, account._id);
+    return account;
+};
+
+// Lift a suspension
+const reactivateAccount = async (role, id) => {
+    const account = await ACCOUNT_MODELS[role].findOneAndUpdate(
+        { _id: id, 'suspension.suspendedAt': { $exists: true } },
+        { $unset: { suspension: '' } },
+        { new: true }
+    ).select('-password');
+    if (!account) {
+        await getAccount(role, id);
+        throw new AdminError('Account is not suspended', 409);
+    }
+    return account;
+};
+
+// Sign a doctor or patient out of every session and token
+const forceLogout = async (role, id) => {
+    await getAccount(role, id);
+    return tokenService.revokeUserSessions(role, id);
+};
+
+// Appointments matching the filters, soonest first
+const listAppointments = async ({ status, doctorId, patientId, from, to, page = 1, limit = 20 } = {}) => {
+    const query = {};
+    if (status) query.status = status;
+    if (doctorId) query.doctorId = doctorId;
+    if (patientId) query.patientId = patientId;
+    if (from || to) {
+        query.appointmentDate = {};
+        if (from) query.appointmentDate.$gte = new Date(from);
+        if (to) query.appointmentDate.$lte = new Date(to);
+    }
+
+    const [appointments, total] = await Promise.all([
+        Appointment.find(query)
+            .populate('doctorId', 'name email phone specialization')
+            .populate('patientId', 'name email phone')
+            .sort({ appointmentDate: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        Appointment.countDocuments(query)
+    ]);
+    return { appointments, total };
+};
+
+const findAppointment = async (id) => {
+    const appointment = await Appointment.findById(id);
+    if (!appointment) {
+        throw new AdminError('Appointment not found', 404);
+    }
+    return appointment;
+};
+
+// An appointment with both parties
+const getAppointment = async (id) => {
+    const appointment = await findAppointment(id);
+    return appointment.populate([
+        { path: 'doctorId', select: 'name email phone specialization timezone' },
+        { path: 'patientId', select: 'name email phone timezone' }
+    ]);
+};
+
+// Fix an appointment. Field corrections are logged on the appointment and nobody
+// is told about them. A forced status is logged too; one that frees the slot
+// offers it to the waitlist, and a cancellation is sent to both parties like any
+// other. A move to another slot (dateKey and timeSlot) runs the booking checks
+// and notifies both parties. Everything is checked and saved together, and
+// nobody is notified unless the save succeeds. Throws a RescheduleError when the
+// move is not possible.
+const correctAppointment = async (id, { status, dateKey, timeSlot, reason, fields = {}, admin }) => {
+    const appointment = await findAppointment(id);
+    const changedBy = { role: 'admin', userId: admin.id };
+    const moving = Boolean(dateKey && timeSlot);
+    const changingStatus = Boolean(status) && status !== appointment.status;
+    const freesSlot = changingStatus &&
+        ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status) &&
+        !ACTIVE_APPOINTMENT_STATUSES.includes(status);
+
+    if (moving && changingStatus) {
+        throw new AdminError('Move the appointment and correct its status in separate requests');
+    }
+
+    const move = moving
+        ? await rescheduleService.prepareMove(appointment, {
+            dateKey,
+            timeSlot,
+            changedBy,
+            reason,
+            ignoreCutoff: true
+        })
+        : null;
+
+    const changes = {};
+    CORRECTABLE_FIELDS.forEach(field => {
+        if (fields[field] !== undefined && fields[field] !== appointment[field]) {
+            changes[field] = { from: appointment[field], to: fields[field] };
+            appointment[field] = fields[field];
+        }
+    });
+    if (changingStatus) {
+        appointment.correctStatus(status, { changedBy, reason });
+    }
+    if (Object.keys(changes).length > 0) {
+        appointment.corrections.push({ changes, reason, changedBy: toActor(admin) });
+    }
+
+    if (move) {
+        await rescheduleService.saveMove(appointment);
+        await rescheduleService.finishMove(appointment, move);
+    } else if (appointment.isModified()) {
+        try {
+            await appointment.save();
+        } catch (error) {
+            if (isSlotKeyConflict(error)) {
+                throw new AdminError('Another appointment now holds this time slot', 409);
+            }
+            throw error;
+        }
+    }
+
+    if (freesSlot) {
+        waitlistService.offerFreedSlot(appointment.doctorId, {
+            ...appointment.getSlotInstants(),
+            timeSlot: appointment.timeSlot
+        }).catch(error => {
+            console.error('Waitlist offer error:', error);
+        });
+    }
+    if (changingStatus && status === 'cancelled') {
+        cancellationService.notifyCancellation(appointment).catch(error => {
+            console.error('Cancellation notice error:', error);
+        });
+    }
+
+    return getAppointment(id);
+};
+
+// How the platform is doing: accounts, appointments by status, and the
+// notification outbox over the last day
+const getPlatformStats = async (now = new Date()) => {
+    const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const suspended = { 'suspension.suspendedAt': { $exists: true } };
+
+    const [
+        doctors,
+        verifiedDoctors,
+        pendingCredentials,
+        suspendedDoctors,
+        patients,
+        suspendedPatients,
+        appointments,
+        upcomingAppointments,
+        notifications
+    ] = await Promise.all([
+        Doctor.countDocuments(),
+        Doctor.countDocuments({ isVerified: true }),
+        Doctor.countDocuments({ 'credentials.status': 'pending' }),
+        Doctor.countDocuments(suspended),
+        Patient.countDocuments(),
+        Patient.countDocuments(suspended),
+        countBy(Appointment, 'status'),
+        Appointment.countDocuments({ status: 'scheduled', appointmentDate: { $gte: now } }),
+        countBy(Notification, 'status', { createdAt: { $gte: dayAgo } })
+    ]);
+
+    return {
+        doctors: {
+            total: doctors,
+            verified: verifiedDoctors,
+            pendingCredentials,
+            suspended: suspendedDoctors
+        },
+        patients: {
+            total: patients,
+            suspended: suspendedPatients
+        },
+        appointments: {
+            byStatus: appointments,
+            upcoming: upcomingAppointments
+        },
+        notificationsLast24Hours: notifications
+    };
+};
+
+// Administrators, oldest first
+const listAdmins = () => Admin.find().sort({ createdAt: 1 });
+
+// Add an administrator
+const createAdmin = async ({ name, email, password, createdBy }) => {
+    if (await Admin.exists({ email })) {
+        throw new AdminError('An administrator with this email already exists', 409);
+    }
+    return Admin.create({
+        name,
+        email,
+        password,
+        createdBy: createdBy ? toActor(createdBy) : undefined
+    });
+};
+
+module.exports = {
+    CORRECTABLE_FIELDS,
+    AdminError,
+    listAccounts,
+    getAccount,
+    suspendAccount,
+    reactivateAccount,
+    forceLogout,
+    listAppointments,
+    getAppointment,
+    correctAppointment,
+    getPlatformStats,
+    listAdmins,
+    createAdmin
+};
@@ -0,0 +1,209 @@
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const { assertTransition } = require('../utils/appointmentStatus');
+
+// Minutes after its start a scheduled appointment that never began becomes a no-show
+const NO_SHOW_GRACE_MINUTES = parseInt(process.env.NO_SHOW_GRACE_MINUTES, 10) || 30;
+
+// Minutes after its scheduled end an ongoing appointment is completed automatically
+const AUTO_COMPLETE_GRACE_MINUTES = parseInt(process.env.AUTO_COMPLETE_GRACE_MINUTES, 10) || 60;
+
+// How often stale appointments are swept
+const CLEANUP_INTERVAL_MS = parseInt(process.env.APPOINTMENT_CLEANUP_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+// Appointments loaded at a time by the sweep
+const CLEANUP_BATCH_SIZE = parseInt(process.env.APPOINTMENT_CLEANUP_BATCH_SIZE, 10) || 200;
+
+// A doctor's sweep settings with the server defaults filled in
+const getCleanupSettings = (doctor) => {
+    const settings = (doctor && doctor.appointmentSettings) || {};
+    return {
+        autoNoShow: settings.autoNoShow !== false,
+        noShowGraceMinutes: typeof settings.noShowGraceMinutes === 'number'
+            ? settings.noShowGraceMinutes
+            : NO_SHOW_GRACE_MINUTES,
+        autoComplete: settings.autoComplete !== false,
+        autoCompleteGraceMinutes: typeof settings.autoCompleteGraceMinutes === 'number'
+            ? settings.autoCompleteGraceMinutes
+            : AUTO_COMPLETE_GRACE_MINUTES
+    };
+};
+
+// The status change a stale appointment is due, or null if it should be left alone
+const getDueTransition = (appointment, settings, now) => {
+    const { start, end } = appointment.getSlotInstants();
+
+    if (appointment.status === 'scheduled' && settings.autoNoShow &&
+        start.getTime() + settings.noShowGraceMinutes * 60 * 1000 <= now.getTime()) {
+        return {
+            to: 'no-show',
+            reason: `Not started within ${settings.noShowGraceMinutes} minutes of the scheduled time`
+        };
+    }
+
+    if (appointment.status === 'ongoing' && settings.autoComplete &&
+        end.getTime() + settings.autoCompleteGraceMinutes * 60 * 1000 <= now.getTime()) {
+        return {
+            to: 'completed',
+            reason: `Still ongoing ${settings.autoCompleteGraceMinutes} minutes after the scheduled end`
+        };
+    }
+
+    return null;
+};
+
+// Apply a status change made by the sweep. The update only matches while the
+// appointment is still in the status it was read in, so a doctor acting at the
+// same moment or another server instance sweeping too cannot be overwritten.
+const applySystemTransition = (appointment, { to, reason }) => {
+    assertTransition(appointment.status, to);
+    return Appointment.findOneAndUpdate(
+        { _id: appointment._id, status: appointment.status },
+        {
+            $set: { status: to },
+            $push: {
+                statusHistory: {
+                    from: appointment.status,
+                    to,
+                    changedBy: { role: 'system' },
+                    reason,
+                    changedAt: new Date()
+                }
+            }
+        },
+        { new: true }
+    );
+};
+
+// Apply the transitions due to a batch of sweep candidates, adding them to the report
+const sweepBatch = async (candidates, settingsByDoctor, report, now) => {
+    for (const appointment of candidates) {
+        const key = appointment.doctorId.toString();
+        if (!settingsByDoctor.has(key)) {
+            const doctor = await Doctor.findById(appointment.doctorId).select('appointmentSettings');
+            settingsByDoctor.set(key, getCleanupSettings(doctor));
+        }
+
+        const due = getDueTransition(appointment, settingsByDoctor.get(key), now);
+        if (!due) {
+            continue;
+        }
+
+        const updated = await applySystemTransition(appointment, due);
+        if (!updated) {
+            continue;
+        }
+
+        const change = {
+            appointmentId: updated._id,
+            doctorId: updated.doctorId,
+            patientId: updated.patientId,
+            appointmentDate: updated.appointmentDate,
+            timeSlot: updated.timeSlot,
+            from: appointment.status,
+            to: due.to,
+            reason: due.reason
+        };
+        (due.to === 'no-show' ? report.noShows : report.completed).push(change);
+    }
+};
+
+// The appointments the sweep may have to change. Doctors who turned a cleanup
+// off are left out here rather than skipped one appointment at a time, so their
+// past appointments are not loaded again on every run.
+const buildSweepFilter = async ({ doctorId, now }) => {
+    const [noShowOptOuts, autoCompleteOptOuts] = await Promise.all([
+        Doctor.distinct('_id', { 'appointmentSettings.autoNoShow': false }),
+        Doctor.distinct('_id', { 'appointmentSettings.autoComplete': false })
+    ]);
+
+    const filter = {
+        appointmentDate: { $lte: now },
+        $or: [
+            { status: 'scheduled', doctorId: { $nin: noShowOptOuts } },
+            { status: 'ongoing', doctorId: { $nin: autoCompleteOptOuts } }
+        ]
+    };
+    if (doctorId) {
+        filter.doctorId = doctorId;
+    }
+    return filter;
+};
+
+// Mark stale scheduled appointments as no-shows and complete overrunning ongoing
+// ones, using each doctor's grace periods, CLEANUP_BATCH_SIZE appointments at a
+// time. Optionally limited to one doctor. Returns a report of every appointment
+// that was changed.
+const sweepStaleAppointments = async ({ doctorId, now = new Date() } = {}) => {
+    const filter = await buildSweepFilter({ doctorId, now });
+    const settingsByDoctor = new Map();
+    const report = {
+        startedAt: now,
+        checked: 0,
+        noShows: [],
+        completed: []
+    };
+
+    // Page by _id: appointments still within their grace period stay in the filter
+    let lastId = null;
+    for (;;) {
+        const candidates = await Appointment.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+            .sort({ _id: 1 })
+            .limit(CLEANUP_BATCH_SIZE);
+        if (candidates.length === 0) {
+            break;
+        }
+        lastId = candidates[candidates.length - 1]._id;
+        report.checked += candidates.length;
+
+        await sweepBatch(candidates, settingsByDoctor, report, now);
+    }
+
+    report.finishedAt = new Date();
+    return report;
+};
+
+// Appointments of a doctor the sweep has changed since a given instant, newest first
+const getCleanupChanges = async (doctorId, since) => {
+    const appointments = await Appointment.find({
+        doctorId,
+        statusHistory: {
+            $elemMatch: { 'changedBy.role': 'system', changedAt: { $gte: since } }
+        }
+    })
+        .populate('patientId', 'name email phone')
+        .sort({ appointmentDate: -1 });
+
+    return appointments.map(appointment => ({
+        appointment,
+        changes: appointment.statusHistory.filter(entry =>
+            entry.changedBy && entry.changedBy.role === 'system' && entry.changedAt >= since
+        )
+    }));
+};
+
+// Run the stale appointment sweep periodically in this process
+const startAppointmentCleanup = () => {
+    const timer = setInterval(() => {
+        sweepStaleAppointments()
+            .then(report => {
+                if (report.noShows.length > 0 || report.completed.length > 0) {
+                    console.log(`🧹 Appointment cleanup: ${report.noShows.length} no-show(s), ${report.completed.length} auto-completed`);
+                }
+            })
+            .catch(error => {
+                console.error('Appointment cleanup error:', error);
+            });
+    }, CLEANUP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    NO_SHOW_GRACE_MINUTES,
+    AUTO_COMPLETE_GRACE_MINUTES,
+    getCleanupSettings,
+    sweepStaleAppointments,
+    getCleanupChanges,
+    startAppointmentCleanup
+};
@@ -0,0 +1,287 @@
+const Appointment = require('../models/Appointment');
+const AvailabilityException = require('../models/AvailabilityException');
+const { getActiveHolds, findBlockingHold } = require('./reservationService');
+const {
+    DEFAULT_TIMEZONE,
+    normalizeDateKey,
+    getWeekday,
+    getZonedDayBounds,
+    resolveSlot
+} = require('../utils/timezone');
+
+// Timezone a doctor's schedule is expressed in
+const getDoctorTimezone = (doctor) => (doctor && doctor.timezone) || DEFAULT_TIMEZONE;
+
+// Get the start and end of a calendar day in a doctor's timezone
+const getDayBounds = (doctor, date) => {
+    const timeZone = getDoctorTimezone(doctor);
+    return getZonedDayBounds(normalizeDateKey(date, timeZone), timeZone);
+};
+
+// Minutes since midnight of an "HH:MM" time
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// "HH:MM" time of a number of minutes since midnight
+const fromMinutes = (totalMinutes) => {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Start/end minutes of an "HH:MM-HH:MM" slot
+const slotRange = (slot) => {
+    const [startTime, endTime] = slot.split('-');
+    const start = toMinutes(startTime);
+    const end = toMinutes(endTime);
+    return { start, end: end <= start ? end + 24 * 60 : end };
+};
+
+const rangesOverlap = (a, b) => a.start < b.end && b.start < a.end;
+
+// Generate a weekday's slots from working windows, consultation length, breaks and buffer.
+// Slots never overlap a break; each slot is followed by bufferMinutes before the next.
+const generateSlotsFromRules = (availability, dayOfWeek) => {
+    const duration = availability.consultationDuration;
+    const buffer = availability.bufferMinutes || 0;
+
+    const breaks = (availability.breaks || [])
+        .filter(brk => !brk.day || brk.day === dayOfWeek)
+        .map(brk => ({ start: toMinutes(brk.start), end: toMinutes(brk.end) }));
+
+    const windows = (availability.workingHours || [])
+        .filter(window => window.day === dayOfWeek)
+        .map(window => ({ start: toMinutes(window.start), end: toMinutes(window.end) }))
+        .sort((a, b) => a.start - b.start);
+
+    const slots = [];
+    windows.forEach(window => {
+        let cursor = window.start;
+        while (cursor + duration <= window.end) {
+            const slot = { start: cursor, end: cursor + duration };
+            const clash = breaks.find(brk => rangesOverlap(slot, brk));
+            if (clash) {
+                cursor = clash.end;
+                continue;
+            }
+            slots.push(`${fromMinutes(slot.start)}-${fromMinutes(slot.end)}`);
+            cursor = slot.end + buffer;
+        }
+    });
+
+    return slots;
+};
+
+// Whether a doctor's profile uses working-hour rules rather than a hand-entered slot list
+const usesSlotRules = (availability) => {
+    return Boolean(availability && availability.consultationDuration &&
+        availability.workingHours && availability.workingHours.length > 0);
+};
+
+// Get the slots a doctor's weekly schedule gives on a weekday. Rule-based profiles
+// generate them; legacy profiles use the days/timeSlots lists.
+const getWeeklySlots = (doctor, dayOfWeek) => {
+    const availability = doctor.availability || {};
+    if (usesSlotRules(availability)) {
+        return generateSlotsFromRules(availability, dayOfWeek);
+    }
+    return (availability.days || []).includes(dayOfWeek)
+        ? [...(availability.timeSlots || [])]
+        : [];
+};
+
+// Get the exceptions of a doctor that overlap a date range (open-ended when no end is given)
+const getExceptionsInRange = (doctorId, start, end) => {
+    const query = {
+        doctorId,
+        endDate: { $gte: start }
+    };
+    if (end) {
+        query.startDate = { $lte: end };
+    }
+
+    return AvailabilityException.find(query).sort({ startDate: 1 });
+};
+
+// Get the slots a doctor works on a date (a calendar day in the doctor's timezone),
+// after applying blocked dates and extra slots
+const getScheduledSlots = async (doctor, date) => {
+    const { start, end } = getDayBounds(doctor, date);
+    const dayOfWeek = getWeekday(normalizeDateKey(date, getDoctorTimezone(doctor)));
+
+    const exceptions = await getExceptionsInRange(doctor._id, start, end);
+    const blocked = exceptions.filter(exception => exception.type === 'blocked');
+
+    // A blocked exception without slots means the doctor is away all day
+    if (blocked.some(exception => exception.timeSlots.length === 0)) {
+        return [];
+    }
+
+    const slots = getWeeklySlots(doctor, dayOfWeek);
+
+    exceptions
+        .filter(exception => exception.type === 'extra')
+        .forEach(exception => {
+            exception.timeSlots.forEach(slot => {
+                if (!slots.includes(slot)) {
+                    slots.push(slot);
+                }
+            });
+        });
+
+    // Blocked slots remove any slot they overlap, so they work with generated slots too
+    const blockedRanges = blocked.flatMap(exception => exception.timeSlots).map(slotRange);
+
+    return slots
+        .filter(slot => !blockedRanges.some(range => rangesOverlap(slotRange(slot), range)))
+        .sort((a, b) => slotRange(a).start - slotRange(b).start);
+};
+
+// Resolve a doctor's slot on a date to absolute start/end instants
+const resolveDoctorSlot = (doctor, date, timeSlot) => {
+    const timeZone = getDoctorTimezone(doctor);
+    return resolveSlot(normalizeDateKey(date, timeZone), timeSlot, timeZone);
+};
+
+// Get the future slots of a doctor on a date that are not already booked, each
+// resolved to absolute start/end instants. Slots held by other patients are
+// flagged onHold; the requesting patient's own hold is flagged heldByYou.
+const getAvailableSlots = async (doctor, date, patientId = null) => {
+    const slots = await getScheduledSlots(doctor, date);
+    if (slots.length === 0) {
+        return [];
+    }
+
+    const { start, end } = getDayBounds(doctor, date);
+    const [bookedAppointments, holds] = await Promise.all([
+        Appointment.find({
+            doctorId: doctor._id,
+            appointmentDate: { $gte: start, $lte: end },
+            status: { $in: ['scheduled', 'ongoing'] }
+        }),
+        getActiveHolds(doctor._id, start, end)
+    ]);
+
+    // Compare by time rather than slot string, since bookings made before a change
+    // of consultation length may not line up with the generated slots
+    const bookedRanges = bookedAppointments.map(apt => apt.getSlotInstants());
+    const now = new Date();
+
+    return slots
+        .map(slot => ({ slot, instants: resolveDoctorSlot(doctor, date, slot) }))
+        .filter(({ instants }) => !bookedRanges.some(range => range.start < instants.end && instants.start < range.end))
+        .map(({ slot, instants }) => {
+            const hold = holds.find(h => h.startTime.getTime() === instants.start.getTime());
+            const heldByYou = Boolean(hold && patientId && hold.patientId.toString() === patientId.toString());
+            return {
+                timeSlot: slot,
+                ...instants,
+                onHold: Boolean(hold) && !heldByYou,
+                heldByYou,
+                holdExpiresAt: hold ? hold.expiresAt : null
+            };
+        })
+        .filter(slot => slot.start > now);
+};
+
+// Check whether a doctor offers a slot on a date
+const isSlotOffered = async (doctor, date, timeSlot) => {
+    const slots = await getScheduledSlots(doctor, date);
+    return slots.includes(timeSlot);
+};
+
+// Check whether a patient could take a doctor's slot on a date, running the same
+// checks as booking. Returns the resolved instants and a conflict ({ reason, message })
+// or null. Appointments listed in ignoreAppointmentIds (e.g. the one being moved) are skipped.
+const findSlotConflict = async (doctor, patientId, date, timeSlot, { ignoreAppointmentIds = [] } = {}) => {
+    const { start, end } = resolveDoctorSlot(doctor, date, timeSlot);
+    const result = (reason, message) => ({ start, end, conflict: reason ? { reason, message } : null });
+
+    if (start <= new Date()) {
+        return result('past', 'Appointment date must be in the future');
+    }
+
+    if (!(await isSlotOffered(doctor, date, timeSlot))) {
+        return result('unavailable', 'The doctor is not available at this time');
+    }
+
+    // Appointments booked before endTime existed can only be matched by day and slot
+    const dayBounds = getDayBounds(doctor, date);
+    const booked = await Appointment.exists({
+        _id: { $nin: ignoreAppointmentIds },
+        doctorId: doctor._id,
+        status: { $in: ['scheduled', 'ongoing'] },
+        $or: [
+            { appointmentDate: { $lt: end }, endTime: { $gt: start } },
+            {
+                endTime: { $exists: false },
+                appointmentDate: { $gte: dayBounds.start, $lte: dayBounds.end },
+                timeSlot
+            }
+        ]
+    });
+    if (booked) {
+        return result('booked', 'This time slot is already booked');
+    }
+
+    if (await findBlockingHold(doctor._id, start, patientId)) {
+        return result('held', 'This time slot is on hold for another patient');
+    }
+
+    const patientBusy = await Appointment.exists({
+        _id: { $nin: ignoreAppointmentIds },
+        patientId,
+        appointmentDate: { $lt: end },
+        endTime: { $gt: start },
+        status: { $in: ['scheduled', 'ongoing'] }
+    });
+    if (patientBusy) {
+        return result('patient_busy', 'The patient already has another appointment at this time');
+    }
+
+    return result(null);
+};
+
+// Check whether a patient may book with a doctor at all, whatever the slot: the
+// doctor must be verified and not suspended, and the patient's phone (where
+// confirmations, reminders and offers go) must be verified. Without a patient
+// only the doctor is checked. Returns the { error, message } to answer with (as
+// a 403), or null.
+const findBookingRestriction = (doctor, patient = null) => {
+    if (!doctor.isVerified) {
+        return {
+            error: 'Doctor not verified',
+            message: 'This doctor is not accepting bookings until their credentials are verified'
+        };
+    }
+    if (doctor.suspension && doctor.suspension.suspendedAt) {
+        return {
+            error: 'Doctor unavailable',
+            message: 'This doctor is not accepting bookings'
+        };
+    }
+    if (patient && !patient.phoneVerified) {
+        return {
+            error: 'Phone not verified',
+            message: 'Please verify your phone number before booking'
+        };
+    }
+    return null;
+};
+
+module.exports = {
+    generateSlotsFromRules,
+    usesSlotRules,
+    getWeeklySlots,
+    getDoctorTimezone,
+    getDayBounds,
+    resolveDoctorSlot,
+    getExceptionsInRange,
+    getScheduledSlots,
+    getAvailableSlots,
+    isSlotOffered,
+    findSlotConflict,
+    findBookingRestriction
+};
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const emailService = require('./emailService');
+const { sendAppointmentCancellation } = require('./whatsappService');
+const { CANCELLATION_CATEGORIES } = require('../utils/cancellationCategory');
+const { DEFAULT_TIMEZONE, formatTimeRange } = require('../utils/timezone');
+
+// Who can cancel an appointment, as the schema allows it
+const CANCELLING_ROLES = Appointment.schema.path('cancellation.cancelledBy.role').enumValues;
+
+// Let the counterpart of whoever cancelled know over WhatsApp (the patient when
+// the system cancelled, both parties when an administrator did), and send both
+// parties the cancellation email that removes the calendar entry
+const notifyCancellation = async (appointment) => {
+    const { cancelledBy = {}, category, reason, cancelledAt } = appointment.cancellation || {};
+    const [doctor, patient] = await Promise.all([
+        Doctor.findById(appointment.doctorId._id || appointment.doctorId),
+        Patient.findById(appointment.patientId._id || appointment.patientId)
+    ]);
+    if (!doctor || !patient) {
+        throw new Error('Doctor or patient no longer exists');
+    }
+
+    const toDoctor = { role: 'doctor', person: doctor, withName: patient.name };
+    const toPatient = { role: 'patient', person: patient, withName: `Dr. ${doctor.name}`, language: patient.preferredLanguage };
+    const recipients = {
+        patient: [toDoctor],
+        admin: [toPatient, toDoctor]
+    }[cancelledBy.role] || [toPatient];
+
+    const { start, end } = appointment.getSlotInstants();
+    await Promise.all(recipients.map(async recipient => {
+        try {
+            const recipientTimezone = recipient.person.timezone || DEFAULT_TIMEZONE;
+            await sendAppointmentCancellation(
+                recipient.person.phone,
+                recipient.withName,
+                start,
+                formatTimeRange(start, end, recipientTimezone),
+                category,
+                reason,
+                recipientTimezone,
+                {
+                    recipient: { role: recipient.role, userId: recipient.person._id },
+                    language: recipient.language,
+                    doctorId: doctor._id,
+                    patientId: patient._id,
+                    appointmentId: appointment._id,
+                    // An administrator can reopen a cancelled appointment, so a later
+                    // cancellation needs a key of its own
+                    dedupeKey: `cancellation:${appointment._id}:${recipient.role}:${cancelledAt ? cancelledAt.getTime() : ''}`
+                }
+            );
+        } catch (whatsappError) {
+            console.error('WhatsApp cancellation notice failed:', whatsappError);
+        }
+    }));
+
+    await emailService.sendAppointmentEmails(appointment, 'cancelled', { reason, category });
+};
+
+// Cancellation counts of a doctor's or patient's appointments, by category and
+// by who cancelled. Cancellations without a category (including those recorded
+// before categories existed) count as unspecified.
+const getCancellationBreakdown = async ({ doctorId, patientId } = {}) => {
+    const match = { status: 'cancelled' };
+    if (doctorId) match.doctorId = new mongoose.Types.ObjectId(doctorId);
+    if (patientId) match.patientId = new mongoose.Types.ObjectId(patientId);
+
+    const groups = await Appointment.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: {
+                    category: '$cancellation.category',
+                    role: '$cancellation.cancelledBy.role'
+                },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const breakdown = {
+        total: 0,
+        byCategory: Object.fromEntries([...CANCELLATION_CATEGORIES, 'unspecified'].map(category => [category, 0])),
+        byActor: Object.fromEntries([...CANCELLING_ROLES, 'unspecified'].map(role => [role, 0]))
+    };
+
+    groups.forEach(({ _id, count }) => {
+        breakdown.total += count;
+        breakdown.byCategory[_id.category || 'unspecified'] += count;
+        breakdown.byActor[_id.role || 'unspecified'] += count;
+    });
+
+    return breakdown;
+};
+
+module.exports = {
+    notifyCancellation,
+    getCancellationBreakdown
+};
@@ -0,0 +1,71 @@
+const { EventEmitter } = require('events');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const { sendMeetingLink } = require('./whatsappService');
+
+// Statuses after which the patient has nothing left to wait for
+const FINAL_STATUSES = ['completed', 'cancelled', 'no-show'];
+
+// Join status changes made by this instance, keyed by appointment id, so open
+// status streams hear about them straight away
+const joinStatusEvents = new EventEmitter();
+joinStatusEvents.setMaxListeners(0);
+
+// What the patient's waiting room needs to know about an appointment
+const getJoinStatus = (appointment) => {
+    const { start, end } = appointment.getSlotInstants();
+    const startedAt = appointment.consultation && appointment.consultation.startedAt;
+    return {
+        appointmentId: appointment._id,
+        status: appointment.status,
+        doctorReady: appointment.status === 'ongoing',
+        startedAt: startedAt || null,
+        scheduledStart: start,
+        scheduledEnd: end,
+        meetingLink: appointment.status === 'ongoing' ? appointment.meetingLink : null,
+        finished: FINAL_STATUSES.includes(appointment.status)
+    };
+};
+
+// Call listener with the join status whenever this instance changes it.
+// Returns a function that stops listening.
+const watchJoinStatus = (appointmentId, listener) => {
+    const event = appointmentId.toString();
+    joinStatusEvents.on(event, listener);
+    return () => joinStatusEvents.off(event, listener);
+};
+
+const publishJoinStatus = (appointment) => {
+    joinStatusEvents.emit(appointment._id.toString(), getJoinStatus(appointment));
+};
+
+// The doctor has started the consultation: tell the patient over WhatsApp with
+// the link to join, and any open status streams
+const notifyDoctorReady = async (appointment) => {
+    publishJoinStatus(appointment);
+
+    const [doctor, patient] = await Promise.all([
+        Doctor.findById(appointment.doctorId._id || appointment.doctorId),
+        Patient.findById(appointment.patientId._id || appointment.patientId)
+    ]);
+    if (!doctor || !patient) {
+        return null;
+    }
+
+    const startedAt = appointment.consultation && appointment.consultation.startedAt;
+    return sendMeetingLink(patient.phone, doctor.name, appointment.meetingLink, {
+        recipient: { role: 'patient', userId: patient._id },
+        language: patient.preferredLanguage,
+        doctorId: doctor._id,
+        patientId: patient._id,
+        appointmentId: appointment._id,
+        dedupeKey: `meeting_link:${appointment._id}:${startedAt ? startedAt.toISOString() : ''}`
+    });
+};
+
+module.exports = {
+    getJoinStatus,
+    watchJoinStatus,
+    publishJoinStatus,
+    notifyDoctorReady
+};
@@ -0,0 +1,162 @@
+const Doctor = require('../models/Doctor');
+const CredentialDocument = require('../models/CredentialDocument');
+
+// File types accepted as credential documents
+const CREDENTIAL_DOCUMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+// Largest credential document accepted
+const MAX_DOCUMENT_BYTES = (parseInt(process.env.CREDENTIAL_MAX_FILE_MB, 10) || 5) * 1024 * 1024;
+
+// Most documents one submission can include
+const MAX_DOCUMENTS = 5;
+
+// Document details shown alongside credentials
+const DOCUMENT_SUMMARY_FIELDS = 'filename contentType size createdAt';
+
+// Doctor fields an administrator needs to review a submission
+const REVIEW_FIELDS = 'name email phone specialization experience qualifications isVerified credentials createdAt';
+
+// Error raised when credentials cannot be submitted or reviewed, with the HTTP status to report
+class CredentialError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CredentialError';
+        this.status = status;
+    }
+}
+
+// A doctor's credentials as the doctor sees them: document details (but not
+// their contents) and review notes, without who reviewed them
+const getCredentials = async (doctorId) => {
+    const doctor = await Doctor.findById(doctorId)
+        .select('isVerified credentials')
+        .populate('credentials.documents', DOCUMENT_SUMMARY_FIELDS);
+    if (!doctor) {
+        throw new CredentialError('Doctor not found', 404);
+    }
+    const { reviewedBy, reviewHistory = [], ...credentials } = doctor.credentials.toObject();
+    return {
+        isVerified: doctor.isVerified,
+        ...credentials,
+        reviewHistory: reviewHistory.map(({ decision, notes, at }) => ({ decision, notes, at }))
+    };
+};
+
+// Submit a license and supporting documents (multer files) for review. A new
+// submission replaces one still awaiting review, and the doctor is unlisted
+// until it is approved.
+const submitCredentials = async (doctorId, { licenseNumber, issuingAuthority, files = [] }) => {
+    const doctor = await Doctor.findById(doctorId).select('credentials');
+    if (!doctor) {
+        throw new CredentialError('Doctor not found', 404);
+    }
+    if (doctor.credentials.status === 'approved') {
+        throw new CredentialError('Credentials are already approved', 409);
+    }
+    if (files.length === 0) {
+        throw new CredentialError('At least one credential document is required');
+    }
+
+    const documents = await CredentialDocument.insertMany(files.map(file => ({
+        doctorId,
+        filename: file.originalname,
+        contentType: file.mimetype,
+        size: file.size,
+        data: file.buffer
+    })));
+
+    const previousDocuments = doctor.credentials.documents || [];
+    await Doctor.updateOne(
+        { _id: doctorId },
+        {
+            $set: {
+                isVerified: false,
+                'credentials.status': 'pending',
+                'credentials.licenseNumber': licenseNumber,
+                'credentials.issuingAuthority': issuingAuthority,
+                'credentials.documents': documents.map(document => document._id),
+                'credentials.submittedAt': new Date()
+            },
+            $unset: {
+                'credentials.reviewedAt': '',
+                'credentials.reviewedBy': '',
+                'credentials.reviewNotes': ''
+            }
+        }
+    );
+    if (previousDocuments.length > 0) {
+        await CredentialDocument.deleteMany({ _id: { $in: previousDocuments }, doctorId });
+    }
+
+    return getCredentials(doctorId);
+};
+
+// Doctors whose credentials have the given status, oldest submission first
+const listReviewQueue = async ({ status = 'pending', page = 1, limit = 20 } = {}) => {
+    const query = { 'credentials.status': status };
+    const [doctors, total] = await Promise.all([
+        Doctor.find(query)
+            .select(REVIEW_FIELDS)
+            .populate('credentials.documents', DOCUMENT_SUMMARY_FIELDS)
+            .sort({ 'credentials.submittedAt': 1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        Doctor.countDocuments(query)
+    ]);
+    return { doctors, total };
+};
+
+// Approve or reject a submission awaiting review. Approving verifies the doctor;
+// notes are shown to the doctor either way.
+const reviewCredentials = async (doctorId, { decision, notes, reviewer }) => {
+    const reviewedAt = new Date();
+    const reviewedBy = { userId: reviewer.id, email: reviewer.email };
+
+    const doctor = await Doctor.findOneAndUpdate(
+        { _id: doctorId, 'credentials.status': 'pending' },
+        {
+            $set: {
+                isVerified: decision === 'approved',
+                'credentials.status': decision,
+                'credentials.reviewedAt': reviewedAt,
+                'credentials.reviewedBy': reviewedBy,
+                'credentials.reviewNotes': notes
+            },
+            $push: {
+                'credentials.reviewHistory': { decision, notes, reviewedBy, at: reviewedAt }
+            }
+        },
+        { new: true }
+    )
+        .select(REVIEW_FIELDS)
+        .populate('credentials.documents', DOCUMENT_SUMMARY_FIELDS);
+
+    if (!doctor) {
+        const exists = await Doctor.exists({ _id: doctorId });
+        throw exists
+            ? new CredentialError('These credentials are not awaiting review', 409)
+            : new CredentialError('Doctor not found', 404);
+    }
+    return doctor;
+};
+
+// A credential document with its contents
+const getCredentialDocument = async (doctorId, documentId) => {
+    const document = await CredentialDocument.findOne({ _id: documentId, doctorId }).select('+data');
+    if (!document) {
+        throw new CredentialError('Document not found', 404);
+    }
+    return document;
+};
+
+module.exports = {
+    CREDENTIAL_DOCUMENT_TYPES,
+    MAX_DOCUMENT_BYTES,
+    MAX_DOCUMENTS,
+    CredentialError,
+    getCredentials,
+    submitCredentials,
+    listReviewQueue,
+    reviewCredentials,
+    getCredentialDocument
+};
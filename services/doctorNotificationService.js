@@ -0,0 +1,173 @@
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const {
+    sendNewBookingNotice,
+    sendNewRatingNotice,
+    sendDailyAgenda
+} = require('./whatsappService');
+const {
+    DEFAULT_TIMEZONE,
+    toDateKey,
+    addDays,
+    getZonedDayBounds,
+    formatTime,
+    formatTimeRange
+} = require('../utils/timezone');
+
+// How often doctors whose agenda is due are looked for
+const AGENDA_INTERVAL_MS = parseInt(process.env.AGENDA_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+const DEFAULT_AGENDA_TIME = '20:00';
+
+const loadParties = (appointment) => Promise.all([
+    Doctor.findById(appointment.doctorId._id || appointment.doctorId),
+    Patient.findById(appointment.patientId._id || appointment.patientId)
+]);
+
+// Tell the doctor a patient has booked an appointment with them
+const notifyNewBooking = async (appointment) => {
+    const [doctor, patient] = await loadParties(appointment);
+    if (!doctor || !patient) {
+        return null;
+    }
+
+    const { start, end } = appointment.getSlotInstants();
+    const doctorTimezone = doctor.timezone || DEFAULT_TIMEZONE;
+    return sendNewBookingNotice(
+        doctor.phone,
+        patient.name,
+        start,
+        formatTimeRange(start, end, doctorTimezone),
+        appointment.consultationType,
+        appointment.symptoms,
+        doctorTimezone,
+        {
+            recipient: { role: 'doctor', userId: doctor._id },
+            doctorId: doctor._id,
+            patientId: patient._id,
+            appointmentId: appointment._id,
+            dedupeKey: `new_booking:${appointment._id}`
+        }
+    );
+};
+
+// Tell the doctor a patient has rated one of their consultations
+const notifyNewRating = async (appointment) => {
+    const [doctor, patient] = await loadParties(appointment);
+    if (!doctor || !patient || !appointment.rating) {
+        return null;
+    }
+
+    const doctorTimezone = doctor.timezone || DEFAULT_TIMEZONE;
+    return sendNewRatingNotice(
+        doctor.phone,
+        patient.name,
+        appointment.getSlotInstants().start,
+        appointment.rating.score,
+        appointment.rating.feedback,
+        doctorTimezone,
+        {
+            recipient: { role: 'doctor', userId: doctor._id },
+            doctorId: doctor._id,
+            patientId: patient._id,
+            appointmentId: appointment._id,
+            dedupeKey: `new_rating:${appointment._id}`
+        }
+    );
+};
+
+// Only the update that records the date succeeds, so each agenda is sent by
+// exactly one server instance
+const claimAgenda = (doctor, agendaDate) => {
+    return Doctor.findOneAndUpdate(
+        { _id: doctor._id, 'dailyAgenda.lastSentFor': { $ne: agendaDate } },
+        { $set: { 'dailyAgenda.lastSentFor': agendaDate } }
+    );
+};
+
+// Send each doctor whose agenda time has passed today the list of tomorrow's
+// appointments, once per day. Doctors with nothing booked get no message.
+// Returns counts of what happened.
+const sendDailyAgendas = async (now = new Date()) => {
+    const summary = { sent: 0, empty: 0 };
+    const doctors = await Doctor.find({ 'dailyAgenda.enabled': { $ne: false } })
+        .select('name phone timezone dailyAgenda');
+
+    for (const doctor of doctors) {
+        const timeZone = doctor.timezone || DEFAULT_TIMEZONE;
+        const agendaTime = (doctor.dailyAgenda && doctor.dailyAgenda.time) || DEFAULT_AGENDA_TIME;
+        if (formatTime(now, timeZone) < agendaTime) {
+            continue;
+        }
+
+        const agendaDate = addDays(toDateKey(now, timeZone), 1);
+        if ((doctor.dailyAgenda && doctor.dailyAgenda.lastSentFor) === agendaDate) {
+            continue;
+        }
+        if (!await claimAgenda(doctor, agendaDate)) {
+            continue;
+        }
+
+        const { start, end } = getZonedDayBounds(agendaDate, timeZone);
+        const appointments = await Appointment.find({
+            doctorId: doctor._id,
+            status: 'scheduled',
+            appointmentDate: { $gte: start, $lt: end }
+        })
+            .populate('patientId', 'name')
+            .sort({ appointmentDate: 1 });
+
+        if (appointments.length === 0) {
+            summary.empty++;
+            continue;
+        }
+
+        try {
+            await sendDailyAgenda(
+                doctor.phone,
+                start,
+                appointments.map(appointment => ({
+                    ...appointment.getSlotInstants(),
+                    patientName: appointment.patientId ? appointment.patientId.name : 'Unknown patient',
+                    consultationType: appointment.consultationType
+                })),
+                timeZone,
+                {
+                    recipient: { role: 'doctor', userId: doctor._id },
+                    doctorId: doctor._id,
+                    meta: { agendaDate },
+                    dedupeKey: `daily_agenda:${doctor._id}:${agendaDate}`
+                }
+            );
+            summary.sent++;
+        } catch (error) {
+            // Give the next run another go at this doctor's agenda
+            await Doctor.updateOne(
+                { _id: doctor._id, 'dailyAgenda.lastSentFor': agendaDate },
+                { $unset: { 'dailyAgenda.lastSentFor': 1 } }
+            );
+            console.error('Daily agenda error:', error);
+        }
+    }
+
+    return summary;
+};
+
+// Run the daily agenda job periodically in this process
+const startAgendaScheduler = () => {
+    const timer = setInterval(() => {
+        sendDailyAgendas().catch(error => {
+            console.error('Agenda scheduler error:', error);
+        });
+    }, AGENDA_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    notifyNewBooking,
+    notifyNewRating,
+    sendDailyAgendas,
+    startAgendaScheduler
+};
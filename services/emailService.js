@@ -0,0 +1,175 @@
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const { EMAIL_FROM, isEmailConfigured } = require('./messaging');
+const { enqueueNotification } = require('./notificationService');
+const { renderNotification } = require('./templateService');
+const { buildCalendarEvent } = require('../utils/ics');
+const { formatConsultationType } = require('../utils/consultationType');
+const { formatCancellationCategory } = require('../utils/cancellationCategory');
+const { toIntlLocale } = require('../utils/language');
+const { DEFAULT_TIMEZONE, formatDate, formatTimeRange } = require('../utils/timezone');
+
+const escapeHtml = (text) => String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Turn a rendered plain-text email into simple HTML: paragraphs on blank lines,
+// line breaks kept and links made clickable
+const renderEmailHtml = (heading, text) => {
+    const paragraphs = text.split(/\n{2,}/).map(paragraph => {
+        const html = escapeHtml(paragraph)
+            .replace(/https?:\/\/[^\s<]+/g, url => `<a href="${url}" style="color: #0f766e;">${url}</a>`)
+            .replace(/\n/g, '<br>');
+        return `<p>${html}</p>`;
+    });
+
+    return `<div style="font-family: Arial, sans-serif; max-width: 560px; color: #1f2937;">
+    <h2 style="color: #0f766e;">${escapeHtml(heading)}</h2>
+    ${paragraphs.join('\n    ')}
+</div>`;
+};
+
+// Notification type and invite method for each appointment update
+const EMAIL_EVENTS = {
+    confirmed: {
+        type: 'appointment_confirmation',
+        method: 'REQUEST'
+    },
+    rescheduled: {
+        type: 'appointment_rescheduled',
+        method: 'REQUEST'
+    },
+    cancelled: {
+        type: 'appointment_cancelled',
+        method: 'CANCEL'
+    }
+};
+
+// Calendar sequence: each move of the appointment is a new revision of the event
+const getEventSequence = (appointment, event) => {
+    const moves = appointment.rescheduleHistory ? appointment.rescheduleHistory.length : 0;
+    return event === 'cancelled' ? moves + 1 : moves;
+};
+
+// Queue an appointment update email ('confirmed', 'rescheduled' or 'cancelled')
+// for the patient and the doctor, each rendered from the email templates in their
+// own language and timezone, with a calendar invite that adds, updates or removes
+// the entry. Does nothing when email is not configured. Resolves with the queued
+// notifications.
+const sendAppointmentEmails = async (appointment, event, { reason, category, previous } = {}) => {
+    if (!isEmailConfigured()) {
+        return [];
+    }
+
+    const settings = EMAIL_EVENTS[event];
+    if (!settings) {
+        throw new Error(`Unknown appointment email event "${event}"`);
+    }
+
+    const doctorId = appointment.doctorId._id || appointment.doctorId;
+    const patientId = appointment.patientId._id || appointment.patientId;
+    const [doctor, patient] = await Promise.all([
+        Doctor.findById(doctorId),
+        Patient.findById(patientId)
+    ]);
+    if (!doctor || !patient) {
+        throw new Error('Doctor or patient no longer exists');
+    }
+
+    const { start, end } = appointment.getSlotInstants();
+    const recipients = [
+        { role: 'patient', person: patient, withName: `Dr. ${doctor.name}`, language: patient.preferredLanguage },
+        { role: 'doctor', person: doctor, withName: patient.name }
+    ];
+
+    const notifications = [];
+    for (const { role, person, withName, language } of recipients) {
+        if (!person.email) {
+            continue;
+        }
+
+        const timeZone = person.timezone || DEFAULT_TIMEZONE;
+        const rendered = await renderNotification('email', settings.type, language, (templateLanguage) => {
+            const locale = toIntlLocale(templateLanguage);
+            return {
+                withName,
+                date: formatDate(start, timeZone, locale),
+                time: formatTimeRange(start, end, timeZone),
+                consultationType: formatConsultationType(appointment.consultationType, templateLanguage),
+                meetingLink: appointment.meetingLink,
+                previousDate: previous ? formatDate(previous.start, timeZone, locale) : undefined,
+                previousTime: previous ? formatTimeRange(previous.start, previous.end, timeZone) : undefined,
+                category: formatCancellationCategory(category, templateLanguage),
+                reason
+            };
+        });
+
+        const calendar = {
+            method: settings.method,
+            content: buildCalendarEvent({
+                uid: `appointment-${appointment._id}@health-chat-nexus`,
+                sequence: getEventSequence(appointment, event),
+                method: settings.method,
+                start,
+                end,
+                summary: `${formatConsultationType(appointment.consultationType)} consultation with ${withName}`,
+                description: appointment.meetingLink ? `Join: ${appointment.meetingLink}` : '',
+                location: appointment.meetingLink,
+                url: appointment.meetingLink,
+                organizer: { name: EMAIL_FROM.name, email: EMAIL_FROM.address },
+                attendee: { name: person.name, email: person.email }
+            })
+        };
+
+        notifications.push(await enqueueNotification({
+            channel: 'email',
+            type: settings.type,
+            recipient: { role, userId: person._id, email: person.email },
+            doctorId: doctor._id,
+            patientId: patient._id,
+            appointmentId: appointment._id,
+            message: {
+                subject: rendered.subject,
+                text: rendered.text,
+                html: renderEmailHtml(rendered.subject, rendered.text),
+                calendar
+            },
+            meta: { language: rendered.language }
+        }));
+    }
+
+    return notifications;
+};
+
+// Queue an account email (e.g. password_reset) for a doctor or patient, rendered
+// in their language. Does nothing when email is not configured or the account has
+// no email address. Resolves with the queued notification, or null. The message
+// holds a secret link, so it is not tagged with the account's id: notification
+// lists filter on those ids and would hand the link to whoever is signed in.
+// expiresAt is when the link expires; the message is deleted then.
+const sendAccountEmail = async (type, role, person, buildVariables, { expiresAt } = {}) => {
+    if (!isEmailConfigured() || !person.email) {
+        return null;
+    }
+
+    const rendered = await renderNotification('email', type, person.preferredLanguage, buildVariables);
+    return enqueueNotification({
+        channel: 'email',
+        type,
+        recipient: { role, userId: person._id, email: person.email },
+        message: {
+            subject: rendered.subject,
+            text: rendered.text,
+            html: renderEmailHtml(rendered.subject, rendered.text)
+        },
+        meta: { language: rendered.language },
+        expiresAt
+    });
+};
+
+module.exports = {
+    sendAppointmentEmails,
+    sendAccountEmail
+};
@@ -0,0 +1,254 @@
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const InboundMessage = require('../models/InboundMessage');
+const rescheduleService = require('./rescheduleService');
+const waitlistService = require('./waitlistService');
+const cancellationService = require('./cancellationService');
+const { sendInboundReply } = require('./whatsappService');
+const { formatPhone } = require('./messaging');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+// How long the times offered in reply to RESCHEDULE can be picked
+const RESCHEDULE_OFFER_MINUTES = parseInt(process.env.RESCHEDULE_OFFER_MINUTES, 10) || 60;
+
+// How many times are offered in reply to RESCHEDULE
+const RESCHEDULE_OFFER_COUNT = 3;
+
+// Words a patient can reply with, by the command they stand for
+const COMMAND_WORDS = {
+    confirm: ['CONFIRM', 'CONFIRMED', 'YES'],
+    cancel: ['CANCEL'],
+    reschedule: ['RESCHEDULE']
+};
+
+// Read a reply as a command: a known word, or the number of an offered time
+const parseCommand = (text) => {
+    const word = String(text || '').trim().toUpperCase().split(/\s+/)[0].replace(/[^A-Z0-9]/g, '');
+    if (/^\d+$/.test(word)) {
+        return { action: 'choose', choice: parseInt(word, 10) };
+    }
+    const action = Object.keys(COMMAND_WORDS).find(name => COMMAND_WORDS[name].includes(word));
+    return { action: action || 'unknown' };
+};
+
+// Patients who have verified the sender's number as theirs; anyone can register
+// with a number they do not own. Numbers may have been saved with or without the
+// country code, so the last ten digits also match.
+const findPatientsByPhone = (phone) => {
+    const digits = formatPhone(phone);
+    if (!digits) {
+        return [];
+    }
+    const numbers = [digits];
+    if (digits.length > 10) {
+        numbers.push(digits.slice(-10));
+    }
+    return Patient.find({
+        phone: { $in: numbers.flatMap(number => [number, `+${number}`]) },
+        phoneVerified: true
+    })
+        .select('name phone timezone preferredLanguage');
+};
+
+// The patient's next appointment that has not started yet
+const findNextAppointment = (patient, now) => {
+    return Appointment.findOne({
+        patientId: patient._id,
+        status: 'scheduled',
+        appointmentDate: { $gt: now }
+    }).sort({ appointmentDate: 1 });
+};
+
+const confirmAppointment = async (appointment, now) => {
+    await Appointment.updateOne(
+        { _id: appointment._id },
+        { $set: { patientConfirmation: { confirmedAt: now, channel: 'whatsapp' } } }
+    );
+    return { outcome: 'confirmed', reply: 'reply_confirmed' };
+};
+
+const cancelAppointment = async (appointment, patient) => {
+    appointment.cancel({
+        changedBy: { role: 'patient', userId: patient._id },
+        reason: 'Cancelled by WhatsApp reply'
+    });
+    await appointment.save();
+
+    waitlistService.offerFreedSlot(appointment.doctorId, {
+        ...appointment.getSlotInstants(),
+        timeSlot: appointment.timeSlot
+    }).catch(error => {
+        console.error('Waitlist offer error:', error);
+    });
+    cancellationService.notifyCancellation(appointment).catch(error => {
+        console.error('Cancellation notice error:', error);
+    });
+
+    return { outcome: 'cancelled', reply: 'reply_cancelled' };
+};
+
+// List the doctor's next free times; the patient picks one by replying with its number
+const offerRescheduleOptions = async (appointment, doctor, now) => {
+    try {
+        rescheduleService.assertReschedulable(appointment, now);
+    } catch (error) {
+        return { outcome: 'cannot_reschedule', reply: 'reply_help', problem: 'cannot_reschedule' };
+    }
+
+    const options = await rescheduleService.findRescheduleOptions(appointment, doctor, {
+        limit: RESCHEDULE_OFFER_COUNT,
+        now
+    });
+    if (options.length === 0) {
+        return { outcome: 'no_free_times', reply: 'reply_help', problem: 'no_free_times' };
+    }
+
+    await Appointment.updateOne(
+        { _id: appointment._id },
+        {
+            $set: {
+                rescheduleOffer: {
+                    options,
+                    expiresAt: new Date(now.getTime() + RESCHEDULE_OFFER_MINUTES * 60 * 1000)
+                }
+            }
+        }
+    );
+    return { outcome: 'options_offered', reply: 'reply_reschedule_options', options };
+};
+
+// Move the appointment to the offered time the patient picked
+const chooseRescheduleOption = async (appointment, patient, choice, now) => {
+    const offer = appointment.rescheduleOffer;
+    const options = (offer && offer.options) || [];
+    if (options.length === 0 || !offer.expiresAt || offer.expiresAt <= now) {
+        return { outcome: 'option_expired', reply: 'reply_help', problem: 'option_expired' };
+    }
+
+    const option = options[choice - 1];
+    if (!option) {
+        return { outcome: 'not_understood', reply: 'reply_help', problem: 'not_understood' };
+    }
+
+    try {
+        await rescheduleService.moveAppointment(appointment, {
+            dateKey: option.dateKey,
+            timeSlot: option.timeSlot,
+            changedBy: { role: 'patient', userId: patient._id },
+            reason: 'Rescheduled by WhatsApp reply'
+        });
+    } catch (error) {
+        if (!(error instanceof rescheduleService.RescheduleError)) {
+            throw error;
+        }
+        const problem = error.conflict || error.status === 409 ? 'option_taken' : 'cannot_reschedule';
+        return { outcome: problem, reply: 'reply_help', problem };
+    }
+
+    return { outcome: 'rescheduled', reply: 'reply_rescheduled' };
+};
+
+// Work out what a reply from a phone number asks for and carry it out. Returns
+// the outcome, the patient and appointment involved, and the reply to send.
+const actOnMessage = async (command, from, now) => {
+    const patients = await findPatientsByPhone(from);
+    if (patients.length !== 1) {
+        return { outcome: patients.length === 0 ? 'unknown_sender' : 'ambiguous_sender' };
+    }
+
+    const patient = patients[0];
+    const appointment = await findNextAppointment(patient, now);
+    if (!appointment) {
+        return { outcome: 'no_appointment', patient, reply: 'reply_help', problem: 'no_appointment' };
+    }
+
+    const doctor = await Doctor.findById(appointment.doctorId);
+    if (!doctor) {
+        return { outcome: 'doctor_missing', patient, appointment };
+    }
+
+    let result;
+    switch (command.action) {
+        case 'confirm':
+            result = await confirmAppointment(appointment, now);
+            break;
+        case 'cancel':
+            result = await cancelAppointment(appointment, patient);
+            break;
+        case 'reschedule':
+            result = await offerRescheduleOptions(appointment, doctor, now);
+            break;
+        case 'choose':
+            result = await chooseRescheduleOption(appointment, patient, command.choice, now);
+            break;
+        default:
+            result = { outcome: 'not_understood', reply: 'reply_help', problem: 'not_understood' };
+    }
+
+    return { ...result, patient, appointment, doctor };
+};
+
+// Handle a WhatsApp reply ({ from, text, messageId }) received through the
+// webhook: record it, act on it for the sender's next appointment and answer
+// with the result. A message id seen before is ignored. Resolves to { outcome }.
+const handleInboundMessage = async ({ from, text = '', messageId }, now = new Date()) => {
+    const command = parseCommand(text);
+
+    let record;
+    try {
+        record = await InboundMessage.create({
+            messageId: messageId || undefined,
+            from,
+            text: String(text).slice(0, 2000),
+            command: command.action
+        });
+    } catch (error) {
+        if (messageId && error.code === 11000) {
+            return { outcome: 'duplicate' };
+        }
+        throw error;
+    }
+
+    const { outcome, patient, appointment, doctor, reply, options, problem } = await actOnMessage(command, from, now);
+    record.outcome = outcome;
+    record.patientId = patient ? patient._id : undefined;
+    record.appointmentId = appointment ? appointment._id : undefined;
+
+    if (patient && reply) {
+        try {
+            // The sender's own number, which may include a country code the profile lacks
+            await sendInboundReply(
+                from,
+                reply,
+                {
+                    appointment: appointment && doctor
+                        ? { doctorName: doctor.name, ...appointment.getSlotInstants() }
+                        : undefined,
+                    options,
+                    problem
+                },
+                patient.timezone || DEFAULT_TIMEZONE,
+                {
+                    recipient: { role: 'patient', userId: patient._id },
+                    language: patient.preferredLanguage,
+                    doctorId: doctor ? doctor._id : undefined,
+                    patientId: patient._id,
+                    appointmentId: appointment ? appointment._id : undefined,
+                    meta: { inboundMessageId: record._id }
+                }
+            );
+        } catch (replyError) {
+            console.error('WhatsApp reply failed:', replyError);
+            record.error = replyError.message;
+        }
+    }
+
+    await record.save();
+    return { outcome };
+};
+
+module.exports = {
+    parseCommand,
+    handleInboundMessage
+};
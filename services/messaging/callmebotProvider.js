@@ -0,0 +1,25 @@
+const fetch = require('node-fetch');
+
+// WhatsApp delivery through the CallMeBot API
+const createCallMeBotProvider = ({ apiKey = process.env.CALLMEBOT_API_KEY } = {}) => ({
+    name: 'callmebot',
+
+    send: async ({ to, text }) => {
+        if (!apiKey) {
+            throw new Error('CallMeBot API key not configured');
+        }
+
+        const url = `https://api.callmebot.com/whatsapp.php?phone=${to}&text=${encodeURIComponent(text)}&apikey=${apiKey}`;
+
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`WhatsApp API error: ${response.status}`);
+        }
+
+        const body = await response.text().catch(() => '');
+        return { response: `${response.status} ${body}`.trim() };
+    }
+});
+
+module.exports = createCallMeBotProvider;
@@ -0,0 +1,61 @@
+const nodemailer = require('nodemailer');
+
+const EMAIL_FROM = {
+    name: process.env.EMAIL_FROM_NAME || 'HealthChat Nexus',
+    address: process.env.EMAIL_FROM_ADDRESS || 'no-reply@health-chat-nexus.vercel.app'
+};
+
+let transporter = null;
+
+// Email is optional; it is switched on by configuring an SMTP host
+const isEmailConfigured = () => Boolean(process.env.SMTP_HOST);
+
+// SMTP transport, created on first use. A local sink such as MailHog works with
+// SMTP_HOST=localhost SMTP_PORT=1025 and no credentials.
+const getTransporter = () => {
+    if (!transporter) {
+        if (!isEmailConfigured()) {
+            throw new Error('SMTP host not configured');
+        }
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+    return transporter;
+};
+
+// Send one email, with an optional calendar invite ({ method, content })
+const sendEmail = async ({ to, subject, html, text, calendar }) => {
+    if (!to) {
+        throw new Error('No email address to send to');
+    }
+
+    const message = {
+        from: EMAIL_FROM,
+        to,
+        subject,
+        html,
+        text
+    };
+    if (calendar && calendar.content) {
+        message.icalEvent = {
+            filename: 'appointment.ics',
+            method: calendar.method,
+            content: calendar.content
+        };
+    }
+
+    const info = await getTransporter().sendMail(message);
+    return { id: info.messageId, response: info.response };
+};
+
+module.exports = {
+    EMAIL_FROM,
+    isEmailConfigured,
+    sendEmail
+};
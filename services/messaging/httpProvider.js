@@ -0,0 +1,64 @@
+const fetch = require('node-fetch');
+
+// Delivery through a generic HTTP messaging API. The defaults match Twilio's
+// Messages endpoint: a form-encoded POST of To/From/Body with basic auth
+// (account SID and auth token), and "whatsapp:" prefixed numbers.
+const createHttpProvider = ({
+    url = process.env.MESSAGING_HTTP_URL,
+    from = process.env.MESSAGING_HTTP_FROM,
+    username = process.env.MESSAGING_HTTP_USERNAME,
+    password = process.env.MESSAGING_HTTP_PASSWORD,
+    token = process.env.MESSAGING_HTTP_TOKEN,
+    format = process.env.MESSAGING_HTTP_FORMAT || 'form',
+    toPrefix = process.env.MESSAGING_HTTP_TO_PREFIX !== undefined ? process.env.MESSAGING_HTTP_TO_PREFIX : 'whatsapp:'
+} = {}) => ({
+    name: 'http',
+
+    send: async ({ to, text }) => {
+        if (!url) {
+            throw new Error('Messaging HTTP URL not configured');
+        }
+
+        const fields = {
+            To: `${toPrefix}+${to}`,
+            Body: text
+        };
+        if (from) {
+            fields.From = from;
+        }
+
+        const headers = {};
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        } else if (username) {
+            headers.Authorization = `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`;
+        }
+
+        let body;
+        if (format === 'json') {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(fields);
+        } else {
+            headers['Content-Type'] = 'application/x-www-form-urlencoded';
+            body = new URLSearchParams(fields).toString();
+        }
+
+        const response = await fetch(url, { method: 'POST', headers, body });
+
+        if (!response.ok) {
+            throw new Error(`Messaging API error: ${response.status}`);
+        }
+
+        // Twilio answers with the created message, including its sid
+        const responseText = await response.text().catch(() => '');
+        let result = {};
+        try {
+            result = JSON.parse(responseText);
+        } catch (parseError) {
+            // Not JSON; the raw text is still kept as the provider response
+        }
+        return { id: result.sid || result.id, response: `${response.status} ${responseText}`.trim() };
+    }
+});
+
+module.exports = createHttpProvider;
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+// Compare signatures in constant time
+const signaturesMatch = (received, expected) => {
+    const a = Buffer.from(String(received || ''));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// The URL the provider posted to, which Twilio signs. Behind a proxy the public
+// address may differ from what the request shows, so it can be configured.
+const getWebhookUrl = (req) => process.env.MESSAGING_WEBHOOK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+// Replies as Twilio posts them: form fields From ("whatsapp:+91..."), Body and
+// MessageSid, signed in X-Twilio-Signature with an HMAC-SHA1 (keyed with the
+// auth token) of the URL followed by every field name and value, sorted by name
+const createTwilioFormat = ({
+    secret = process.env.MESSAGING_WEBHOOK_SECRET || process.env.MESSAGING_HTTP_PASSWORD
+} = {}) => ({
+    name: 'twilio',
+    isConfigured: () => Boolean(secret),
+
+    verify: (req) => {
+        const fields = req.body || {};
+        const payload = Object.keys(fields)
+            .sort()
+            .reduce((signed, key) => signed + key + fields[key], getWebhookUrl(req));
+        const expected = crypto.createHmac('sha1', secret).update(payload, 'utf8').digest('base64');
+        return signaturesMatch(req.get('X-Twilio-Signature'), expected);
+    },
+
+    parse: (req) => {
+        const fields = req.body || {};
+        return {
+            from: String(fields.From || '').replace(/^whatsapp:/, ''),
+            text: fields.Body,
+            messageId: fields.MessageSid
+        };
+    }
+});
+
+// Replies as a JSON body { from, text, id }, signed in X-Signature as
+// "sha256=" followed by the hex HMAC-SHA256 of the raw body
+const createJsonFormat = ({
+    secret = process.env.MESSAGING_WEBHOOK_SECRET
+} = {}) => ({
+    name: 'json',
+    isConfigured: () => Boolean(secret),
+
+    verify: (req) => {
+        const expected = crypto.createHmac('sha256', secret).update(req.rawBody || '').digest('hex');
+        return signaturesMatch(req.get('X-Signature'), `sha256=${expected}`);
+    },
+
+    parse: (req) => {
+        const body = req.body || {};
+        return {
+            from: String(body.from || ''),
+            text: body.text,
+            messageId: body.id
+        };
+    }
+});
+
+// Formats selectable with MESSAGING_INBOUND_FORMAT. Each one exposes
+// isConfigured(), verify(req), which checks the provider's signature, and
+// parse(req), which returns { from, text, messageId }.
+const INBOUND_FORMATS = {
+    twilio: createTwilioFormat,
+    json: createJsonFormat
+};
+
+let inboundFormat = null;
+
+const createInboundFormat = (name) => {
+    const factory = INBOUND_FORMATS[name];
+    if (!factory) {
+        throw new Error(`Unknown inbound message format "${name}" (use one of: ${Object.keys(INBOUND_FORMATS).join(', ')})`);
+    }
+    return factory();
+};
+
+// The configured format, created on first use. Defaults to Twilio's when
+// messages are sent through Twilio or another HTTP API.
+const getInboundFormat = () => {
+    if (!inboundFormat) {
+        const provider = (process.env.MESSAGING_PROVIDER || '').toLowerCase();
+        const fallback = ['twilio', 'http'].includes(provider) ? 'twilio' : 'json';
+        inboundFormat = createInboundFormat((process.env.MESSAGING_INBOUND_FORMAT || fallback).toLowerCase());
+    }
+    return inboundFormat;
+};
+
+// Replace the format, e.g. with a stub in tests
+const setInboundFormat = (replacement) => {
+    inboundFormat = replacement;
+};
+
+module.exports = {
+    createInboundFormat,
+    getInboundFormat,
+    setInboundFormat
+};
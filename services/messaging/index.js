@@ -0,0 +1,66 @@
+const createCallMeBotProvider = require('./callmebotProvider');
+const createHttpProvider = require('./httpProvider');
+const { createFileProvider, createConsoleProvider } = require('./localProviders');
+const { EMAIL_FROM, isEmailConfigured, sendEmail } = require('./email');
+const { createInboundFormat, getInboundFormat, setInboundFormat } = require('./inbound');
+
+// Providers selectable with MESSAGING_PROVIDER. Each one exposes
+// send({ to, text }), where to is the phone number as digits only, and
+// resolves once the message is accepted (with the provider's message id and
+// response, if any).
+const PROVIDERS = {
+    callmebot: createCallMeBotProvider,
+    http: createHttpProvider,
+    twilio: createHttpProvider,
+    file: createFileProvider,
+    console: createConsoleProvider
+};
+
+let provider = null;
+
+const createMessagingProvider = (name) => {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown messaging provider "${name}" (use one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return factory();
+};
+
+// The configured provider, created on first use
+const getMessagingProvider = () => {
+    if (!provider) {
+        provider = createMessagingProvider((process.env.MESSAGING_PROVIDER || 'callmebot').toLowerCase());
+    }
+    return provider;
+};
+
+// Replace the provider, e.g. with a stub in tests
+const setMessagingProvider = (replacement) => {
+    provider = replacement;
+};
+
+// Strip everything but digits from a phone number
+const formatPhone = (phone) => String(phone || '').replace(/\D/g, '');
+
+// Send a text message to a phone number through the configured provider
+const sendMessage = async (phone, text) => {
+    const to = formatPhone(phone);
+    if (!to) {
+        throw new Error('No phone number to send to');
+    }
+    return getMessagingProvider().send({ to, text });
+};
+
+module.exports = {
+    createMessagingProvider,
+    getMessagingProvider,
+    setMessagingProvider,
+    formatPhone,
+    sendMessage,
+    createInboundFormat,
+    getInboundFormat,
+    setInboundFormat,
+    EMAIL_FROM,
+    isEmailConfigured,
+    sendEmail
+};
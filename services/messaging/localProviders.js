@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+// Development transports that never leave the machine
+
+// Append each message as a JSON line to a file
+const createFileProvider = ({ filePath = process.env.MESSAGING_FILE_PATH || 'messages.log' } = {}) => ({
+    name: 'file',
+
+    send: async ({ to, text }) => {
+        const record = { to, text, sentAt: new Date().toISOString() };
+        await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+        await fs.promises.appendFile(filePath, `${JSON.stringify(record)}\n`);
+        return {};
+    }
+});
+
+// Print each message to the console
+const createConsoleProvider = () => ({
+    name: 'console',
+
+    send: async ({ to, text }) => {
+        console.log(`📨 Message to ${to}:\n${text}`);
+        return {};
+    }
+});
+
+module.exports = {
+    createFileProvider,
+    createConsoleProvider
+};
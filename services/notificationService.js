@@ -0,0 +1,362 @@
+const Notification = require('../models/Notification');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const { getMessagingProvider, sendMessage, sendEmail } = require('./messaging');
+const { ACCOUNT_TYPES, checkNotificationPreferences } = require('../utils/notificationPreferences');
+
+// Delivery attempts before a notification is dead-lettered
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+
+// Delay before the first retry; it doubles with every further attempt
+const RETRY_BASE_MS = parseInt(process.env.NOTIFICATION_RETRY_BASE_MS, 10) || 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// A notification still marked as sending after this long was claimed by an
+// instance that stopped before finishing, and may be claimed again
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// How often the worker looks for due notifications, and how many it sends per run
+const WORKER_INTERVAL_MS = parseInt(process.env.NOTIFICATION_WORKER_INTERVAL_MS, 10) || 15 * 1000;
+const WORKER_BATCH_SIZE = 50;
+
+// Longest provider response kept with a delivery attempt
+const MAX_PROVIDER_RESPONSE_LENGTH = 1000;
+
+// How long an account message is kept when it was queued without an expiry
+const ACCOUNT_MESSAGE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// What an account message's text is replaced with once it has been delivered
+const REDACTED_TEXT = '[redacted after delivery]';
+
+class NotificationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'NotificationError';
+        this.status = status;
+    }
+}
+
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+// Bookkeeping on the related appointment once a notification is delivered or dead-lettered
+const DELIVERY_HOOKS = {
+    appointment_confirmation: {
+        sent: (notification) => notification.channel === 'whatsapp' && Appointment.updateOne(
+            { _id: notification.appointmentId },
+            { $set: { whatsappSent: true } }
+        )
+    },
+    appointment_reminder: {
+        sent: (notification) => Appointment.updateOne(
+            { _id: notification.appointmentId, 'reminders.offsetMinutes': notification.meta.offsetMinutes },
+            {
+                $set: { 'reminders.$.status': 'sent', 'reminders.$.sentAt': notification.sentAt, reminderSent: true },
+                $unset: { 'reminders.$.error': 1 }
+            }
+        ),
+        dead: (notification) => Appointment.updateOne(
+            { _id: notification.appointmentId, 'reminders.offsetMinutes': notification.meta.offsetMinutes },
+            { $set: { 'reminders.$.status': 'failed', 'reminders.$.error': notification.lastError } }
+        ),
+        suppressed: (notification) => Appointment.updateOne(
+            { _id: notification.appointmentId, 'reminders.offsetMinutes': notification.meta.offsetMinutes },
+            { $set: { 'reminders.$.status': 'skipped', 'reminders.$.error': `Suppressed: ${notification.suppressedReason}` } }
+        )
+    }
+};
+
+// Manual resends leave the appointment's bookkeeping to the original message
+const runDeliveryHook = async (notification, outcome) => {
+    const hook = DELIVERY_HOOKS[notification.type] && DELIVERY_HOOKS[notification.type][outcome];
+    if (!hook || !notification.appointmentId || notification.resendOf) {
+        return;
+    }
+    try {
+        await hook(notification);
+    } catch (error) {
+        console.error(`Notification ${outcome} hook error:`, error);
+    }
+};
+
+// Hand a notification to its channel's transport
+const transmit = (notification) => {
+    const { channel, recipient, message } = notification;
+    if (channel === 'email') {
+        return sendEmail({
+            to: recipient.email,
+            subject: message.subject,
+            html: message.html,
+            text: message.text,
+            calendar: message.calendar
+        });
+    }
+    return sendMessage(recipient.phone, message.text);
+};
+
+// Name of the transport a notification goes out through
+const getTransportName = (notification) => {
+    return notification.channel === 'email' ? 'smtp' : getMessagingProvider().name;
+};
+
+// Entry for the delivery attempt log of a notification
+const buildAttemptEntry = (notification, outcome, { result, error } = {}) => ({
+    attempt: notification.attempts,
+    at: new Date(),
+    outcome,
+    provider: getTransportName(notification),
+    providerMessageId: result && result.id,
+    providerResponse: result && result.response
+        ? String(result.response).slice(0, MAX_PROVIDER_RESPONSE_LENGTH)
+        : undefined,
+    error: error && error.message
+});
+
+// Only one instance can move a notification to sending, so each attempt is made once
+const claimNotification = (filter = {}, now = new Date()) => {
+    return Notification.findOneAndUpdate(
+        {
+            ...filter,
+            $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        {
+            $set: { status: 'sending', lockedAt: now },
+            $inc: { attempts: 1 }
+        },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    );
+};
+
+// Make one delivery attempt of a claimed notification and record the outcome:
+// sent, pending with a later retry, or dead after the last attempt
+const attemptDelivery = async (notification) => {
+    try {
+        const result = await transmit(notification);
+        // Reset links and verification codes are not kept once they have gone out
+        const redact = ACCOUNT_TYPES.includes(notification.type);
+        const sent = await Notification.findOneAndUpdate(
+            { _id: notification._id, status: 'sending' },
+            {
+                $set: {
+                    status: 'sent',
+                    sentAt: new Date(),
+                    providerMessageId: result && result.id,
+                    ...(redact ? { 'message.text': REDACTED_TEXT } : {})
+                },
+                $unset: { lockedAt: 1, lastError: 1, ...(redact ? { 'message.html': 1 } : {}) },
+                $push: { deliveryAttempts: buildAttemptEntry(notification, 'sent', { result }) }
+            },
+            { new: true }
+        );
+        console.log(`✅ ${notification.channel} ${notification.type} sent to ${notification.recipient.phone || notification.recipient.email}`);
+        if (sent) {
+            await runDeliveryHook(sent, 'sent');
+        }
+        return sent;
+    } catch (error) {
+        const maxAttempts = notification.maxAttempts || MAX_ATTEMPTS;
+        const dead = notification.attempts >= maxAttempts;
+        console.error(`❌ ${notification.channel} ${notification.type} attempt ${notification.attempts}/${maxAttempts} failed:`, error.message);
+
+        const failed = await Notification.findOneAndUpdate(
+            { _id: notification._id, status: 'sending' },
+            dead
+                ? {
+                    $set: { status: 'dead', deadAt: new Date(), lastError: error.message },
+                    $unset: { lockedAt: 1 },
+                    $push: { deliveryAttempts: buildAttemptEntry(notification, 'failed', { error }) }
+                }
+                : {
+                    $set: {
+                        status: 'pending',
+                        nextAttemptAt: new Date(Date.now() + getRetryDelay(notification.attempts)),
+                        lastError: error.message
+                    },
+                    $unset: { lockedAt: 1 },
+                    $push: { deliveryAttempts: buildAttemptEntry(notification, 'failed', { error }) }
+                },
+            { new: true }
+        );
+        if (failed && dead) {
+            await runDeliveryHook(failed, 'dead');
+        }
+        return failed;
+    }
+};
+
+// Deliver one notification now if it is due and nobody else is sending it
+const deliverNotification = async (notificationId) => {
+    const notification = await claimNotification({ _id: notificationId });
+    return notification ? attemptDelivery(notification) : null;
+};
+
+// Try a notification straight away; if that fails, the worker retries it
+const deliverInBackground = (notificationId) => {
+    setImmediate(() => {
+        deliverNotification(notificationId).catch(error => {
+            console.error('Notification delivery error:', error);
+        });
+    });
+};
+
+// Notification preferences, timezone and verified contacts of the person a message is for
+const getRecipient = (recipient = {}) => {
+    if (!recipient.userId) {
+        return null;
+    }
+    const Model = recipient.role === 'doctor' ? Doctor : Patient;
+    return Model.findById(recipient.userId).select('notificationPreferences timezone phoneVerified emailVerified');
+};
+
+// Write an outgoing message to the outbox and start delivering it. The
+// recipient's notification preferences decide whether it is sent, held back
+// until their quiet hours end, or recorded as suppressed; expiresAt is when the
+// message stops being useful. Account messages are deleted at expiresAt (or a day
+// after queueing without one). With a dedupeKey, queueing the same message again
+// returns the existing record.
+const enqueueNotification = async ({
+    channel,
+    type,
+    recipient,
+    doctorId,
+    patientId,
+    appointmentId,
+    message,
+    meta = {},
+    dedupeKey,
+    sendAt,
+    expiresAt,
+    resendOf,
+    resentBy
+}) => {
+    const now = new Date();
+    const decision = checkNotificationPreferences(await getRecipient(recipient), {
+        channel,
+        type,
+        expiresAt,
+        now: sendAt && sendAt > now ? sendAt : now
+    });
+
+    let notification;
+    try {
+        notification = await Notification.create({
+            channel,
+            type,
+            recipient,
+            doctorId,
+            patientId,
+            appointmentId,
+            message,
+            meta,
+            dedupeKey,
+            resendOf,
+            resentBy,
+            purgeAt: ACCOUNT_TYPES.includes(type)
+                ? expiresAt || new Date(now.getTime() + ACCOUNT_MESSAGE_RETENTION_MS)
+                : undefined,
+            maxAttempts: MAX_ATTEMPTS,
+            status: decision.allowed ? 'pending' : 'suppressed',
+            suppressedReason: decision.reason,
+            nextAttemptAt: decision.sendAt || sendAt || now
+        });
+    } catch (error) {
+        if (dedupeKey && error.code === 11000) {
+            return Notification.findOne({ dedupeKey });
+        }
+        throw error;
+    }
+
+    if (notification.status === 'suppressed') {
+        console.log(`🔕 ${channel} ${type} suppressed (${notification.suppressedReason})`);
+        await runDeliveryHook(notification, 'suppressed');
+        return notification;
+    }
+
+    if (notification.nextAttemptAt <= new Date()) {
+        deliverInBackground(notification._id);
+    }
+    return notification;
+};
+
+// Deliver due notifications, oldest first. Returns how many were attempted.
+const processOutbox = async (limit = WORKER_BATCH_SIZE) => {
+    let processed = 0;
+    while (processed < limit) {
+        const notification = await claimNotification();
+        if (!notification) {
+            break;
+        }
+        await attemptDelivery(notification);
+        processed++;
+    }
+    return processed;
+};
+
+// Put a dead-lettered notification back in the queue with a fresh set of attempts
+const retryNotification = async (notificationId) => {
+    const notification = await Notification.findOneAndUpdate(
+        { _id: notificationId, status: 'dead' },
+        {
+            $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+            $unset: { deadAt: 1 }
+        },
+        { new: true }
+    );
+    if (notification) {
+        deliverInBackground(notification._id);
+    }
+    return notification;
+};
+
+// Queue a fresh copy of a notification that has already been sent, dead-lettered
+// or suppressed, e.g. when a patient says the link never arrived. The copy goes
+// through the recipient's preferences again and is linked to the original.
+const resendNotification = async (notificationId, resentBy) => {
+    const original = await Notification.findById(notificationId);
+    if (!original) {
+        throw new NotificationError('Notification not found', 404);
+    }
+    if (['pending', 'sending'].includes(original.status)) {
+        throw new NotificationError(`The notification is still ${original.status}; wait for it to be delivered or dead-lettered`);
+    }
+
+    const { channel, type, recipient, doctorId, patientId, appointmentId, message, meta } = original.toObject();
+    return enqueueNotification({
+        channel,
+        type,
+        recipient,
+        doctorId,
+        patientId,
+        appointmentId,
+        message,
+        meta,
+        resendOf: original._id,
+        resentBy
+    });
+};
+
+// Run the outbox worker periodically in this process
+const startNotificationWorker = () => {
+    const timer = setInterval(() => {
+        processOutbox().catch(error => {
+            console.error('Notification worker error:', error);
+        });
+    }, WORKER_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    MAX_ATTEMPTS,
+    NotificationError,
+    getRetryDelay,
+    enqueueNotification,
+    deliverNotification,
+    processOutbox,
+    retryNotification,
+    resendNotification,
+    startNotificationWorker
+};
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const tokenService = require('./tokenService');
+const emailService = require('./emailService');
+const { sendPasswordReset } = require('./whatsappService');
+const { isEmailConfigured } = require('./messaging');
+const { formatTimeAhead } = require('../utils/language');
+
+// How long a password reset link can be used for
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+// Minimum gap between two reset links for the same account
+const RESET_RESEND_SECONDS = parseInt(process.env.PASSWORD_RESET_RESEND_SECONDS, 10) || 60;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://health-chat-nexus.vercel.app';
+
+// Error raised when a password cannot be reset or changed, with the HTTP status to report
+class PasswordError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PasswordError';
+        this.status = status;
+    }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const getModel = (role) => (role === 'doctor' ? Doctor : Patient);
+
+// Void the reset links a user has not used yet
+const voidResetTokens = (userId, now = new Date()) => {
+    return AccountToken.updateMany(
+        { 'user.id': userId, purpose: 'password_reset', usedAt: { $exists: false } },
+        { $set: { usedAt: now } }
+    );
+};
+
+// Send a single-use reset link to the doctor or patient with this email, by email
+// or WhatsApp (email when configured, unless asked otherwise). Resolves with
+// whether a link was sent; callers should not reveal that to the requester, so
+// the endpoint cannot be used to find out which emails have accounts.
+const requestPasswordReset = async ({ email, role, channel }, now = new Date()) => {
+    const account = await getModel(role).findOne({ email });
+    if (!account) {
+        return false;
+    }
+
+    const recent = await AccountToken.findOne({
+        'user.id': account._id,
+        purpose: 'password_reset',
+        usedAt: { $exists: false },
+        createdAt: { $gt: new Date(now.getTime() - RESET_RESEND_SECONDS * 1000) }
+    });
+    if (recent) {
+        return false;
+    }
+
+    const sendBy = channel || (isEmailConfigured() ? 'email' : 'whatsapp');
+    if ((sendBy === 'email' && !account.email) || (sendBy === 'whatsapp' && !account.phone)) {
+        return false;
+    }
+
+    await voidResetTokens(account._id, now);
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(now.getTime() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+    await AccountToken.create({
+        purpose: 'password_reset',
+        user: { id: account._id, role },
+        tokenHash: hashToken(token),
+        channel: sendBy,
+        expiresAt
+    });
+
+    const resetLink = `${FRONTEND_URL}/reset-password?token=${token}&role=${role}`;
+    if (sendBy === 'whatsapp') {
+        await sendPasswordReset(account.phone, account.name, resetLink, RESET_TOKEN_TTL_MINUTES, {
+            recipient: { role, userId: account._id },
+            language: account.preferredLanguage,
+            expiresAt
+        });
+    } else {
+        const queued = await emailService.sendAccountEmail('password_reset', role, account, (language) => ({
+            name: account.name,
+            resetLink,
+            expiresIn: formatTimeAhead(RESET_TOKEN_TTL_MINUTES, language)
+        }), { expiresAt });
+        if (!queued) {
+            return false;
+        }
+    }
+    return true;
+};
+
+// Set a new password with a reset link token. The token is claimed before the
+// password changes so it can only be used once; every token pair the user holds
+// is revoked, and their sessions end because the password changed after they
+// signed in. Resolves with the user's { id, role }.
+const resetPassword = async (token, newPassword, now = new Date()) => {
+    const record = await AccountToken.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            purpose: 'password_reset',
+            usedAt: { $exists: false },
+            expiresAt: { $gt: now }
+        },
+        { $set: { usedAt: now } }
+    );
+    if (!record) {
+        throw new PasswordError('Reset link is invalid or has expired');
+    }
+
+    const account = await getModel(record.user.role).findById(record.user.id).select('+password');
+    if (!account) {
+        throw new PasswordError('User account no longer exists', 404);
+    }
+
+    account.password = newPassword;
+    await account.save();
+
+    await Promise.all([
+        voidResetTokens(account._id, now),
+        tokenService.revokeUserTokens(account._id)
+    ]);
+    return { id: account._id, role: record.user.role };
+};
+
+// Change a signed-in user's password after checking their current one. Their
+// other token pairs are revoked and their other sessions end; the caller keeps
+// the session or access token (exceptAccessToken) the request came with.
+// Resolves with when the password changed.
+const changePassword = async (user, currentPassword, newPassword, { exceptAccessToken } = {}) => {
+    const account = await tokenService.getAccountModel(user.role).findById(user.id).select('+password');
+    if (!account) {
+        throw new PasswordError('User account no longer exists', 404);
+    }
+
+    if (!(await account.comparePassword(currentPassword))) {
+        throw new PasswordError('Current password is incorrect');
+    }
+    if (await account.comparePassword(newPassword)) {
+        throw new PasswordError('New password must be different from the current password');
+    }
+
+    account.password = newPassword;
+    await account.save();
+
+    await Promise.all([
+        voidResetTokens(account._id),
+        tokenService.revokeUserTokens(account._id, { exceptAccessToken })
+    ]);
+    return account.passwordChangedAt;
+};
+
+module.exports = {
+    RESET_TOKEN_TTL_MINUTES,
+    PasswordError,
+    requestPasswordReset,
+    resetPassword,
+    changePassword
+};
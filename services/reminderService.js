@@ -0,0 +1,183 @@
+const Appointment = require('../models/Appointment');
+const { sendAppointmentReminder } = require('./whatsappService');
+const { DEFAULT_TIMEZONE, formatTimeRange } = require('../utils/timezone');
+
+// Minutes before the start of an appointment at which reminders go out, largest first
+const parseOffsets = (value) => {
+    return (value || '1440,60')
+        .split(',')
+        .map(offset => parseInt(offset.trim(), 10))
+        .filter(offset => Number.isInteger(offset) && offset > 0)
+        .sort((a, b) => b - a);
+};
+
+const REMINDER_OFFSETS_MINUTES = parseOffsets(process.env.REMINDER_OFFSETS_MINUTES);
+
+// How often due reminders are looked for
+const REMINDER_INTERVAL_MS = parseInt(process.env.REMINDER_INTERVAL_MS, 10) || 60 * 1000;
+
+// A reminder still marked as queued after this long may never have reached the
+// outbox (the instance stopped in between), so it is queued again. The outbox
+// dedupe key makes that a no-op when it did arrive.
+const REQUEUE_AFTER_MS = 10 * 60 * 1000;
+
+// When the appointment was booked at its current time
+const getBookedAt = (appointment) => {
+    const lastMove = appointment.rescheduleHistory[appointment.rescheduleHistory.length - 1];
+    return lastMove ? lastMove.changedAt : appointment.createdAt;
+};
+
+// Only the update that adds the entry for an offset succeeds, so a reminder is
+// claimed by exactly one server instance
+const claimReminder = (appointment, offsetMinutes, now) => {
+    return Appointment.findOneAndUpdate(
+        {
+            _id: appointment._id,
+            status: 'scheduled',
+            appointmentDate: appointment.appointmentDate,
+            'reminders.offsetMinutes': { $ne: offsetMinutes }
+        },
+        {
+            $push: {
+                reminders: { offsetMinutes, status: 'queued', queuedAt: now }
+            }
+        },
+        { new: true }
+    );
+};
+
+// Claim a reminder that has been queued for a suspiciously long time
+const reclaimReminder = (appointment, offsetMinutes, now) => {
+    return Appointment.findOneAndUpdate(
+        {
+            _id: appointment._id,
+            status: 'scheduled',
+            appointmentDate: appointment.appointmentDate,
+            reminders: {
+                $elemMatch: {
+                    offsetMinutes,
+                    status: 'queued',
+                    queuedAt: { $lte: new Date(now.getTime() - REQUEUE_AFTER_MS) }
+                }
+            }
+        },
+        { $set: { 'reminders.$.queuedAt': now } },
+        { new: true }
+    );
+};
+
+// Record a reminder that is not worth sending any more
+const skipReminder = (appointment, offsetMinutes) => {
+    return Appointment.updateOne(
+        { _id: appointment._id, 'reminders.offsetMinutes': { $ne: offsetMinutes } },
+        { $push: { reminders: { offsetMinutes, status: 'skipped' } } }
+    );
+};
+
+// Hand the reminder to the notification outbox, which retries it and marks the
+// reminder sent or failed on the appointment once delivery settles
+const queueReminder = async (appointment, offsetMinutes) => {
+    const patient = appointment.patientId;
+    const doctor = appointment.doctorId;
+
+    if (!patient || !doctor) {
+        await Appointment.updateOne(
+            { _id: appointment._id, 'reminders.offsetMinutes': offsetMinutes },
+            { $set: { 'reminders.$.status': 'failed', 'reminders.$.error': 'Doctor or patient no longer exists' } }
+        );
+        return false;
+    }
+
+    const { start, end } = appointment.getSlotInstants();
+    const patientTimezone = patient.timezone || DEFAULT_TIMEZONE;
+    await sendAppointmentReminder(
+        patient.phone,
+        doctor.name,
+        start,
+        formatTimeRange(start, end, patientTimezone),
+        appointment.meetingLink,
+        patientTimezone,
+        offsetMinutes,
+        {
+            recipient: { role: 'patient', userId: patient._id },
+            language: patient.preferredLanguage,
+            doctorId: doctor._id,
+            patientId: patient._id,
+            appointmentId: appointment._id,
+            meta: { offsetMinutes },
+            dedupeKey: `reminder:${appointment._id}:${offsetMinutes}:${start.toISOString()}`,
+            expiresAt: start
+        }
+    );
+    return true;
+};
+
+// Queue every reminder that is due. Only the closest due offset of an appointment
+// is sent; earlier ones that were missed, or that fell before the booking was
+// made, are recorded as skipped. Returns counts of what happened.
+const sendDueReminders = async (now = new Date()) => {
+    const summary = { queued: 0, failed: 0, skipped: 0 };
+    if (REMINDER_OFFSETS_MINUTES.length === 0) {
+        return summary;
+    }
+
+    const appointments = await Appointment.find({
+        status: 'scheduled',
+        appointmentDate: {
+            $gt: now,
+            $lte: new Date(now.getTime() + REMINDER_OFFSETS_MINUTES[0] * 60 * 1000)
+        }
+    })
+        .populate('doctorId', 'name')
+        .populate('patientId', 'phone timezone preferredLanguage');
+
+    for (const appointment of appointments) {
+        const start = appointment.getSlotInstants().start.getTime();
+        const bookedAt = new Date(getBookedAt(appointment)).getTime();
+        const dueOffsets = REMINDER_OFFSETS_MINUTES.filter(offset => start - offset * 60 * 1000 <= now.getTime());
+        const closest = dueOffsets[dueOffsets.length - 1];
+
+        for (const offset of dueOffsets) {
+            const entry = appointment.reminders.find(reminder => reminder.offsetMinutes === offset);
+
+            if (offset !== closest || start - offset * 60 * 1000 < bookedAt) {
+                if (!entry) {
+                    await skipReminder(appointment, offset);
+                    summary.skipped++;
+                }
+                continue;
+            }
+
+            const claimed = entry
+                ? await reclaimReminder(appointment, offset, now)
+                : await claimReminder(appointment, offset, now);
+            if (!claimed) {
+                continue;
+            }
+
+            const queued = await queueReminder(appointment, offset);
+            summary[queued ? 'queued' : 'failed']++;
+        }
+    }
+
+    return summary;
+};
+
+// Run the reminder scheduler periodically in this process. Claims are stored on
+// the appointments, so several instances can run it and restarts pick up where
+// the last run stopped.
+const startReminderScheduler = () => {
+    const timer = setInterval(() => {
+        sendDueReminders().catch(error => {
+            console.error('Reminder scheduler error:', error);
+        });
+    }, REMINDER_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    REMINDER_OFFSETS_MINUTES,
+    sendDueReminders,
+    startReminderScheduler
+};
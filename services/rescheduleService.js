@@ -0,0 +1,188 @@
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const availabilityService = require('./availabilityService');
+const reservationService = require('./reservationService');
+const waitlistService = require('./waitlistService');
+const emailService = require('./emailService');
+const { sendAppointmentRescheduled } = require('./whatsappService');
+const { isSlotKeyConflict } = require('../utils/slotKey');
+const { DEFAULT_TIMEZONE, toDateKey, addDays, formatTimeRange } = require('../utils/timezone');
+
+// How close to its start an appointment can still be rescheduled
+const RESCHEDULE_CUTOFF_HOURS = parseInt(process.env.RESCHEDULE_CUTOFF_HOURS, 10) || 2;
+
+// error is the label used in API responses. conflict is set when the new slot
+// failed one of the booking checks of findSlotConflict.
+class RescheduleError extends Error {
+    constructor(message, status = 400, { error = 'Cannot reschedule appointment', conflict = null } = {}) {
+        super(message);
+        this.name = 'RescheduleError';
+        this.status = status;
+        this.error = error;
+        this.conflict = conflict;
+    }
+}
+
+const getCutoff = (now = new Date()) => new Date(now.getTime() + RESCHEDULE_CUTOFF_HOURS * 60 * 60 * 1000);
+
+// Throw unless the appointment is scheduled and far enough away to be moved
+// (administrators can move it up to the last minute with ignoreCutoff)
+const assertReschedulable = (appointment, now = new Date(), { ignoreCutoff = false } = {}) => {
+    if (appointment.status !== 'scheduled') {
+        throw new RescheduleError(`Appointment is ${appointment.status}`);
+    }
+    if (!ignoreCutoff && appointment.getSlotInstants().start <= getCutoff(now)) {
+        throw new RescheduleError(`Appointments can only be rescheduled up to ${RESCHEDULE_CUTOFF_HOURS} hour(s) before they start`);
+    }
+};
+
+// The doctor's next free slots the appointment could move to, looking up to
+// `days` days ahead in the doctor's timezone
+const findRescheduleOptions = async (appointment, doctor, { limit = 3, days = 14, now = new Date() } = {}) => {
+    const cutoff = getCutoff(now);
+    const today = toDateKey(now, availabilityService.getDoctorTimezone(doctor));
+    const options = [];
+
+    for (let offset = 0; offset < days && options.length < limit; offset++) {
+        const dateKey = addDays(today, offset);
+        const slots = await availabilityService.getAvailableSlots(doctor, dateKey, appointment.patientId);
+        slots
+            .filter(slot => !slot.onHold && slot.start > cutoff)
+            .slice(0, limit - options.length)
+            .forEach(slot => options.push({ dateKey, timeSlot: slot.timeSlot, start: slot.start, end: slot.end }));
+    }
+
+    return options;
+};
+
+// Tell the counterpart of whoever moved the appointment (both parties when an
+// administrator moved it), each in their own timezone
+const notifyReschedule = async (appointment, { doctor, patient, previousSlot, changedBy, reason }) => {
+    const { start, end } = appointment.getSlotInstants();
+    const toPatient = { role: 'patient', person: patient, withName: `Dr. ${doctor.name}`, language: patient.preferredLanguage };
+    const toDoctor = { role: 'doctor', person: doctor, withName: patient.name };
+    const recipients = {
+        doctor: [toPatient],
+        patient: [toDoctor],
+        admin: [toPatient, toDoctor]
+    }[changedBy.role] || [toDoctor];
+
+    return Promise.all(recipients.map(recipient => {
+        const recipientTimezone = recipient.person.timezone || DEFAULT_TIMEZONE;
+        return sendAppointmentRescheduled(
+            recipient.person.phone,
+            recipient.withName,
+            previousSlot.start,
+            formatTimeRange(previousSlot.start, previousSlot.end, recipientTimezone),
+            start,
+            formatTimeRange(start, end, recipientTimezone),
+            reason,
+            recipientTimezone,
+            {
+                recipient: { role: recipient.role, userId: recipient.person._id },
+                language: recipient.language,
+                doctorId: doctor._id,
+                patientId: patient._id,
+                appointmentId: appointment._id
+            }
+        );
+    }));
+};
+
+// Check that an appointment can move to a doctor's slot on a date (YYYY-MM-DD in
+// the doctor's timezone), running the same checks as booking, and apply the move
+// without saving it. Resolves with what finishMove needs once it is saved.
+// Throws a RescheduleError when the move is not possible.
+const prepareMove = async (appointment, { dateKey, timeSlot, changedBy, reason, ignoreCutoff = false }) => {
+    assertReschedulable(appointment, new Date(), { ignoreCutoff });
+
+    const [doctor, patient] = await Promise.all([
+        Doctor.findById(appointment.doctorId),
+        Patient.findById(appointment.patientId)
+    ]);
+    if (!doctor || !patient) {
+        throw new RescheduleError('Doctor or patient no longer exists', 404, { error: 'Not found' });
+    }
+
+    const previousSlot = {
+        ...appointment.getSlotInstants(),
+        timeSlot: appointment.timeSlot
+    };
+
+    // Ignore the slot this appointment holds now
+    const { start, end, conflict } = await availabilityService.findSlotConflict(
+        doctor,
+        appointment.patientId,
+        dateKey,
+        timeSlot,
+        { ignoreAppointmentIds: [appointment._id] }
+    );
+    if (conflict) {
+        throw new RescheduleError(conflict.message, 400, { conflict });
+    }
+
+    if (start.getTime() === previousSlot.start.getTime() && timeSlot === previousSlot.timeSlot) {
+        throw new RescheduleError('The appointment is already at this time', 400, { error: 'Nothing to change' });
+    }
+
+    appointment.reschedule({
+        start,
+        end,
+        timeSlot,
+        timezone: availabilityService.getDoctorTimezone(doctor)
+    }, { changedBy, reason });
+
+    return { doctor, patient, previousSlot, changedBy, reason };
+};
+
+// Save a moved appointment, reporting a lost race for the slot as a RescheduleError
+const saveMove = async (appointment) => {
+    try {
+        await appointment.save();
+    } catch (saveError) {
+        if (isSlotKeyConflict(saveError)) {
+            throw new RescheduleError('This time slot was just booked by another patient', 409, { error: 'Time slot not available' });
+        }
+        throw saveError;
+    }
+};
+
+// Once a move is saved: release the patient's hold on the new slot, offer the
+// freed slot to the waitlist, and tell the other party by WhatsApp and both by email
+const finishMove = async (appointment, { doctor, patient, previousSlot, changedBy, reason }) => {
+    await reservationService.releaseHoldForSlot(doctor._id, appointment.getSlotInstants().start, appointment.patientId);
+
+    waitlistService.offerFreedSlot(appointment.doctorId, previousSlot).catch(error => {
+        console.error('Waitlist offer error:', error);
+    });
+
+    try {
+        await notifyReschedule(appointment, { doctor, patient, previousSlot, changedBy, reason });
+    } catch (whatsappError) {
+        console.error('WhatsApp notification failed:', whatsappError);
+    }
+
+    emailService.sendAppointmentEmails(appointment, 'rescheduled', { reason, previous: previousSlot }).catch(error => {
+        console.error('Appointment email error:', error);
+    });
+};
+
+// Move an appointment to a doctor's slot on a date (see prepareMove), save it and
+// let both parties know (see finishMove)
+const moveAppointment = async (appointment, options) => {
+    const move = await prepareMove(appointment, options);
+    await saveMove(appointment);
+    await finishMove(appointment, move);
+    return appointment;
+};
+
+module.exports = {
+    RESCHEDULE_CUTOFF_HOURS,
+    RescheduleError,
+    assertReschedulable,
+    findRescheduleOptions,
+    prepareMove,
+    saveMove,
+    finishMove,
+    moveAppointment
+};
@@ -0,0 +1,97 @@
+const Appointment = require('../models/Appointment');
+const SlotHold = require('../models/SlotHold');
+const { buildSlotKey, isSlotKeyConflict, ACTIVE_APPOINTMENT_STATUSES } = require('../utils/slotKey');
+
+// How long a hold keeps a slot reserved
+const HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES, 10) || 10;
+
+// Error raised when a slot cannot be reserved, with the HTTP status to report
+class SlotUnavailableError extends Error {
+    constructor(message, status = 409) {
+        super(message);
+        this.name = 'SlotUnavailableError';
+        this.status = status;
+    }
+}
+
+// Get unexpired holds on a doctor's slots between two instants
+const getActiveHolds = (doctorId, start, end) => {
+    return SlotHold.find({
+        doctorId,
+        startTime: { $gte: start, $lte: end },
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+// Find an unexpired hold on a slot placed by someone other than the patient
+const findBlockingHold = (doctorId, start, patientId) => {
+    return SlotHold.findOne({
+        slotKey: buildSlotKey(doctorId, start),
+        patientId: { $ne: patientId },
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+// Hold a slot for a patient (for HOLD_MINUTES unless expiresAt is given). Throws
+// SlotUnavailableError if the slot is booked or held by someone else. Any earlier
+// hold by the patient on the same doctor is released.
+const createHold = async ({ doctorId, patientId, start, end, timeSlot, expiresAt }) => {
+    const slotKey = buildSlotKey(doctorId, start);
+
+    const booked = await Appointment.exists({
+        slotKey,
+        status: { $in: ACTIVE_APPOINTMENT_STATUSES }
+    });
+    if (booked) {
+        throw new SlotUnavailableError('This time slot is already booked');
+    }
+
+    // Clear expired holds on this slot the TTL monitor has not removed yet,
+    // and the patient's previous hold with this doctor
+    await SlotHold.deleteMany({
+        $or: [
+            { slotKey, expiresAt: { $lte: new Date() } },
+            { doctorId, patientId }
+        ]
+    });
+
+    const hold = new SlotHold({
+        doctorId,
+        patientId,
+        startTime: start,
+        endTime: end,
+        timeSlot,
+        expiresAt: expiresAt || new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
+    });
+
+    try {
+        await hold.save();
+    } catch (error) {
+        if (isSlotKeyConflict(error)) {
+            throw new SlotUnavailableError('This time slot is currently on hold for another patient');
+        }
+        throw error;
+    }
+
+    return hold;
+};
+
+// Release a patient's hold. Returns the removed hold, or null if none matched.
+const releaseHold = (holdId, patientId) => {
+    return SlotHold.findOneAndDelete({ _id: holdId, patientId });
+};
+
+// Release whatever hold a patient has on a slot, e.g. once it has been booked
+const releaseHoldForSlot = (doctorId, start, patientId) => {
+    return SlotHold.deleteOne({ slotKey: buildSlotKey(doctorId, start), patientId });
+};
+
+module.exports = {
+    HOLD_MINUTES,
+    SlotUnavailableError,
+    getActiveHolds,
+    findBlockingHold,
+    createHold,
+    releaseHold,
+    releaseHoldForSlot
+};
@@ -0,0 +1,323 @@
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const Patient = require('../models/Patient');
+const availabilityService = require('./availabilityService');
+const waitlistService = require('./waitlistService');
+const emailService = require('./emailService');
+const cancellationService = require('./cancellationService');
+const rescheduleService = require('./rescheduleService');
+const { buildSlotKey, isSlotKeyConflict } = require('../utils/slotKey');
+const { addDays, toDateKey } = require('../utils/timezone');
+
+// Upper bound on the number of follow-ups a series can create
+const MAX_SERIES_OCCURRENCES = 52;
+
+// Error raised when a series operation cannot go ahead; conflicts lists the
+// occurrences that failed the availability checks
+class SeriesError extends Error {
+    constructor(message, status = 400, conflicts = []) {
+        super(message);
+        this.name = 'SeriesError';
+        this.status = status;
+        this.conflicts = conflicts;
+    }
+}
+
+// Shift a calendar date by whole months, clamping to the last day of shorter months
+const addMonths = (dateKey, months) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().slice(0, 10);
+};
+
+// Calendar dates of a recurrence starting at firstDateKey, limited by count and/or until
+const generateOccurrenceDates = (firstDateKey, { frequency, interval = 1, count, until }) => {
+    const dates = [];
+    const limit = Math.min(count || MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+
+    for (let i = 0; dates.length < limit; i++) {
+        const dateKey = frequency === 'monthly'
+            ? addMonths(firstDateKey, i * interval)
+            : addDays(firstDateKey, i * 7 * interval);
+
+        if (until && dateKey > until) {
+            break;
+        }
+        dates.push(dateKey);
+    }
+
+    return dates;
+};
+
+// Run the booking checks for every occurrence
+const planOccurrences = async (doctor, patientId, occurrences, ignoreAppointmentIds = []) => {
+    const planned = [];
+    for (const occurrence of occurrences) {
+        const { start, end, conflict } = await availabilityService.findSlotConflict(
+            doctor,
+            patientId,
+            occurrence.dateKey,
+            occurrence.timeSlot,
+            { ignoreAppointmentIds }
+        );
+        planned.push({ ...occurrence, start, end, conflict });
+    }
+    return planned;
+};
+
+// Email both parties about an appointment update in the background
+const emailAppointmentUpdate = (appointment, event, options) => {
+    emailService.sendAppointmentEmails(appointment, event, options).catch(error => {
+        console.error('Appointment email error:', error);
+    });
+};
+
+const describeConflicts = (planned) => planned
+    .filter(occurrence => occurrence.conflict)
+    .map(occurrence => ({
+        date: occurrence.dateKey,
+        timeSlot: occurrence.timeSlot,
+        reason: occurrence.conflict.reason,
+        message: occurrence.conflict.message
+    }));
+
+// Create a follow-up series from a completed appointment. Conflicting occurrences
+// abort the whole series unless skipConflicts is set, in which case they are left out.
+const createSeries = async ({
+    doctor,
+    sourceAppointment,
+    recurrence,
+    firstDate,
+    timeSlot,
+    consultationType,
+    notes,
+    skipConflicts = false
+}) => {
+    const timeZone = availabilityService.getDoctorTimezone(doctor);
+    const dateKeys = generateOccurrenceDates(firstDate, {
+        ...recurrence,
+        until: recurrence.until ? toDateKey(recurrence.until, timeZone) : undefined
+    });
+    if (dateKeys.length === 0) {
+        throw new SeriesError('The recurrence does not produce any appointments');
+    }
+
+    const patientId = sourceAppointment.patientId;
+    const planned = await planOccurrences(
+        doctor,
+        patientId,
+        dateKeys.map(dateKey => ({ dateKey, timeSlot }))
+    );
+    const conflicts = describeConflicts(planned);
+
+    if (conflicts.length > 0 && !skipConflicts) {
+        throw new SeriesError('Some follow-up appointments conflict with existing bookings', 409, conflicts);
+    }
+
+    const bookable = planned.filter(occurrence => !occurrence.conflict);
+    if (bookable.length === 0) {
+        throw new SeriesError('None of the follow-up appointments can be booked', 409, conflicts);
+    }
+
+    const series = new AppointmentSeries({
+        doctorId: doctor._id,
+        patientId,
+        sourceAppointmentId: sourceAppointment._id,
+        recurrence,
+        timeSlot,
+        consultationType,
+        notes
+    });
+    await series.save();
+
+    const appointments = [];
+    try {
+        for (const [index, occurrence] of bookable.entries()) {
+            const appointment = new Appointment({
+                doctorId: doctor._id,
+                patientId,
+                appointmentDate: occurrence.start,
+                endTime: occurrence.end,
+                timezone: timeZone,
+                timeSlot,
+                consultationType,
+                symptoms: notes,
+                status: 'scheduled',
+                seriesId: series._id,
+                seriesIndex: index + 1
+            });
+            await appointment.save();
+            appointments.push(appointment);
+        }
+    } catch (error) {
+        // Undo the partial series so the doctor can retry cleanly
+        await Appointment.deleteMany({ _id: { $in: appointments.map(apt => apt._id) } });
+        await AppointmentSeries.deleteOne({ _id: series._id });
+
+        if (isSlotKeyConflict(error)) {
+            throw new SeriesError('A follow-up slot was booked by someone else, please try again', 409);
+        }
+        throw error;
+    }
+
+    appointments.forEach(appointment => emailAppointmentUpdate(appointment, 'confirmed'));
+
+    return { series, appointments, skipped: conflicts };
+};
+
+// Scheduled appointments of a series from an instant onwards
+const getRemainingAppointments = (series, from = new Date()) => {
+    return Appointment.find({
+        seriesId: series._id,
+        status: 'scheduled',
+        appointmentDate: { $gte: from }
+    }).sort({ appointmentDate: 1 });
+};
+
+// Cancel the rest of a series. Without a from date the whole series is closed.
+const cancelRemaining = async (series, from, { changedBy, category, reason } = {}) => {
+    const now = new Date();
+    const remaining = await getRemainingAppointments(series, from && from > now ? from : now);
+
+    for (const appointment of remaining) {
+        appointment.cancel({ changedBy, category, reason });
+        await appointment.save();
+
+        waitlistService.offerFreedSlot(appointment.doctorId, {
+            ...appointment.getSlotInstants(),
+            timeSlot: appointment.timeSlot
+        }).catch(error => {
+            console.error('Waitlist offer error:', error);
+        });
+        cancellationService.notifyCancellation(appointment).catch(error => {
+            console.error('Cancellation notice error:', error);
+        });
+    }
+
+    if (!from) {
+        series.status = 'cancelled';
+        await series.save();
+    }
+
+    return remaining;
+};
+
+// Move the rest of a series to another slot and/or shift it by a number of days.
+// Either every remaining appointment moves or none do. Each moved appointment is
+// then handled like a single move: its old slot is offered to the waitlist and
+// the other party is told by WhatsApp, and both by email.
+const rescheduleRemaining = async (series, doctor, { timeSlot, shiftDays = 0, changedBy, reason }) => {
+    const remaining = await getRemainingAppointments(series);
+    if (remaining.length === 0) {
+        throw new SeriesError('There are no remaining appointments in this series');
+    }
+
+    const patient = await Patient.findById(series.patientId);
+    if (!patient) {
+        throw new SeriesError('Patient no longer exists', 404);
+    }
+
+    const timeZone = availabilityService.getDoctorTimezone(doctor);
+    const remainingIds = remaining.map(apt => apt._id);
+
+    const planned = await planOccurrences(
+        doctor,
+        series.patientId,
+        remaining.map(appointment => ({
+            appointment,
+            dateKey: addDays(toDateKey(appointment.getSlotInstants().start, timeZone), shiftDays),
+            timeSlot: timeSlot || appointment.timeSlot
+        })),
+        remainingIds
+    );
+
+    const conflicts = describeConflicts(planned);
+    if (conflicts.length > 0) {
+        throw new SeriesError('Some appointments cannot be moved to the new time', 409, conflicts);
+    }
+
+    // When shifting later, move the last appointment first so no appointment
+    // lands on a slot its sibling still occupies
+    const ordered = shiftDays > 0 ? [...planned].reverse() : planned;
+
+    const previous = [];
+    try {
+        for (const occurrence of ordered) {
+            const { appointment } = occurrence;
+            const before = {
+                appointment,
+                appointmentDate: appointment.appointmentDate,
+                endTime: appointment.endTime,
+                timeSlot: appointment.timeSlot,
+                reminderSent: appointment.reminderSent,
+                reminders: appointment.reminders.toObject(),
+                slot: appointment.getSlotInstants()
+            };
+
+            appointment.reschedule({
+                start: occurrence.start,
+                end: occurrence.end,
+                timeSlot: occurrence.timeSlot,
+                timezone: timeZone
+            }, { changedBy, reason });
+            await appointment.save();
+            previous.push(before);
+        }
+    } catch (error) {
+        // Put already-moved appointments back, newest move first so each old slot is
+        // free again before it is reclaimed, and drop their history entry
+        for (const { appointment, appointmentDate, endTime, timeSlot: previousSlot, reminderSent, reminders } of previous.reverse()) {
+            await Appointment.updateOne(
+                { _id: appointment._id },
+                {
+                    $set: {
+                        appointmentDate,
+                        endTime,
+                        timeSlot: previousSlot,
+                        reminderSent,
+                        reminders,
+                        slotKey: buildSlotKey(appointment.doctorId, appointmentDate)
+                    },
+                    $pop: { rescheduleHistory: 1 }
+                }
+            );
+        }
+        if (isSlotKeyConflict(error)) {
+            throw new SeriesError('A new slot was booked by someone else, please try again', 409);
+        }
+        throw error;
+    }
+
+    // Earliest first, so the waitlist is offered the soonest freed slots first
+    const moved = [...previous].sort((a, b) => a.slot.start - b.slot.start);
+    for (const { appointment, slot, timeSlot: previousTimeSlot } of moved) {
+        await rescheduleService.finishMove(appointment, {
+            doctor,
+            patient,
+            previousSlot: { ...slot, timeSlot: previousTimeSlot },
+            changedBy,
+            reason
+        }).catch(error => {
+            console.error('Series reschedule notice error:', error);
+        });
+    }
+
+    if (timeSlot) {
+        series.timeSlot = timeSlot;
+        await series.save();
+    }
+
+    return remaining;
+};
+
+module.exports = {
+    MAX_SERIES_OCCURRENCES,
+    SeriesError,
+    generateOccurrenceDates,
+    createSeries,
+    getRemainingAppointments,
+    cancelRemaining,
+    rescheduleRemaining
+};
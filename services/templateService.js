@@ -0,0 +1,261 @@
+const NotificationTemplate = require('../models/NotificationTemplate');
+const { TEMPLATE_VARIABLES, DEFAULT_TEMPLATES } = require('../config/notificationTemplates');
+const { renderTemplate, listPlaceholders } = require('../utils/template');
+const {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    isSupportedLanguage,
+    resolveLanguage,
+    toIntlLocale,
+    formatTimeAhead
+} = require('../utils/language');
+const { formatConsultationType } = require('../utils/consultationType');
+const { formatCancellationCategory } = require('../utils/cancellationCategory');
+const { formatReplyProblem } = require('../utils/replyProblem');
+const {
+    DEFAULT_TIMEZONE,
+    toDateKey,
+    addDays,
+    resolveSlot,
+    formatDate,
+    formatTime,
+    formatZoneName,
+    formatTimeRange
+} = require('../utils/timezone');
+
+class TemplateError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'TemplateError';
+        this.status = status;
+    }
+}
+
+const isKnownTemplate = (channel, type) => Boolean(TEMPLATE_VARIABLES[channel] && TEMPLATE_VARIABLES[channel][type]);
+
+const assertKnownTemplate = (channel, type) => {
+    if (!isKnownTemplate(channel, type)) {
+        throw new TemplateError(`There is no ${channel} template for "${type}"`, 404);
+    }
+};
+
+const getDefaultTemplate = (channel, type, language) => {
+    const templates = DEFAULT_TEMPLATES[channel] && DEFAULT_TEMPLATES[channel][type];
+    return templates ? templates[language] : undefined;
+};
+
+// The template used for a language: the admin's version, then the built-in one,
+// then the same for English. source says which one was picked.
+const resolveTemplate = async (channel, type, language) => {
+    assertKnownTemplate(channel, type);
+
+    const languages = [...new Set([resolveLanguage(language), DEFAULT_LANGUAGE])];
+    const overrides = await NotificationTemplate.find({ channel, type, language: { $in: languages } });
+
+    for (const candidate of languages) {
+        const custom = overrides.find(template => template.language === candidate);
+        if (custom) {
+            return { language: candidate, source: 'custom', subject: custom.subject, body: custom.body };
+        }
+        const builtIn = getDefaultTemplate(channel, type, candidate);
+        if (builtIn) {
+            return { language: candidate, source: 'default', subject: builtIn.subject, body: builtIn.body };
+        }
+    }
+
+    throw new TemplateError(`The ${channel} template for "${type}" is missing`, 500);
+};
+
+// Render a notification's text (and subject, for email) in the recipient's
+// language. buildVariables is given the language the template is written in, so
+// dates and labels match the text even when it fell back to English.
+const renderNotification = async (channel, type, language, buildVariables) => {
+    const template = await resolveTemplate(channel, type, language);
+    const variables = buildVariables(template.language);
+    return {
+        language: template.language,
+        subject: template.subject ? renderTemplate(template.subject, variables) : undefined,
+        text: renderTemplate(template.body, variables).trim()
+    };
+};
+
+// Reject placeholders the notification type does not provide, so a typo does not
+// silently turn into an empty gap in every message
+const validateTemplate = (channel, type, { subject, body }) => {
+    if (typeof body !== 'string' || !body.trim()) {
+        throw new TemplateError('Template body is required');
+    }
+    if (channel === 'email' && (typeof subject !== 'string' || !subject.trim())) {
+        throw new TemplateError('Email templates need a subject');
+    }
+
+    const allowed = TEMPLATE_VARIABLES[channel][type];
+    const unknown = [...listPlaceholders(subject), ...listPlaceholders(body)]
+        .filter(name => !allowed.includes(name));
+    if (unknown.length > 0) {
+        throw new TemplateError(`Unknown template variables: ${[...new Set(unknown)].join(', ')}. Available: ${allowed.join(', ')}`);
+    }
+};
+
+// Every notification template with its variables and the languages it is written
+// in, marking the ones an admin has customized
+const listTemplates = async ({ channel, type, language } = {}) => {
+    const filter = {};
+    if (channel) filter.channel = channel;
+    if (type) filter.type = type;
+    if (language) filter.language = language;
+    const overrides = await NotificationTemplate.find(filter);
+
+    const templates = [];
+    Object.keys(TEMPLATE_VARIABLES)
+        .filter(templateChannel => !channel || templateChannel === channel)
+        .forEach(templateChannel => {
+            Object.keys(TEMPLATE_VARIABLES[templateChannel])
+                .filter(templateType => !type || templateType === type)
+                .forEach(templateType => {
+                    const translations = Object.keys(SUPPORTED_LANGUAGES)
+                        .filter(templateLanguage => !language || templateLanguage === language)
+                        .map(templateLanguage => {
+                            const custom = overrides.find(template =>
+                                template.channel === templateChannel &&
+                                template.type === templateType &&
+                                template.language === templateLanguage
+                            );
+                            const builtIn = getDefaultTemplate(templateChannel, templateType, templateLanguage);
+                            if (!custom && !builtIn) {
+                                return null;
+                            }
+                            const template = custom || builtIn;
+                            return {
+                                language: templateLanguage,
+                                customized: Boolean(custom),
+                                subject: template.subject,
+                                body: template.body,
+                                updatedBy: custom ? custom.updatedBy : undefined,
+                                updatedAt: custom ? custom.updatedAt : undefined
+                            };
+                        })
+                        .filter(Boolean);
+
+                    templates.push({
+                        channel: templateChannel,
+                        type: templateType,
+                        variables: TEMPLATE_VARIABLES[templateChannel][templateType],
+                        translations
+                    });
+                });
+        });
+
+    return templates;
+};
+
+// Create or replace the admin's version of a template
+const saveTemplate = async (channel, type, language, { subject, body }, updatedBy) => {
+    assertKnownTemplate(channel, type);
+    if (!isSupportedLanguage(language)) {
+        throw new TemplateError(`Unsupported language "${language}"`);
+    }
+    validateTemplate(channel, type, { subject, body });
+
+    return NotificationTemplate.findOneAndUpdate(
+        { channel, type, language },
+        {
+            $set: {
+                subject: channel === 'email' ? subject : undefined,
+                body,
+                updatedBy
+            }
+        },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+};
+
+// Drop the admin's version so the built-in template is used again
+const resetTemplate = async (channel, type, language) => {
+    assertKnownTemplate(channel, type);
+    const removed = await NotificationTemplate.findOneAndDelete({ channel, type, language });
+    if (!removed) {
+        throw new TemplateError('This template has not been customized', 404);
+    }
+    return removed;
+};
+
+// Example values for every template variable, formatted for a language
+const buildSampleVariables = (language) => {
+    const tomorrow = addDays(toDateKey(new Date(), DEFAULT_TIMEZONE), 1);
+    const { start, end } = resolveSlot(tomorrow, '10:00-10:30', DEFAULT_TIMEZONE);
+    const previous = resolveSlot(tomorrow, '16:00-16:30', DEFAULT_TIMEZONE);
+    const expiresAt = new Date(Date.now() + 30 * 60 * 1000);
+    const locale = toIntlLocale(language);
+
+    return {
+        doctorName: 'Asha Rao',
+        withName: 'Dr. Asha Rao',
+        date: formatDate(start, DEFAULT_TIMEZONE, locale),
+        time: formatTimeRange(start, end, DEFAULT_TIMEZONE),
+        previousDate: formatDate(previous.start, DEFAULT_TIMEZONE, locale),
+        previousTime: formatTimeRange(previous.start, previous.end, DEFAULT_TIMEZONE),
+        consultationType: formatConsultationType('video', language),
+        meetingLink: 'https://meet.jit.si/sample-consultation',
+        startsIn: formatTimeAhead(60, language),
+        reason: 'Sample reason',
+        category: formatCancellationCategory('schedule_conflict', language),
+        forPatient: true,
+        claimLink: 'https://health-chat-nexus.vercel.app/waitlist/claim/sample',
+        expiresAt: `${formatTime(expiresAt, DEFAULT_TIMEZONE)} ${formatZoneName(expiresAt, DEFAULT_TIMEZONE)}`,
+        patientName: 'Ravi Kumar',
+        symptoms: 'Sore throat and mild fever',
+        score: 5,
+        feedback: 'Very helpful consultation',
+        count: 2,
+        agenda: [
+            `• ${formatTimeRange(start, end, DEFAULT_TIMEZONE)} – Ravi Kumar (${formatConsultationType('video', language)})`,
+            `• ${formatTimeRange(previous.start, previous.end, DEFAULT_TIMEZONE)} – Meena Iyer (${formatConsultationType('audio', language)})`
+        ].join('\n'),
+        options: [
+            `1. ${formatDate(start, DEFAULT_TIMEZONE, locale)}, ${formatTimeRange(start, end, DEFAULT_TIMEZONE)}`,
+            `2. ${formatDate(previous.start, DEFAULT_TIMEZONE, locale)}, ${formatTimeRange(previous.start, previous.end, DEFAULT_TIMEZONE)}`
+        ].join('\n'),
+        problem: formatReplyProblem('option_taken', language),
+        name: 'Ravi Kumar',
+        resetLink: 'https://health-chat-nexus.vercel.app/reset-password?token=sample',
+        expiresIn: formatTimeAhead(30, language),
+        code: '482913',
+        verifyLink: 'https://health-chat-nexus.vercel.app/verify-email?token=sample'
+    };
+};
+
+// Render a draft, or the template currently in use, with sample or given variables
+const previewTemplate = async ({ channel, type, language, subject, body, variables = {} }) => {
+    assertKnownTemplate(channel, type);
+    const previewLanguage = resolveLanguage(language);
+
+    let template;
+    if (body !== undefined) {
+        validateTemplate(channel, type, { subject, body });
+        template = { language: previewLanguage, source: 'draft', subject, body };
+    } else {
+        template = await resolveTemplate(channel, type, previewLanguage);
+    }
+
+    const values = { ...buildSampleVariables(template.language), ...variables };
+    return {
+        channel,
+        type,
+        language: template.language,
+        source: template.source,
+        subject: template.subject ? renderTemplate(template.subject, values) : undefined,
+        text: renderTemplate(template.body, values).trim(),
+        variables: values
+    };
+};
+
+module.exports = {
+    TemplateError,
+    resolveTemplate,
+    renderNotification,
+    listTemplates,
+    saveTemplate,
+    resetTemplate,
+    previewTemplate
+};
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const Admin = require('../models/Admin');
+
+// How long an access token is accepted for
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 15;
+
+// How long a refresh token can be exchanged for a new pair
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// The model holding the accounts of each role
+const ACCOUNT_MODELS = {
+    doctor: Doctor,
+    patient: Patient,
+    admin: Admin
+};
+
+const getAccountModel = (role) => ACCOUNT_MODELS[role];
+
+class TokenError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'TokenError';
+        this.status = status;
+    }
+}
+
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A new access/refresh token pair, with the fields that store it
+const createTokenPair = (now = new Date()) => {
+    const accessToken = generateToken();
+    const refreshToken = generateToken();
+    const accessTokenExpiresAt = new Date(now.getTime() + ACCESS_TOKEN_TTL_MINUTES * 60 * 1000);
+    const refreshTokenExpiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    return {
+        tokens: {
+            tokenType: 'Bearer',
+            accessToken,
+            accessTokenExpiresAt,
+            refreshToken,
+            refreshTokenExpiresAt
+        },
+        fields: {
+            accessTokenHash: hashToken(accessToken),
+            accessTokenExpiresAt,
+            refreshTokenHash: hashToken(refreshToken),
+            refreshTokenExpiresAt
+        }
+    };
+};
+
+// The session-shaped user a token record stands for
+const toSessionUser = (user) => ({
+    id: user.id.toString(),
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    timezone: user.timezone
+});
+
+// Issue a token pair for a signed-in user ({ id, email, name, role, timezone })
+const issueTokens = async (user, { userAgent } = {}) => {
+    const { tokens, fields } = createTokenPair();
+    await AuthToken.create({
+        user: toSessionUser(user),
+        ...fields,
+        userAgent: userAgent ? String(userAgent).slice(0, 300) : undefined
+    });
+    return tokens;
+};
+
+// The user an access token belongs to, or null when it is unknown, expired or revoked
+const authenticateAccessToken = async (accessToken, now = new Date()) => {
+    const record = await AuthToken.findOne({
+        accessTokenHash: hashToken(accessToken),
+        accessTokenExpiresAt: { $gt: now },
+        revokedAt: { $exists: false }
+    });
+    return record ? toSessionUser(record.user) : null;
+};
+
+// Exchange a refresh token for a new pair. The old tokens stop working, and the
+// user's details are read again in case they changed.
+const refreshTokens = async (refreshToken, now = new Date()) => {
+    const refreshTokenHash = hashToken(refreshToken);
+    const record = await AuthToken.findOne({
+        refreshTokenHash,
+        refreshTokenExpiresAt: { $gt: now },
+        revokedAt: { $exists: false }
+    });
+    if (!record) {
+        throw new TokenError('Refresh token is invalid or has expired');
+    }
+
+    const account = await getAccountModel(record.user.role).findById(record.user.id).select('email name timezone suspension');
+    if (!account || (account.suspension && account.suspension.suspendedAt)) {
+        await AuthToken.updateOne({ _id: record._id }, { $set: { revokedAt: now } });
+        throw account
+            ? new TokenError('Account is suspended', 403)
+            : new TokenError('User account no longer exists');
+    }
+
+    // Matching on the old hash means only one of two concurrent refreshes wins
+    const { tokens, fields } = createTokenPair(now);
+    const rotated = await AuthToken.findOneAndUpdate(
+        { _id: record._id, refreshTokenHash, revokedAt: { $exists: false } },
+        {
+            $set: {
+                ...fields,
+                'user.email': account.email,
+                'user.name': account.name,
+                'user.timezone': account.timezone
+            }
+        }
+    );
+    if (!rotated) {
+        throw new TokenError('Refresh token has already been used');
+    }
+    return tokens;
+};
+
+// Revoke the token pair either token belongs to. Resolves to whether one was found.
+const revokeTokens = async ({ accessToken, refreshToken } = {}) => {
+    const matches = [];
+    if (accessToken) matches.push({ accessTokenHash: hashToken(accessToken) });
+    if (refreshToken) matches.push({ refreshTokenHash: hashToken(refreshToken) });
+    if (matches.length === 0) {
+        return false;
+    }
+
+    const result = await AuthToken.updateMany(
+        { $or: matches, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+};
+
+// Revoke every token pair a user holds, except the one exceptAccessToken belongs to
+const revokeUserTokens = async (userId, { exceptAccessToken } = {}) => {
+    const filter = { 'user.id': userId, revokedAt: { $exists: false } };
+    if (exceptAccessToken) {
+        filter.accessTokenHash = { $ne: hashToken(exceptAccessToken) };
+    }
+    const result = await AuthToken.updateMany(filter, { $set: { revokedAt: new Date() } });
+    return result.modifiedCount;
+};
+
+// Sign a user out everywhere: their token pairs are revoked, and sessions signed
+// in before now end on their next request
+const revokeUserSessions = async (role, userId) => {
+    await getAccountModel(role).updateOne({ _id: userId }, { $set: { sessionsRevokedAt: new Date() } });
+    return revokeUserTokens(userId);
+};
+
+// Whether a session has been ended since it signed in: by a password change, a
+// forced logout or a suspension, or because the account is gone. Sessions from
+// before sign-in times were recorded count as signed in at the start of time.
+const isSessionRevoked = async (sessionUser) => {
+    const Model = getAccountModel(sessionUser.role);
+    const account = Model
+        ? await Model.findById(sessionUser.id).select('passwordChangedAt sessionsRevokedAt suspension')
+        : null;
+    if (!account) {
+        return true;
+    }
+    if (account.suspension && account.suspension.suspendedAt) {
+        return true;
+    }
+    const authenticatedAt = new Date(sessionUser.authenticatedAt || 0);
+    return [account.passwordChangedAt, account.sessionsRevokedAt]
+        .some(revokedAt => revokedAt && authenticatedAt < revokedAt);
+};
+
+// Copy profile changes (e.g. a new timezone) to the user's live tokens, as the
+// profile controllers do for the session
+const updateTokenUser = (userId, changes) => {
+    const updates = {};
+    ['email', 'name', 'timezone'].forEach(field => {
+        if (changes[field] !== undefined) {
+            updates[`user.${field}`] = changes[field];
+        }
+    });
+    return AuthToken.updateMany({ 'user.id': userId, revokedAt: { $exists: false } }, { $set: updates });
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL_MINUTES,
+    REFRESH_TOKEN_TTL_DAYS,
+    TokenError,
+    getAccountModel,
+    issueTokens,
+    authenticateAccessToken,
+    refreshTokens,
+    revokeTokens,
+    revokeUserTokens,
+    revokeUserSessions,
+    isSessionRevoked,
+    updateTokenUser
+};
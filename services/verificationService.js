@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const emailService = require('./emailService');
+const { sendPhoneVerification } = require('./whatsappService');
+const { isEmailConfigured } = require('./messaging');
+const { formatTimeAhead } = require('../utils/language');
+
+// How long an email verification link can be used for
+const EMAIL_LINK_TTL_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES, 10) || 24 * 60;
+
+// How long a phone verification code can be used for
+const PHONE_CODE_TTL_MINUTES = parseInt(process.env.PHONE_CODE_TTL_MINUTES, 10) || 10;
+
+// Wrong codes allowed before a new one has to be sent
+const PHONE_CODE_MAX_ATTEMPTS = parseInt(process.env.PHONE_CODE_MAX_ATTEMPTS, 10) || 5;
+
+// Minimum gap between two verification messages of the same kind
+const RESEND_SECONDS = parseInt(process.env.VERIFICATION_RESEND_SECONDS, 10) || 60;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://health-chat-nexus.vercel.app';
+
+// Error raised when a contact cannot be verified, with the HTTP status to report
+class VerificationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'VerificationError';
+        this.status = status;
+    }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Codes are short, so they are hashed with the user's id to keep hashes unique
+const hashCode = (userId, code) => hashToken(`${userId}:${code}`);
+
+const getModel = (role) => (role === 'doctor' ? Doctor : Patient);
+
+const findAccount = async ({ id, role }) => {
+    const account = await getModel(role).findById(id);
+    if (!account) {
+        throw new VerificationError('User account no longer exists', 404);
+    }
+    return account;
+};
+
+// Void the user's unused tokens for purpose and store a new one, unless one was
+// sent to the same contact too recently
+const replaceToken = async (account, role, purpose, { tokenHash, channel, contact, ttlMinutes }, now) => {
+    const recent = await AccountToken.findOne({
+        'user.id': account._id,
+        purpose,
+        contact,
+        usedAt: { $exists: false },
+        createdAt: { $gt: new Date(now.getTime() - RESEND_SECONDS * 1000) }
+    });
+    if (recent) {
+        throw new VerificationError('A verification message was sent moments ago, please wait before asking again', 429);
+    }
+
+    await AccountToken.updateMany(
+        { 'user.id': account._id, purpose, usedAt: { $exists: false } },
+        { $set: { usedAt: now } }
+    );
+    return AccountToken.create({
+        purpose,
+        user: { id: account._id, role },
+        tokenHash,
+        channel,
+        contact,
+        expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000)
+    });
+};
+
+// Email a link that verifies the user's email address
+const sendEmailVerification = async (user, now = new Date()) => {
+    const account = await findAccount(user);
+    if (account.emailVerified) {
+        throw new VerificationError('Email is already verified');
+    }
+    if (!isEmailConfigured()) {
+        throw new VerificationError('Email delivery is not available', 503);
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const record = await replaceToken(account, user.role, 'email_verification', {
+        tokenHash: hashToken(token),
+        channel: 'email',
+        contact: account.email,
+        ttlMinutes: EMAIL_LINK_TTL_MINUTES
+    }, now);
+
+    const verifyLink = `${FRONTEND_URL}/verify-email?token=${token}`;
+    return emailService.sendAccountEmail('email_verification', user.role, account, (language) => ({
+        name: account.name,
+        verifyLink,
+        expiresIn: formatTimeAhead(EMAIL_LINK_TTL_MINUTES, language)
+    }), { expiresAt: record.expiresAt });
+};
+
+// Send a six-digit code over WhatsApp that verifies the user's phone number
+const sendPhoneCode = async (user, now = new Date()) => {
+    const account = await findAccount(user);
+    if (account.phoneVerified) {
+        throw new VerificationError('Phone number is already verified');
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const record = await replaceToken(account, user.role, 'phone_verification', {
+        tokenHash: hashCode(account._id, code),
+        channel: 'whatsapp',
+        contact: account.phone,
+        ttlMinutes: PHONE_CODE_TTL_MINUTES
+    }, now);
+
+    return sendPhoneVerification(account.phone, account.name, code, PHONE_CODE_TTL_MINUTES, {
+        recipient: { role: user.role, userId: account._id },
+        language: account.preferredLanguage,
+        expiresAt: record.expiresAt
+    });
+};
+
+// Start verifying a newly registered user's phone and email. Failures are logged
+// and left for the user to retry.
+const startVerification = async (user) => {
+    await sendPhoneCode(user).catch(error => {
+        console.error('Phone verification send error:', error);
+    });
+    if (isEmailConfigured()) {
+        await sendEmailVerification(user).catch(error => {
+            console.error('Email verification send error:', error);
+        });
+    }
+};
+
+// Verify an email address with the token from a verification link. Resolves
+// with the user's { id, role }.
+const verifyEmail = async (token, now = new Date()) => {
+    const record = await AccountToken.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            purpose: 'email_verification',
+            usedAt: { $exists: false },
+            expiresAt: { $gt: now }
+        },
+        { $set: { usedAt: now } }
+    );
+    if (!record) {
+        throw new VerificationError('Verification link is invalid or has expired');
+    }
+
+    // Only the address the link was sent to is verified
+    const result = await getModel(record.user.role).updateOne(
+        { _id: record.user.id, email: record.contact },
+        { $set: { emailVerified: true } }
+    );
+    if (result.matchedCount === 0) {
+        throw new VerificationError('The account no longer uses this email address');
+    }
+    return { id: record.user.id, role: record.user.role };
+};
+
+// Verify the signed-in user's phone number with the code sent to it
+const verifyPhone = async (user, code, now = new Date()) => {
+    const record = await AccountToken.findOne({
+        'user.id': user.id,
+        purpose: 'phone_verification',
+        usedAt: { $exists: false },
+        expiresAt: { $gt: now }
+    });
+    if (!record) {
+        throw new VerificationError('No verification code is active, please ask for a new one');
+    }
+    if (record.attempts >= PHONE_CODE_MAX_ATTEMPTS) {
+        throw new VerificationError('Too many wrong codes, please ask for a new one', 429);
+    }
+
+    if (record.tokenHash !== hashCode(user.id, code)) {
+        await AccountToken.updateOne({ _id: record._id }, { $inc: { attempts: 1 } });
+        throw new VerificationError('Verification code is incorrect');
+    }
+
+    const claimed = await AccountToken.findOneAndUpdate(
+        { _id: record._id, usedAt: { $exists: false } },
+        { $set: { usedAt: now } }
+    );
+    if (!claimed) {
+        throw new VerificationError('Verification code has already been used');
+    }
+
+    // Only the number the code was sent to is verified
+    const result = await getModel(user.role).updateOne(
+        { _id: user.id, phone: record.contact },
+        { $set: { phoneVerified: true } }
+    );
+    if (result.matchedCount === 0) {
+        throw new VerificationError('The account no longer uses this phone number');
+    }
+};
+
+module.exports = {
+    VerificationError,
+    sendEmailVerification,
+    sendPhoneCode,
+    startVerification,
+    verifyEmail,
+    verifyPhone
+};
@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const availabilityService = require('./availabilityService');
+const reservationService = require('./reservationService');
+const emailService = require('./emailService');
+const doctorNotificationService = require('./doctorNotificationService');
+const { sendWaitlistOffer, sendAppointmentConfirmation } = require('./whatsappService');
+const { buildSlotKey, isSlotKeyConflict, ACTIVE_APPOINTMENT_STATUSES } = require('../utils/slotKey');
+const { DEFAULT_TIMEZONE, formatTimeRange } = require('../utils/timezone');
+
+// How long a waitlisted patient has to claim an offered slot
+const CLAIM_MINUTES = parseInt(process.env.WAITLIST_CLAIM_MINUTES, 10) || 30;
+
+// How often lapsed offers are passed on to the next patient
+const SWEEP_INTERVAL_MS = parseInt(process.env.WAITLIST_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://health-chat-nexus.vercel.app';
+
+// Error raised when a waitlist offer cannot be claimed, with the HTTP status to report
+class WaitlistError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'WaitlistError';
+        this.status = status;
+    }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Offer a freed slot to the longest-waiting patient whose range and preferences cover it.
+// The slot is held for that patient until the offer expires. Nothing is offered when
+// the doctor no longer offers the slot (e.g. they have since taken leave) or is not
+// taking bookings. Returns the entry, or null.
+const offerFreedSlot = async (doctorId, { start, end, timeSlot }) => {
+    if (new Date(start) <= new Date()) {
+        return null;
+    }
+
+    const doctor = await Doctor.findById(doctorId);
+    if (!doctor || availabilityService.findBookingRestriction(doctor)) {
+        return null;
+    }
+    if (!(await availabilityService.isSlotOffered(doctor, new Date(start), timeSlot))) {
+        return null;
+    }
+
+    const slotKey = buildSlotKey(doctorId, start);
+    const candidates = await WaitlistEntry.find({
+        doctorId,
+        status: 'waiting',
+        startDate: { $lte: start },
+        endDate: { $gte: start },
+        offeredSlotKeys: { $ne: slotKey },
+        $or: [
+            { preferredTimeSlots: { $size: 0 } },
+            { preferredTimeSlots: timeSlot }
+        ]
+    }).sort({ createdAt: 1 });
+
+    for (const candidate of candidates) {
+        // Skip patients who are already busy at this time
+        const busy = await Appointment.exists({
+            patientId: candidate.patientId,
+            appointmentDate: { $lt: end },
+            endTime: { $gt: start },
+            status: { $in: ACTIVE_APPOINTMENT_STATUSES }
+        });
+        if (busy) {
+            continue;
+        }
+
+        // Offers go to the patient's phone, and could not be claimed without a verified one
+        const patient = await Patient.findById(candidate.patientId);
+        if (!patient || availabilityService.findBookingRestriction(doctor, patient)) {
+            continue;
+        }
+
+        const expiresAt = new Date(Date.now() + CLAIM_MINUTES * 60 * 1000);
+
+        try {
+            await reservationService.createHold({
+                doctorId,
+                patientId: candidate.patientId,
+                start,
+                end,
+                timeSlot,
+                expiresAt
+            });
+        } catch (error) {
+            if (error instanceof reservationService.SlotUnavailableError) {
+                // Someone else booked or held the slot first
+                return null;
+            }
+            throw error;
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        const entry = await WaitlistEntry.findOneAndUpdate(
+            { _id: candidate._id, status: 'waiting' },
+            {
+                $set: {
+                    status: 'offered',
+                    offer: {
+                        startTime: start,
+                        endTime: end,
+                        timeSlot,
+                        tokenHash: hashToken(token),
+                        expiresAt,
+                        offeredAt: new Date()
+                    }
+                },
+                $push: { offeredSlotKeys: slotKey }
+            },
+            { new: true }
+        );
+
+        if (!entry) {
+            // The patient left the waitlist in the meantime
+            await reservationService.releaseHoldForSlot(doctorId, start, candidate.patientId);
+            continue;
+        }
+
+        try {
+            const patientTimezone = patient.timezone || DEFAULT_TIMEZONE;
+            await sendWaitlistOffer(
+                patient.phone,
+                doctor.name,
+                start,
+                formatTimeRange(start, end, patientTimezone),
+                `${FRONTEND_URL}/waitlist/claim/${token}`,
+                expiresAt,
+                patientTimezone,
+                {
+                    recipient: { role: 'patient', userId: patient._id },
+                    language: patient.preferredLanguage,
+                    doctorId: doctor._id,
+                    patientId: patient._id,
+                    meta: { waitlistEntryId: entry._id },
+                    expiresAt
+                }
+            );
+        } catch (whatsappError) {
+            console.error('Waitlist offer notification failed:', whatsappError);
+        }
+
+        return entry;
+    }
+
+    return null;
+};
+
+// Put a lapsed or declined offer back to waiting and pass the slot to the next patient
+const lapseOffer = async (entry) => {
+    const { startTime, endTime, timeSlot } = entry.offer;
+
+    const lapsed = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'offered' },
+        { $set: { status: 'waiting' }, $unset: { offer: 1 } },
+        { new: true }
+    );
+    if (!lapsed) {
+        return null;
+    }
+
+    await reservationService.releaseHoldForSlot(entry.doctorId, startTime, entry.patientId);
+    return offerFreedSlot(entry.doctorId, { start: startTime, end: endTime, timeSlot });
+};
+
+// Find an offer by its claim token, checking it belongs to the patient and is still open
+const findOpenOffer = async (token, patientId) => {
+    const entry = await WaitlistEntry.findOne({
+        'offer.tokenHash': hashToken(token),
+        status: 'offered'
+    });
+
+    if (!entry) {
+        throw new WaitlistError('This offer is no longer available', 404);
+    }
+    if (entry.patientId.toString() !== patientId.toString()) {
+        throw new WaitlistError('This offer was made to another patient', 403);
+    }
+    if (entry.offer.expiresAt <= new Date()) {
+        await lapseOffer(entry);
+        throw new WaitlistError('This offer has expired', 410);
+    }
+
+    return entry;
+};
+
+// Book the offered slot for the patient
+const claimOffer = async (token, patientId) => {
+    const entry = await findOpenOffer(token, patientId);
+    const { startTime, endTime, timeSlot } = entry.offer;
+
+    const doctor = await Doctor.findById(entry.doctorId);
+    const patient = await Patient.findById(patientId);
+    if (!doctor || !patient) {
+        throw new WaitlistError('Doctor or patient no longer exists', 404);
+    }
+
+    // The doctor may have been suspended or lost verification since the offer went out
+    const restriction = availabilityService.findBookingRestriction(doctor, patient);
+    if (restriction) {
+        throw new WaitlistError(restriction.message, 403);
+    }
+
+    // Run the booking checks again: the doctor may have stopped offering the slot, or
+    // the patient may have booked something else at that time since the offer went
+    // out. The offer then goes to the next patient.
+    const { conflict } = await availabilityService.findSlotConflict(doctor, patientId, startTime, timeSlot);
+    if (conflict) {
+        await lapseOffer(entry);
+        throw new WaitlistError(conflict.message, 409);
+    }
+
+    const returningPatient = await Appointment.exists({ doctorId: doctor._id, patientId });
+
+    const appointment = new Appointment({
+        doctorId: doctor._id,
+        patientId,
+        appointmentDate: startTime,
+        endTime,
+        timezone: doctor.timezone || DEFAULT_TIMEZONE,
+        timeSlot,
+        symptoms: entry.symptoms,
+        consultationType: entry.consultationType,
+        status: 'scheduled'
+    });
+
+    try {
+        await appointment.save();
+    } catch (error) {
+        if (isSlotKeyConflict(error)) {
+            throw new WaitlistError('This slot has already been booked', 409);
+        }
+        throw error;
+    }
+
+    if (!returningPatient) {
+        await Doctor.findByIdAndUpdate(doctor._id, { $inc: { totalPatients: 1 } });
+    }
+
+    await reservationService.releaseHoldForSlot(doctor._id, startTime, patientId);
+
+    entry.status = 'claimed';
+    entry.appointmentId = appointment._id;
+    await entry.save();
+
+    try {
+        const patientTimezone = patient.timezone || DEFAULT_TIMEZONE;
+        await sendAppointmentConfirmation(
+            patient.phone,
+            doctor.name,
+            startTime,
+            formatTimeRange(startTime, endTime, patientTimezone),
+            appointment.meetingLink,
+            patientTimezone,
+            appointment.consultationType,
+            {
+                recipient: { role: 'patient', userId: patient._id },
+                language: patient.preferredLanguage,
+                doctorId: doctor._id,
+                patientId: patient._id,
+                appointmentId: appointment._id
+            }
+        );
+    } catch (whatsappError) {
+        console.error('WhatsApp notification failed:', whatsappError);
+    }
+
+    emailService.sendAppointmentEmails(appointment, 'confirmed').catch(error => {
+        console.error('Appointment email error:', error);
+    });
+    doctorNotificationService.notifyNewBooking(appointment).catch(error => {
+        console.error('Doctor booking notice error:', error);
+    });
+
+    return { entry, appointment };
+};
+
+// Turn down an offer so it goes to the next patient; the entry stays on the waitlist
+const declineOffer = async (token, patientId) => {
+    const entry = await findOpenOffer(token, patientId);
+    await lapseOffer(entry);
+    return WaitlistEntry.findById(entry._id);
+};
+
+// Take an entry off the waitlist, passing any open offer to the next patient
+const cancelEntry = async (entry) => {
+    if (entry.status === 'offered') {
+        await lapseOffer(entry);
+    }
+    return WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: { $in: ['waiting', 'offered'] } },
+        { $set: { status: 'cancelled' } },
+        { new: true }
+    );
+};
+
+// Pass lapsed offers on and close entries whose date range has passed
+const sweepWaitlist = async () => {
+    const now = new Date();
+
+    const lapsedOffers = await WaitlistEntry.find({
+        status: 'offered',
+        'offer.expiresAt': { $lte: now }
+    });
+    for (const entry of lapsedOffers) {
+        await lapseOffer(entry);
+    }
+
+    await WaitlistEntry.updateMany(
+        { status: 'waiting', endDate: { $lt: now } },
+        { $set: { status: 'expired' } }
+    );
+};
+
+// Run the waitlist sweep periodically in this process
+const startWaitlistSweeper = () => {
+    const timer = setInterval(() => {
+        sweepWaitlist().catch(error => {
+            console.error('Waitlist sweep error:', error);
+        });
+    }, SWEEP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    CLAIM_MINUTES,
+    WaitlistError,
+    offerFreedSlot,
+    claimOffer,
+    declineOffer,
+    cancelEntry,
+    sweepWaitlist,
+    startWaitlistSweeper
+};
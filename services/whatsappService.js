@@ -1,158 +1,176 @@
-const fetch = require('node-fetch');
-
-// Send appointment confirmation via WhatsApp
-const sendAppointmentConfirmation = async (phone, doctorName, date, time, meetingLink) => {
-    try {
-        const message = `🏥 *Healthcare Appointment Confirmed!*
-
-👨‍⚕️ *Doctor:* Dr. ${doctorName}
-📅 *Date:* ${new Date(date).toLocaleDateString('en-US', {
-            weekday: 'long',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        })}
-⏰ *Time:* ${time}
-💻 *Consultation Type:* Video Call
-
-🔗 *Join Meeting:* ${meetingLink}
-
-📝 *Instructions:*
-- Join the meeting 5 minutes before your appointment
-- Ensure you have a stable internet connection
-- Keep your medical documents ready
-
-Thank you for choosing our healthcare platform! 🙏`;
-
-        const apiKey = process.env.CALLMEBOT_API_KEY;
-        if (!apiKey) {
-            throw new Error('CallMeBot API key not configured');
-        }
-
-        // Format phone number (remove any non-digits and add country code if needed)
-        const formattedPhone = phone.replace(/\D/g, '');
-        
-        const url = `https://api.callmebot.com/whatsapp.php?phone=${formattedPhone}&text=${encodeURIComponent(message)}&apikey=${apiKey}`;
-        
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            throw new Error(`WhatsApp API error: ${response.status}`);
-        }
-
-        console.log(`✅ WhatsApp confirmation sent to ${phone}`);
-        return true;
-
-    } catch (error) {
-        console.error('❌ WhatsApp notification failed:', error.message);
-        throw error;
-    }
+const { enqueueNotification } = require('./notificationService');
+const { renderNotification } = require('./templateService');
+const { DEFAULT_TIMEZONE, formatDate, formatTime, formatZoneName, formatTimeRange } = require('../utils/timezone');
+const { formatConsultationType } = require('../utils/consultationType');
+const { formatCancellationCategory } = require('../utils/cancellationCategory');
+const { formatReplyProblem } = require('../utils/replyProblem');
+const { toIntlLocale, formatTimeAhead } = require('../utils/language');
+
+// WhatsApp messages are rendered from the notification templates in the
+// recipient's language, written to the notification outbox and delivered by its
+// worker. context carries the recipient's role and userId, their language, the
+// related doctorId, patientId and appointmentId, and optionally meta and a dedupeKey.
+const queueWhatsApp = async (type, phone, buildVariables, { recipient = {}, language, meta = {}, ...context } = {}) => {
+    const rendered = await renderNotification('whatsapp', type, language, buildVariables);
+    return enqueueNotification({
+        ...context,
+        channel: 'whatsapp',
+        type,
+        recipient: { ...recipient, phone },
+        message: { text: rendered.text },
+        meta: { ...meta, language: rendered.language }
+    });
 };
 
-// Send appointment reminder
-const sendAppointmentReminder = async (phone, doctorName, date, time, meetingLink) => {
-    try {
-        const message = `⏰ *Appointment Reminder*
-
-Your appointment with Dr. ${doctorName} is tomorrow!
-
-📅 *Date:* ${new Date(date).toLocaleDateString()}
-⏰ *Time:* ${time}
-🔗 *Meeting Link:* ${meetingLink}
-
-Please be ready 5 minutes before your scheduled time. 
-
-See you soon! 👋`;
-
-        const apiKey = process.env.CALLMEBOT_API_KEY;
-        const formattedPhone = phone.replace(/\D/g, '');
-        
-        const url = `https://api.callmebot.com/whatsapp.php?phone=${formattedPhone}&text=${encodeURIComponent(message)}&apikey=${apiKey}`;
-        
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            throw new Error(`WhatsApp API error: ${response.status}`);
-        }
-
-        console.log(`✅ WhatsApp reminder sent to ${phone}`);
-        return true;
-
-    } catch (error) {
-        console.error('❌ WhatsApp reminder failed:', error.message);
-        throw error;
-    }
+// Send appointment confirmation via WhatsApp (date and time rendered in the recipient's timezone)
+const sendAppointmentConfirmation = (phone, doctorName, date, time, meetingLink, timeZone = DEFAULT_TIMEZONE, consultationType = 'video', context = {}) => {
+    return queueWhatsApp('appointment_confirmation', phone, (language) => ({
+        doctorName,
+        date: formatDate(date, timeZone, toIntlLocale(language)),
+        time,
+        consultationType: formatConsultationType(consultationType, language),
+        meetingLink
+    }), context);
 };
 
-// Send appointment cancellation notification
-const sendAppointmentCancellation = async (phone, doctorName, date, time, reason = '') => {
-    try {
-        const message = `❌ *Appointment Cancelled*
-
-Your appointment with Dr. ${doctorName} has been cancelled.
-
-📅 *Date:* ${new Date(date).toLocaleDateString()}
-⏰ *Time:* ${time}
-${reason ? `📝 *Reason:* ${reason}` : ''}
-
-Please book a new appointment if needed.
-
-Thank you for your understanding. 🙏`;
-
-        const apiKey = process.env.CALLMEBOT_API_KEY;
-        const formattedPhone = phone.replace(/\D/g, '');
-        
-        const url = `https://api.callmebot.com/whatsapp.php?phone=${formattedPhone}&text=${encodeURIComponent(message)}&apikey=${apiKey}`;
-        
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            throw new Error(`WhatsApp API error: ${response.status}`);
-        }
+// Send appointment reminder (minutesAhead is how far off the appointment is)
+const sendAppointmentReminder = (phone, doctorName, date, time, meetingLink, timeZone = DEFAULT_TIMEZONE, minutesAhead = 1440, context = {}) => {
+    return queueWhatsApp('appointment_reminder', phone, (language) => ({
+        doctorName,
+        date: formatDate(date, timeZone, toIntlLocale(language)),
+        time,
+        meetingLink,
+        startsIn: formatTimeAhead(minutesAhead, language)
+    }), context);
+};
 
-        console.log(`✅ WhatsApp cancellation sent to ${phone}`);
-        return true;
+// Send appointment cancellation notification (withName is who the appointment
+// was with, category one of the cancellation categories)
+const sendAppointmentCancellation = (phone, withName, date, time, category, reason = '', timeZone = DEFAULT_TIMEZONE, context = {}) => {
+    const forPatient = Boolean(context.recipient && context.recipient.role === 'patient');
+    return queueWhatsApp('appointment_cancelled', phone, (language) => ({
+        withName,
+        date: formatDate(date, timeZone, toIntlLocale(language)),
+        time,
+        category: formatCancellationCategory(category, language),
+        reason,
+        forPatient
+    }), context);
+};
 
-    } catch (error) {
-        console.error('❌ WhatsApp cancellation failed:', error.message);
-        throw error;
-    }
+// Send appointment rescheduled notification (withName is who the appointment is with)
+const sendAppointmentRescheduled = (phone, withName, previousDate, previousTime, newDate, newTime, reason = '', timeZone = DEFAULT_TIMEZONE, context = {}) => {
+    return queueWhatsApp('appointment_rescheduled', phone, (language) => ({
+        withName,
+        previousDate: formatDate(previousDate, timeZone, toIntlLocale(language)),
+        previousTime,
+        date: formatDate(newDate, timeZone, toIntlLocale(language)),
+        time: newTime,
+        reason
+    }), context);
 };
 
 // Send meeting link
-const sendMeetingLink = async (phone, doctorName, meetingLink) => {
-    try {
-        const message = `🔗 *Meeting Link Ready*
+const sendMeetingLink = (phone, doctorName, meetingLink, context = {}) => {
+    return queueWhatsApp('meeting_link', phone, () => ({
+        doctorName,
+        meetingLink
+    }), context);
+};
 
-Dr. ${doctorName} is ready for your consultation.
+// Offer a freed slot to a waitlisted patient
+const sendWaitlistOffer = (phone, doctorName, date, time, claimLink, expiresAt, timeZone = DEFAULT_TIMEZONE, context = {}) => {
+    return queueWhatsApp('waitlist_offer', phone, (language) => ({
+        doctorName,
+        date: formatDate(date, timeZone, toIntlLocale(language)),
+        time,
+        claimLink,
+        expiresAt: `${formatTime(expiresAt, timeZone)} ${formatZoneName(expiresAt, timeZone)}`
+    }), context);
+};
 
-💻 *Join Now:* ${meetingLink}
+// Tell a doctor about a new booking
+const sendNewBookingNotice = (phone, patientName, date, time, consultationType, symptoms = '', timeZone = DEFAULT_TIMEZONE, context = {}) => {
+    return queueWhatsApp('new_booking', phone, (language) => ({
+        patientName,
+        date: formatDate(date, timeZone, toIntlLocale(language)),
+        time,
+        consultationType: formatConsultationType(consultationType, language),
+        symptoms
+    }), context);
+};
 
-Click the link to join your video consultation. 👨‍⚕️`;
+// Tell a doctor a patient has rated a consultation
+const sendNewRatingNotice = (phone, patientName, date, score, feedback = '', timeZone = DEFAULT_TIMEZONE, context = {}) => {
+    return queueWhatsApp('new_rating', phone, (language) => ({
+        patientName,
+        date: formatDate(date, timeZone, toIntlLocale(language)),
+        score,
+        feedback
+    }), context);
+};
 
-        const apiKey = process.env.CALLMEBOT_API_KEY;
-        const formattedPhone = phone.replace(/\D/g, '');
-        
-        const url = `https://api.callmebot.com/whatsapp.php?phone=${formattedPhone}&text=${encodeURIComponent(message)}&apikey=${apiKey}`;
-        
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            throw new Error(`WhatsApp API error: ${response.status}`);
-        }
+// Send a doctor the list of a day's appointments ({ start, end, patientName, consultationType })
+const sendDailyAgenda = (phone, date, appointments, timeZone = DEFAULT_TIMEZONE, context = {}) => {
+    return queueWhatsApp('daily_agenda', phone, (language) => ({
+        date: formatDate(date, timeZone, toIntlLocale(language)),
+        count: appointments.length,
+        agenda: appointments
+            .map(({ start, end, patientName, consultationType }) =>
+                `• ${formatTimeRange(start, end, timeZone)} – ${patientName} (${formatConsultationType(consultationType, language)})`)
+            .join('\n')
+    }), context);
+};
 
-        console.log(`✅ WhatsApp meeting link sent to ${phone}`);
-        return true;
+// Answer a patient's WhatsApp reply (type is one of the reply_* templates).
+// appointment is { doctorName, start, end } when there is one to mention,
+// options the { start, end } slots offered for rescheduling, and problem a key
+// from utils/replyProblem explaining why the reply could not be acted on.
+const sendInboundReply = (phone, type, { appointment, options = [], problem } = {}, timeZone = DEFAULT_TIMEZONE, context = {}) => {
+    return queueWhatsApp(type, phone, (language) => {
+        const locale = toIntlLocale(language);
+        return {
+            doctorName: appointment ? appointment.doctorName : undefined,
+            date: appointment ? formatDate(appointment.start, timeZone, locale) : undefined,
+            time: appointment ? formatTimeRange(appointment.start, appointment.end, timeZone) : undefined,
+            options: options
+                .map(({ start, end }, index) => `${index + 1}. ${formatDate(start, timeZone, locale)}, ${formatTimeRange(start, end, timeZone)}`)
+                .join('\n'),
+            problem: problem ? formatReplyProblem(problem, language) : undefined
+        };
+    }, context);
+};
+
+// Send a password reset link that expires in minutesAhead minutes. Like the other
+// account messages, context should not set doctorId or patientId.
+const sendPasswordReset = (phone, name, resetLink, minutesAhead, context = {}) => {
+    return queueWhatsApp('password_reset', phone, (language) => ({
+        name,
+        resetLink,
+        expiresIn: formatTimeAhead(minutesAhead, language)
+    }), context);
+};
 
-    } catch (error) {
-        console.error('❌ WhatsApp meeting link failed:', error.message);
-        throw error;
-    }
+// Send a code that verifies the phone number, expiring in minutesAhead minutes
+const sendPhoneVerification = (phone, name, code, minutesAhead, context = {}) => {
+    return queueWhatsApp('phone_verification', phone, (language) => ({
+        name,
+        code,
+        expiresIn: formatTimeAhead(minutesAhead, language)
+    }), context);
 };
 
 module.exports = {
     sendAppointmentConfirmation,
     sendAppointmentReminder,
     sendAppointmentCancellation,
-    sendMeetingLink
+    sendAppointmentRescheduled,
+    sendMeetingLink,
+    sendWaitlistOffer,
+    sendNewBookingNotice,
+    sendNewRatingNotice,
+    sendDailyAgenda,
+    sendInboundReply,
+    sendPasswordReset,
+    sendPhoneVerification
 };
@@ -0,0 +1,54 @@
+// Every status an appointment can be in
+const APPOINTMENT_STATUSES = ['scheduled', 'ongoing', 'completed', 'cancelled', 'no-show'];
+
+// Statuses each status may move to. Completed, cancelled and no-show are final.
+const STATUS_TRANSITIONS = {
+    scheduled: ['ongoing', 'completed', 'cancelled', 'no-show'],
+    ongoing: ['completed', 'cancelled'],
+    completed: [],
+    cancelled: [],
+    'no-show': []
+};
+
+// How long before its booked start a doctor can start a consultation
+const CONSULTATION_EARLY_START_MINUTES = parseInt(process.env.CONSULTATION_EARLY_START_MINUTES, 10) || 15;
+
+// Error raised for a status change the state machine does not allow
+class StatusTransitionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'StatusTransitionError';
+        this.status = status;
+    }
+}
+
+const canTransition = (from, to) => {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Throw a StatusTransitionError unless an appointment may move from one status to another
+const assertTransition = (from, to) => {
+    if (!APPOINTMENT_STATUSES.includes(to)) {
+        throw new StatusTransitionError(`Unknown status "${to}"`);
+    }
+    if (from === to) {
+        throw new StatusTransitionError(`Appointment is already ${to}`);
+    }
+    if (!canTransition(from, to)) {
+        const allowed = STATUS_TRANSITIONS[from] || [];
+        throw new StatusTransitionError(
+            allowed.length > 0
+                ? `Cannot change a ${from} appointment to ${to}; allowed: ${allowed.join(', ')}`
+                : `Cannot change a ${from} appointment to ${to}; ${from} is final`
+        );
+    }
+};
+
+module.exports = {
+    APPOINTMENT_STATUSES,
+    STATUS_TRANSITIONS,
+    CONSULTATION_EARLY_START_MINUTES,
+    StatusTransitionError,
+    canTransition,
+    assertTransition
+};
@@ -0,0 +1,43 @@
+// Why an appointment was cancelled, with human-readable names per language
+const CANCELLATION_CATEGORY_LABELS = {
+    schedule_conflict: 'Schedule conflict',
+    feeling_better: 'Feeling better',
+    doctor_unavailable: 'Doctor unavailable',
+    emergency: 'Emergency',
+    booked_by_mistake: 'Booked by mistake',
+    other: 'Other'
+};
+
+const CANCELLATION_CATEGORIES = Object.keys(CANCELLATION_CATEGORY_LABELS);
+
+const LOCALIZED_CANCELLATION_CATEGORY_LABELS = {
+    en: CANCELLATION_CATEGORY_LABELS,
+    hi: {
+        schedule_conflict: 'समय का टकराव',
+        feeling_better: 'तबीयत में सुधार',
+        doctor_unavailable: 'डॉक्टर उपलब्ध नहीं',
+        emergency: 'आपातकाल',
+        booked_by_mistake: 'गलती से बुक हुआ',
+        other: 'अन्य'
+    },
+    ta: {
+        schedule_conflict: 'நேர முரண்பாடு',
+        feeling_better: 'உடல்நிலை சரியானது',
+        doctor_unavailable: 'மருத்துவர் கிடைக்கவில்லை',
+        emergency: 'அவசரநிலை',
+        booked_by_mistake: 'தவறுதலாக முன்பதிவு செய்யப்பட்டது',
+        other: 'மற்றவை'
+    }
+};
+
+// Falls back to English for languages without translated labels
+const formatCancellationCategory = (category, language = 'en') => {
+    const labels = LOCALIZED_CANCELLATION_CATEGORY_LABELS[language] || CANCELLATION_CATEGORY_LABELS;
+    return labels[category] || '';
+};
+
+module.exports = {
+    CANCELLATION_CATEGORIES,
+    CANCELLATION_CATEGORY_LABELS,
+    formatCancellationCategory
+};
@@ -0,0 +1,31 @@
+// Human-readable names of the consultation types, per language
+const CONSULTATION_TYPE_LABELS = {
+    video: 'Video Call',
+    audio: 'Audio Call',
+    chat: 'Chat'
+};
+
+const LOCALIZED_CONSULTATION_TYPE_LABELS = {
+    en: CONSULTATION_TYPE_LABELS,
+    hi: {
+        video: 'वीडियो कॉल',
+        audio: 'ऑडियो कॉल',
+        chat: 'चैट'
+    },
+    ta: {
+        video: 'வீடியோ அழைப்பு',
+        audio: 'ஆடியோ அழைப்பு',
+        chat: 'அரட்டை'
+    }
+};
+
+// Falls back to English for languages without translated labels
+const formatConsultationType = (type, language = 'en') => {
+    const labels = LOCALIZED_CONSULTATION_TYPE_LABELS[language] || CONSULTATION_TYPE_LABELS;
+    return labels[type] || labels.video;
+};
+
+module.exports = {
+    CONSULTATION_TYPE_LABELS,
+    formatConsultationType
+};
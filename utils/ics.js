@@ -0,0 +1,96 @@
+// Minimal iCalendar (RFC 5545) event builder for appointment invites
+
+const PRODUCT_ID = '-//HealthChat Nexus//Appointments//EN';
+
+// 20261019T093000Z
+const formatIcsDate = (instant) => {
+    return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+const escapeIcsText = (text) => {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+};
+
+// Parameter values such as CN are quoted instead of escaped, and cannot contain quotes
+const quoteIcsParam = (value) => `"${String(value || '').replace(/"/g, "'")}"`;
+
+// Lines longer than 75 octets are continued on the next line after a space
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+// Build a calendar event. Sending the same uid with a higher sequence updates the
+// recipient's entry; method CANCEL removes it.
+const buildCalendarEvent = ({
+    uid,
+    sequence = 0,
+    method = 'REQUEST',
+    start,
+    end,
+    summary,
+    description,
+    location,
+    url,
+    organizer,
+    attendee
+}) => {
+    const cancelled = method === 'CANCEL';
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${formatIcsDate(new Date())}`,
+        `DTSTART:${formatIcsDate(start)}`,
+        `DTEND:${formatIcsDate(end)}`,
+        `SUMMARY:${escapeIcsText(summary)}`
+    ];
+
+    if (description) {
+        lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+    }
+    if (location) {
+        lines.push(`LOCATION:${escapeIcsText(location)}`);
+    }
+    if (url) {
+        lines.push(`URL:${url}`);
+    }
+    if (organizer) {
+        lines.push(`ORGANIZER;CN=${quoteIcsParam(organizer.name)}:mailto:${organizer.email}`);
+    }
+    if (attendee) {
+        lines.push(`ATTENDEE;CN=${quoteIcsParam(attendee.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:${attendee.email}`);
+    }
+
+    lines.push(
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    );
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    formatIcsDate,
+    escapeIcsText,
+    buildCalendarEvent
+};
@@ -0,0 +1,42 @@
+// Languages notifications can be written in, with the Intl locale used to format dates
+const SUPPORTED_LANGUAGES = {
+    en: 'en-US',
+    hi: 'hi-IN',
+    ta: 'ta-IN',
+    te: 'te-IN',
+    kn: 'kn-IN',
+    ml: 'ml-IN',
+    mr: 'mr-IN',
+    bn: 'bn-IN',
+    gu: 'gu-IN'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const isSupportedLanguage = (language) => Object.prototype.hasOwnProperty.call(SUPPORTED_LANGUAGES, language);
+
+// A supported language code, falling back to the default
+const resolveLanguage = (language) => (isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE);
+
+const toIntlLocale = (language) => SUPPORTED_LANGUAGES[resolveLanguage(language)];
+
+// "tomorrow", "in 1 hour", "कल", "1 घंटे में" for a number of minutes ahead
+const formatTimeAhead = (minutes, language = DEFAULT_LANGUAGE) => {
+    const formatter = new Intl.RelativeTimeFormat(toIntlLocale(language), { numeric: 'auto' });
+    if (minutes % 1440 === 0) {
+        return formatter.format(minutes / 1440, 'day');
+    }
+    if (minutes % 60 === 0) {
+        return formatter.format(minutes / 60, 'hour');
+    }
+    return formatter.format(minutes, 'minute');
+};
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    isSupportedLanguage,
+    resolveLanguage,
+    toIntlLocale,
+    formatTimeAhead
+};
@@ -0,0 +1,178 @@
+const {
+    DEFAULT_TIMEZONE,
+    toDateKey,
+    addDays,
+    zonedTimeToUtc,
+    formatTime
+} = require('./timezone');
+
+// Notification types a user can switch off individually
+const NOTIFICATION_TYPES = [
+    'appointment_confirmation',
+    'appointment_reminder',
+    'appointment_cancelled',
+    'appointment_rescheduled',
+    'meeting_link',
+    'waitlist_offer',
+    'new_booking',
+    'new_rating',
+    'daily_agenda'
+];
+
+// Sent even during quiet hours: the consultation is starting right now
+const QUIET_HOURS_EXEMPT_TYPES = ['meeting_link'];
+
+// Messages that prove the user owns a phone number or email address, so they go
+// to contacts that are not verified yet
+const VERIFICATION_TYPES = ['phone_verification', 'email_verification'];
+
+// Account security messages the user has asked for themselves
+const ACCOUNT_TYPES = ['password_reset', ...VERIFICATION_TYPES];
+
+const isReplyType = (type) => String(type || '').startsWith('reply_');
+
+// Delivered whatever the preferences say: replies to a WhatsApp message the user
+// has just sent, and account messages they are waiting for
+const isAlwaysDelivered = (type) => isReplyType(type) || ACCOUNT_TYPES.includes(type);
+
+// The flag on a doctor or patient saying the contact a channel uses is verified
+const CONTACT_VERIFIED_FIELDS = {
+    whatsapp: 'phoneVerified',
+    email: 'emailVerified'
+};
+
+// Why a notification was not sent
+const SUPPRESSION_REASONS = ['opted_out', 'channel_disabled', 'type_disabled', 'quiet_hours', 'unverified_contact'];
+
+// Schema definition shared by the Patient and Doctor models
+const notificationPreferencesDefinition = {
+    // Stops every notification, whatever the other settings say
+    optOut: {
+        type: Boolean,
+        default: false
+    },
+    channels: {
+        whatsapp: {
+            type: Boolean,
+            default: true
+        },
+        email: {
+            type: Boolean,
+            default: true
+        }
+    },
+    disabledTypes: [{
+        type: String,
+        enum: NOTIFICATION_TYPES
+    }],
+    // Messages are held back until the end of quiet hours, in the user's timezone
+    quietHours: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        start: {
+            type: String,
+            default: '22:00',
+            match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'Quiet hours must use HH:MM']
+        },
+        end: {
+            type: String,
+            default: '07:00',
+            match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'Quiet hours must use HH:MM']
+        }
+    }
+};
+
+// Dotted $set paths for a partial preferences update, so settings that are not
+// mentioned keep their current values
+const toPreferenceUpdates = (preferences = {}) => {
+    const updates = {};
+    if (preferences.optOut !== undefined) {
+        updates['notificationPreferences.optOut'] = preferences.optOut;
+    }
+    ['whatsapp', 'email'].forEach(channel => {
+        if (preferences.channels && preferences.channels[channel] !== undefined) {
+            updates[`notificationPreferences.channels.${channel}`] = preferences.channels[channel];
+        }
+    });
+    if (preferences.disabledTypes !== undefined) {
+        updates['notificationPreferences.disabledTypes'] = preferences.disabledTypes;
+    }
+    ['enabled', 'start', 'end'].forEach(field => {
+        if (preferences.quietHours && preferences.quietHours[field] !== undefined) {
+            updates[`notificationPreferences.quietHours.${field}`] = preferences.quietHours[field];
+        }
+    });
+    return updates;
+};
+
+// When the quiet hours around an instant end, or null when it is not inside them.
+// Quiet hours such as 22:00-07:00 run past midnight.
+const getQuietHoursEnd = (quietHours, timeZone = DEFAULT_TIMEZONE, now = new Date()) => {
+    if (!quietHours || !quietHours.enabled || !quietHours.start || !quietHours.end || quietHours.start === quietHours.end) {
+        return null;
+    }
+
+    const { start, end } = quietHours;
+    const time = formatTime(now, timeZone);
+    const inside = start < end
+        ? time >= start && time < end
+        : time >= start || time < end;
+    if (!inside) {
+        return null;
+    }
+
+    const today = toDateKey(now, timeZone);
+    return zonedTimeToUtc(start > end && time >= start ? addDays(today, 1) : today, end, timeZone);
+};
+
+// Whether a person wants a notification now. Resolves to { allowed, reason } for
+// suppressed sends, or { allowed, sendAt } when it has to wait for the end of
+// quiet hours. A message that would only arrive after expiresAt is suppressed.
+// Nothing but verification messages and replies goes to an unverified phone or
+// email; past that, replies and account messages always go out.
+const checkNotificationPreferences = (person, { channel, type, expiresAt, now = new Date() }) => {
+    const verifiedField = CONTACT_VERIFIED_FIELDS[channel];
+    if (person && verifiedField && person[verifiedField] !== true &&
+        !VERIFICATION_TYPES.includes(type) && !isReplyType(type)) {
+        return { allowed: false, reason: 'unverified_contact' };
+    }
+
+    const preferences = person && person.notificationPreferences;
+    if (!preferences || isAlwaysDelivered(type)) {
+        return { allowed: true };
+    }
+
+    if (preferences.optOut) {
+        return { allowed: false, reason: 'opted_out' };
+    }
+    if (preferences.channels && preferences.channels[channel] === false) {
+        return { allowed: false, reason: 'channel_disabled' };
+    }
+    if ((preferences.disabledTypes || []).includes(type)) {
+        return { allowed: false, reason: 'type_disabled' };
+    }
+
+    if (!QUIET_HOURS_EXEMPT_TYPES.includes(type)) {
+        const quietUntil = getQuietHoursEnd(preferences.quietHours, person.timezone || DEFAULT_TIMEZONE, now);
+        if (quietUntil) {
+            if (expiresAt && quietUntil >= new Date(expiresAt)) {
+                return { allowed: false, reason: 'quiet_hours' };
+            }
+            return { allowed: true, sendAt: quietUntil };
+        }
+    }
+
+    return { allowed: true };
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    ACCOUNT_TYPES,
+    SUPPRESSION_REASONS,
+    notificationPreferencesDefinition,
+    toPreferenceUpdates,
+    getQuietHoursEnd,
+    checkNotificationPreferences
+};
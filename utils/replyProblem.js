@@ -0,0 +1,42 @@
+// Why a patient's WhatsApp reply could not be acted on, worded per language
+const REPLY_PROBLEM_LABELS = {
+    not_understood: 'Sorry, we did not understand your reply.',
+    no_appointment: 'You have no upcoming appointments.',
+    cannot_reschedule: 'This appointment can no longer be rescheduled.',
+    no_free_times: 'There are no free times to move this appointment to. Please reschedule it in the app.',
+    option_expired: 'That choice is no longer available. Reply RESCHEDULE to see the latest free times.',
+    option_taken: 'That time was just taken. Reply RESCHEDULE to see the latest free times.'
+};
+
+const REPLY_PROBLEMS = Object.keys(REPLY_PROBLEM_LABELS);
+
+const LOCALIZED_REPLY_PROBLEM_LABELS = {
+    en: REPLY_PROBLEM_LABELS,
+    hi: {
+        not_understood: 'क्षमा करें, हम आपका जवाब समझ नहीं पाए।',
+        no_appointment: 'आपका कोई आने वाला अपॉइंटमेंट नहीं है।',
+        cannot_reschedule: 'इस अपॉइंटमेंट का समय अब बदला नहीं जा सकता।',
+        no_free_times: 'इस अपॉइंटमेंट के लिए कोई खाली समय नहीं है। कृपया ऐप में समय बदलें।',
+        option_expired: 'यह विकल्प अब उपलब्ध नहीं है। नए खाली समय देखने के लिए RESCHEDULE लिखें।',
+        option_taken: 'यह समय अभी-अभी बुक हो गया। नए खाली समय देखने के लिए RESCHEDULE लिखें।'
+    },
+    ta: {
+        not_understood: 'மன்னிக்கவும், உங்கள் பதில் எங்களுக்குப் புரியவில்லை.',
+        no_appointment: 'உங்களுக்கு வரவிருக்கும் சந்திப்புகள் எதுவும் இல்லை.',
+        cannot_reschedule: 'இந்த சந்திப்பின் நேரத்தை இனி மாற்ற முடியாது.',
+        no_free_times: 'இந்த சந்திப்பை மாற்ற காலியான நேரங்கள் இல்லை. செயலியில் நேரத்தை மாற்றவும்.',
+        option_expired: 'இந்தத் தேர்வு இனி கிடைக்காது. புதிய காலி நேரங்களைப் பார்க்க RESCHEDULE என அனுப்பவும்.',
+        option_taken: 'இந்த நேரம் இப்போதுதான் முன்பதிவு செய்யப்பட்டது. புதிய காலி நேரங்களைப் பார்க்க RESCHEDULE என அனுப்பவும்.'
+    }
+};
+
+// Falls back to English for languages without translated labels
+const formatReplyProblem = (problem, language = 'en') => {
+    const labels = LOCALIZED_REPLY_PROBLEM_LABELS[language] || REPLY_PROBLEM_LABELS;
+    return labels[problem] || '';
+};
+
+module.exports = {
+    REPLY_PROBLEMS,
+    formatReplyProblem
+};
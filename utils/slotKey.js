@@ -0,0 +1,18 @@
+// Statuses in which an appointment occupies its slot
+const ACTIVE_APPOINTMENT_STATUSES = ['scheduled', 'ongoing'];
+
+// Key identifying one doctor's slot at an absolute start instant. Unique indexes on
+// this key let MongoDB reject a second booking or hold of the same slot.
+const buildSlotKey = (doctorId, start) => `${doctorId}|${new Date(start).toISOString()}`;
+
+// Whether a MongoDB error is a unique index violation on the slot key
+const isSlotKeyConflict = (error) => {
+    return Boolean(error) && error.code === 11000 &&
+        Boolean(error.keyPattern && error.keyPattern.slotKey);
+};
+
+module.exports = {
+    ACTIVE_APPOINTMENT_STATUSES,
+    buildSlotKey,
+    isSlotKeyConflict
+};
@@ -0,0 +1,28 @@
+// Tiny placeholder templates: {{name}} inserts a variable and
+// {{#name}}...{{/name}} keeps its content only when the variable is set
+
+const SECTION_REGEX = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const VARIABLE_REGEX = /\{\{\s*(\w+)\s*\}\}/g;
+
+const isSet = (value) => value !== undefined && value !== null && value !== '' && value !== false;
+
+const renderTemplate = (template, variables = {}) => {
+    return String(template || '')
+        .replace(SECTION_REGEX, (match, name, content) => (isSet(variables[name]) ? content : ''))
+        .replace(VARIABLE_REGEX, (match, name) => (isSet(variables[name]) ? String(variables[name]) : ''));
+};
+
+// Names of every variable and section used in a template
+const listPlaceholders = (template) => {
+    const names = new Set();
+    const text = String(template || '');
+    for (const [, name] of text.matchAll(/\{\{[#/]?\s*(\w+)\s*\}\}/g)) {
+        names.add(name);
+    }
+    return [...names];
+};
+
+module.exports = {
+    renderTemplate,
+    listPlaceholders
+};
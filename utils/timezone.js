@@ -0,0 +1,183 @@
+// Timezone helpers built on Intl, so slot strings like "09:00-09:30" can be
+// resolved to absolute instants in a doctor's zone and rendered in a viewer's zone.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Check that a string is an IANA timezone known to the runtime
+const isValidTimezone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Split an instant into calendar fields as seen in a timezone
+const getZonedParts = (instant, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(instant));
+
+    const values = {};
+    parts.forEach(part => {
+        if (part.type !== 'literal') {
+            values[part.type] = Number(part.value);
+        }
+    });
+    return values;
+};
+
+// Offset of a timezone from UTC at a given instant, in minutes
+const getOffsetMinutes = (instant, timeZone) => {
+    const date = new Date(instant);
+    const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    return Math.round((asUtc - (date.getTime() - date.getMilliseconds())) / 60000);
+};
+
+// Calendar date ("YYYY-MM-DD") of an instant in a timezone
+const toDateKey = (instant, timeZone = DEFAULT_TIMEZONE) => {
+    const { year, month, day } = getZonedParts(instant, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Normalise a date input to a calendar date in a timezone. Plain "YYYY-MM-DD"
+// strings are taken as-is; full timestamps are read in the given zone.
+const normalizeDateKey = (date, timeZone = DEFAULT_TIMEZONE) => {
+    if (typeof date === 'string' && DATE_KEY_REGEX.test(date)) {
+        return date;
+    }
+    return toDateKey(date, timeZone);
+};
+
+// Shift a calendar date by a number of days
+const addDays = (dateKey, days) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// Weekday name ("Monday") of a calendar date
+const getWeekday = (dateKey) => {
+    return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', {
+        weekday: 'long',
+        timeZone: 'UTC'
+    });
+};
+
+// Absolute instant of a wall-clock time ("HH:MM") on a calendar date in a timezone
+const zonedTimeToUtc = (dateKey, time, timeZone = DEFAULT_TIMEZONE) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // Re-check the offset at the candidate instant to handle DST transitions
+    const offset = getOffsetMinutes(wallClock, timeZone);
+    let instant = wallClock - offset * 60000;
+    const correctedOffset = getOffsetMinutes(instant, timeZone);
+    if (correctedOffset !== offset) {
+        instant = wallClock - correctedOffset * 60000;
+    }
+    return new Date(instant);
+};
+
+// Start and end instants of a calendar date in a timezone
+const getZonedDayBounds = (dateKey, timeZone = DEFAULT_TIMEZONE) => ({
+    start: zonedTimeToUtc(dateKey, '00:00', timeZone),
+    end: new Date(zonedTimeToUtc(addDays(dateKey, 1), '00:00', timeZone).getTime() - 1)
+});
+
+// Resolve an "HH:MM-HH:MM" slot on a calendar date to absolute start/end instants
+const resolveSlot = (dateKey, timeSlot, timeZone = DEFAULT_TIMEZONE) => {
+    const [startTime, endTime] = timeSlot.split('-');
+    const start = zonedTimeToUtc(dateKey, startTime, timeZone);
+    let end = zonedTimeToUtc(dateKey, endTime, timeZone);
+
+    // Slots such as "23:30-00:00" end on the following day
+    if (end <= start) {
+        end = zonedTimeToUtc(addDays(dateKey, 1), endTime, timeZone);
+    }
+    return { start, end };
+};
+
+// Wall-clock time ("HH:MM") of an instant in a timezone
+const formatTime = (instant, timeZone = DEFAULT_TIMEZONE) => {
+    const { hour, minute } = getZonedParts(instant, timeZone);
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+// Human readable date ("Monday, January 6, 2025") of an instant in a timezone
+const formatDate = (instant, timeZone = DEFAULT_TIMEZONE, locale = 'en-US') => {
+    return new Date(instant).toLocaleDateString(locale, {
+        timeZone,
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+};
+
+// Short timezone name ("IST", "GMT+1") of a timezone at an instant
+const formatZoneName = (instant, timeZone = DEFAULT_TIMEZONE) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        timeZoneName: 'short'
+    }).formatToParts(new Date(instant));
+    const zonePart = parts.find(part => part.type === 'timeZoneName');
+    return zonePart ? zonePart.value : timeZone;
+};
+
+// Time range with zone name ("09:00 - 09:30 IST") of a start/end pair in a timezone
+const formatTimeRange = (start, end, timeZone = DEFAULT_TIMEZONE) => {
+    return `${formatTime(start, timeZone)} - ${formatTime(end, timeZone)} ${formatZoneName(start, timeZone)}`;
+};
+
+// Describe a start/end pair as seen from a timezone
+const describeRange = (start, end, timeZone = DEFAULT_TIMEZONE) => ({
+    timezone: timeZone,
+    date: toDateKey(start, timeZone),
+    timeSlot: `${formatTime(start, timeZone)}-${formatTime(end, timeZone)}`,
+    display: `${formatDate(start, timeZone)}, ${formatTimeRange(start, end, timeZone)}`
+});
+
+// Timezone to render responses in: explicit ?timezone=, then the user's profile, then the default
+const getViewerTimezone = (req) => {
+    if (req.query && isValidTimezone(req.query.timezone)) {
+        return req.query.timezone;
+    }
+    if (req.user && isValidTimezone(req.user.timezone)) {
+        return req.user.timezone;
+    }
+    return DEFAULT_TIMEZONE;
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    getOffsetMinutes,
+    toDateKey,
+    normalizeDateKey,
+    addDays,
+    getWeekday,
+    zonedTimeToUtc,
+    getZonedDayBounds,
+    resolveSlot,
+    formatTime,
+    formatDate,
+    formatZoneName,
+    formatTimeRange,
+    describeRange,
+    getViewerTimezone
+};